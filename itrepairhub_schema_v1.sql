@@ -13,11 +13,18 @@ CREATE TABLE `users` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
   `full_name` VARCHAR(255) NOT NULL,
   `email` VARCHAR(255) NOT NULL,
+  `email_verified` TINYINT(1) NOT NULL DEFAULT 0,
+  `email_verified_at` DATETIME NULL,
   `phone_number` VARCHAR(50) NULL,
   `password_hash` VARCHAR(255) NULL,
-  `auth_provider` ENUM('local', 'google') NOT NULL DEFAULT 'local',
+  `auth_provider` ENUM('local', 'google') NOT NULL DEFAULT 'local' COMMENT 'Original sign-up method, see user_identities',
   `provider_id` VARCHAR(255) NULL,
   `role` ENUM('customer', 'business', 'admin', 'technician') NOT NULL DEFAULT 'customer',
+  `two_factor_enabled` TINYINT(1) NOT NULL DEFAULT 0,
+  `two_factor_secret` VARCHAR(255) NULL COMMENT 'Encrypted TOTP secret',
+  `two_factor_pending_secret` VARCHAR(255) NULL COMMENT 'Encrypted secret awaiting confirmation',
+  `two_factor_last_step` BIGINT NULL COMMENT 'Time step of the last accepted code',
+  `two_factor_enabled_at` DATETIME NULL,
   `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   UNIQUE KEY `email` (`email`),
   UNIQUE KEY `phone_number` (`phone_number`),
@@ -26,6 +33,66 @@ CREATE TABLE `users` (
   INDEX `idx_role` (`role`)
 ) COMMENT='Central table for REGISTERED users.';
 
+CREATE TABLE `auth_tokens` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `purpose` ENUM('password_reset', 'email_verification', 'google_sign_in') NOT NULL,
+  `token_hash` CHAR(64) NOT NULL COMMENT 'SHA-256 of the token sent by email or in the Google sign-in redirect',
+  `expires_at` DATETIME NOT NULL,
+  `used_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_auth_token_hash` (`token_hash`),
+  INDEX `idx_auth_tokens_user` (`user_id`, `purpose`)
+) COMMENT='Hashed single-use tokens for password reset, email verification and Google sign-in codes.';
+
+CREATE TABLE `user_identities` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `provider` ENUM('local', 'google') NOT NULL,
+  `provider_user_id` VARCHAR(255) NULL COMMENT 'Provider account ID (Google sub), NULL for local',
+  `email` VARCHAR(255) NULL COMMENT 'Email reported by the provider when linked',
+  `last_used_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_user_identity_provider` (`user_id`, `provider`),
+  UNIQUE KEY `uniq_provider_account` (`provider`, `provider_user_id`)
+) COMMENT='Sign-in methods of a user. Every user keeps at least one.';
+
+CREATE TABLE `auth_sessions` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `refresh_token_hash` CHAR(64) NOT NULL COMMENT 'SHA-256 of the current refresh token',
+  `previous_token_hash` CHAR(64) NULL COMMENT 'SHA-256 of the rotated-out refresh token, for reuse detection',
+  `user_agent` VARCHAR(255) NULL,
+  `ip_address` VARCHAR(45) NULL,
+  `expires_at` DATETIME NOT NULL,
+  `revoked_at` DATETIME NULL,
+  `last_used_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_auth_sessions_refresh` (`refresh_token_hash`),
+  INDEX `idx_auth_sessions_previous` (`previous_token_hash`),
+  INDEX `idx_auth_sessions_user` (`user_id`, `revoked_at`)
+) COMMENT='Login sessions. Revoking a session invalidates its refresh and access tokens.';
+
+CREATE TABLE `two_factor_recovery_codes` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `code_hash` CHAR(64) NOT NULL COMMENT 'SHA-256 of the normalized code',
+  `used_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_recovery_code` (`user_id`, `code_hash`)
+) COMMENT='Single-use 2FA recovery codes, stored hashed.';
+
+CREATE TABLE `rate_limit_buckets` (
+  `bucket_key` VARCHAR(255) NOT NULL PRIMARY KEY COMMENT 'Policy and IP/identifier, e.g. login:ip:1.2.3.4',
+  `hits` INT NOT NULL DEFAULT 0,
+  `reset_at` DATETIME(3) NOT NULL COMMENT 'End of the current window',
+  INDEX `idx_rate_limit_reset` (`reset_at`)
+) COMMENT='Fixed-window rate limit counters and login lockouts.';
+
 CREATE TABLE `companies` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
   `company_name` VARCHAR(255) NOT NULL,
@@ -89,6 +156,7 @@ CREATE TABLE `services` (
   `price_type` ENUM('variable', 'fixed') NOT NULL,
   `price` DECIMAL(10, 2) NULL,
   `discount_percentage` DECIMAL(5, 2) DEFAULT 0.00,
+  `slot_minutes` INT NULL COMMENT 'Booking slot length (NULL = BOOKING_SLOT_MINUTES default)',
   `average_rating` DECIMAL(3, 2) DEFAULT 0.00,
   `review_count` INT DEFAULT 0,
   `warranty_info` VARCHAR(255) NULL,
@@ -120,6 +188,7 @@ CREATE TABLE `bookings` (
   `service_id` INT NOT NULL,
   `address_id` INT NULL,
   `technician_id` INT NULL,
+  `job_status` ENUM('assigned', 'accepted', 'in_progress', 'completed') NULL COMMENT 'Technician job state (NULL = unassigned)',
   `quoted_amount` DECIMAL(10, 2) NULL,
   `discount_amount` DECIMAL(10, 2) DEFAULT 0.00,
   `total_amount` DECIMAL(10, 2) NULL,
@@ -128,26 +197,112 @@ CREATE TABLE `bookings` (
   `booking_time` TIME NOT NULL,
   `status` ENUM('pending', 'confirmed', 'completed', 'cancelled') NOT NULL DEFAULT 'pending',
   `admin_notes` TEXT NULL,
+  `assigned_at` DATETIME NULL,
+  `accepted_at` DATETIME NULL,
+  `started_at` DATETIME NULL,
+  `completed_at` DATETIME NULL,
+  `cancelled_at` DATETIME NULL,
+  `cancellation_reason` VARCHAR(500) NULL,
   `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE SET NULL,
   FOREIGN KEY (`guest_id`) REFERENCES `guest_details`(`id`) ON DELETE CASCADE,
   FOREIGN KEY (`service_id`) REFERENCES `services`(`id`) ON DELETE CASCADE,
   FOREIGN KEY (`address_id`) REFERENCES `addresses`(`id`) ON DELETE SET NULL,
   FOREIGN KEY (`technician_id`) REFERENCES `users`(`id`) ON DELETE SET NULL,
-  CONSTRAINT `chk_booking_owner` CHECK (`user_id` IS NOT NULL OR `guest_id` IS NOT NULL)
+  CONSTRAINT `chk_booking_owner` CHECK (`user_id` IS NOT NULL OR `guest_id` IS NOT NULL),
+  INDEX `idx_bookings_technician_schedule` (`technician_id`, `booking_date`, `booking_time`)
 ) COMMENT='Service appointments with financial snapshots.';
 
+CREATE TABLE `booking_job_notes` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `booking_id` INT NOT NULL,
+  `author_id` INT NULL,
+  `note` TEXT NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`booking_id`) REFERENCES `bookings`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`author_id`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_job_notes_booking` (`booking_id`, `created_at`)
+) COMMENT='Notes on technician jobs (bookings).';
+
+CREATE TABLE `booking_quotes` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `booking_id` INT NOT NULL,
+  `status` ENUM('sent', 'accepted', 'rejected', 'superseded') NOT NULL DEFAULT 'sent',
+  `parts_total` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  `labour_total` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  `subtotal` DECIMAL(10, 2) NOT NULL,
+  `notes` TEXT NULL,
+  `valid_until` DATETIME NULL,
+  `created_by` INT NULL COMMENT 'Admin or technician who issued the quote',
+  `responded_at` DATETIME NULL,
+  `rejection_reason` VARCHAR(500) NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`booking_id`) REFERENCES `bookings`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_booking_quotes_booking` (`booking_id`, `status`)
+) COMMENT='Itemised quotes for variable-price service bookings.';
+
+CREATE TABLE `booking_quote_items` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `quote_id` INT NOT NULL,
+  `item_type` ENUM('part', 'labour') NOT NULL,
+  `description` VARCHAR(255) NOT NULL,
+  `quantity` DECIMAL(10, 2) NOT NULL DEFAULT 1.00,
+  `unit_price` DECIMAL(10, 2) NOT NULL,
+  `line_total` DECIMAL(10, 2) NOT NULL,
+  FOREIGN KEY (`quote_id`) REFERENCES `booking_quotes`(`id`) ON DELETE CASCADE,
+  INDEX `idx_quote_items_quote` (`quote_id`)
+) COMMENT='Parts and labour lines of a booking quote.';
+
+CREATE TABLE `business_hours` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `day_of_week` TINYINT NOT NULL COMMENT '0 = Sunday ... 6 = Saturday',
+  `open_time` TIME NULL,
+  `close_time` TIME NULL,
+  `is_closed` TINYINT(1) NOT NULL DEFAULT 0,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY `uniq_day_of_week` (`day_of_week`),
+  CONSTRAINT `chk_business_hours` CHECK (`is_closed` = 1 OR (`open_time` IS NOT NULL AND `close_time` > `open_time`))
+) COMMENT='Weekly working hours for service bookings.';
+
+INSERT INTO `business_hours` (`day_of_week`, `open_time`, `close_time`, `is_closed`) VALUES
+(0, NULL, NULL, 1),
+(1, '09:00:00', '18:00:00', 0),
+(2, '09:00:00', '18:00:00', 0),
+(3, '09:00:00', '18:00:00', 0),
+(4, '09:00:00', '18:00:00', 0),
+(5, '09:00:00', '18:00:00', 0),
+(6, '09:00:00', '18:00:00', 0);
+
+CREATE TABLE `booking_blackout_dates` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `blackout_date` DATE NOT NULL,
+  `reason` VARCHAR(255) NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY `uniq_blackout_date` (`blackout_date`)
+) COMMENT='Dates on which no bookings are accepted (holidays, closures).';
+
 CREATE TABLE `consultations` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
   `user_id` INT NULL,
+  `staff_id` INT NULL COMMENT 'Admin/technician running the consultation',
   `name` VARCHAR(255) NOT NULL,
   `phone` VARCHAR(50) NOT NULL,
   `email` VARCHAR(255) NULL,
   `type` ENUM('on_site', 'online_meeting') NOT NULL,
   `scheduled_at` DATETIME NOT NULL,
+  `duration_minutes` INT NULL COMMENT 'NULL = CONSULTATION_DURATION_MINUTES default',
+  `meeting_link` VARCHAR(1024) NULL COMMENT 'For online_meeting',
+  `location_address` VARCHAR(500) NULL COMMENT 'For on_site',
   `status` ENUM('requested', 'scheduled', 'completed') NOT NULL DEFAULT 'requested',
+  `admin_notes` TEXT NULL,
+  `confirmed_at` DATETIME NULL,
+  `completed_at` DATETIME NULL,
   `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE SET NULL
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  CONSTRAINT `fk_consultations_staff` FOREIGN KEY (`staff_id`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_consultations_staff_schedule` (`staff_id`, `scheduled_at`),
+  INDEX `idx_consultations_status` (`status`, `scheduled_at`)
 ) COMMENT='Free consultations.';
 
 -- ---------------------------------
@@ -175,6 +330,7 @@ CREATE TABLE `products` (
   `price` DECIMAL(10, 2) NOT NULL,
   `discount_percentage` DECIMAL(5, 2) DEFAULT 0.00,
   `stock_quantity` INT NOT NULL DEFAULT 0,
+  `reorder_threshold` INT NULL COMMENT 'Low-stock alert level (NULL = LOW_STOCK_THRESHOLD default)',
   `average_rating` DECIMAL(3, 2) DEFAULT 0.00,
   `review_count` INT DEFAULT 0,
   `warranty_info` VARCHAR(255) NULL,
@@ -233,13 +389,27 @@ CREATE TABLE `sell_requests` (
   `condition_notes` JSON NULL,
   `user_requested_price` DECIMAL(10, 2) NULL,
   `estimated_price` DECIMAL(10, 2) NULL,
+  `estimated_price_low` DECIMAL(10, 2) NULL,
+  `estimated_price_high` DECIMAL(10, 2) NULL,
+  `estimate_source` ENUM('auto', 'admin') NULL COMMENT 'auto = valuation rules, admin = manual review',
   `final_offer_price` DECIMAL(10, 2) NULL,
   `address_id` INT NULL COMMENT 'Pickup/delivery address for the sell request',
   `contact_number` VARCHAR(50) NULL COMMENT 'Optional contact number for pickup coordination',
-  `status` ENUM('submitted', 'inspection_pending', 'purchased', 'rejected') NOT NULL DEFAULT 'submitted',
+  `status` ENUM('submitted', 'estimated', 'inspection_pending', 'offer_made', 'purchased', 'declined', 'rejected') NOT NULL DEFAULT 'submitted',
+  `admin_notes` TEXT NULL COMMENT 'Inspection findings shown to the customer',
+  `pickup_scheduled_at` DATETIME NULL,
+  `estimated_at` DATETIME NULL,
+  `offer_made_at` DATETIME NULL,
+  `responded_at` DATETIME NULL COMMENT 'Customer accepted/declined the offer',
+  `status_reason` VARCHAR(500) NULL COMMENT 'Admin rejection or customer decline reason',
+  `product_id` INT NULL COMMENT 'Marketplace listing created from the purchased device',
   `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
-  FOREIGN KEY (`address_id`) REFERENCES `addresses`(`id`) ON DELETE SET NULL
+  FOREIGN KEY (`address_id`) REFERENCES `addresses`(`id`) ON DELETE SET NULL,
+  CONSTRAINT `fk_sell_requests_product` FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE SET NULL,
+  INDEX `idx_sell_requests_status` (`status`, `created_at`),
+  INDEX `idx_sell_requests_user` (`user_id`, `created_at`)
 ) COMMENT='Inbox for selling items (Registered Users Only).';
 
 CREATE TABLE `sell_request_images` (
@@ -253,6 +423,33 @@ CREATE TABLE `sell_request_images` (
   INDEX `idx_request_images` (`sell_request_id`)
 ) COMMENT='Images uploaded by users for sell/price-check requests';
 
+CREATE TABLE `valuation_base_prices` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `device_type` VARCHAR(100) NULL,
+  `brand` VARCHAR(100) NOT NULL,
+  `model` VARCHAR(100) NULL COMMENT 'Matched as a substring of the submitted model',
+  `base_price` DECIMAL(10, 2) NOT NULL COMMENT 'Resale value of a device in good condition at release',
+  `release_year` SMALLINT NULL COMMENT 'Used for age when the customer gives no purchase year',
+  `annual_depreciation_pct` DECIMAL(5, 2) NOT NULL DEFAULT 15.00,
+  `min_value_pct` DECIMAL(5, 2) NOT NULL DEFAULT 20.00 COMMENT 'Depreciation floor as % of base_price',
+  `is_active` TINYINT(1) NOT NULL DEFAULT 1,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX `idx_valuation_brand` (`brand`, `is_active`)
+) COMMENT='Admin-maintained base resale prices for automated valuation.';
+
+CREATE TABLE `valuation_condition_deductions` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `flag_key` VARCHAR(100) NOT NULL COMMENT 'e.g., cracked_screen, battery_replace, missing_charger',
+  `label` VARCHAR(255) NOT NULL,
+  `deduction_type` ENUM('percentage', 'fixed_amount') NOT NULL,
+  `amount` DECIMAL(10, 2) NOT NULL,
+  `is_active` TINYINT(1) NOT NULL DEFAULT 1,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY `flag_key` (`flag_key`)
+) COMMENT='Valuation deductions per reported condition flag.';
+
 CREATE TABLE `custom_pc_builds` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
   `user_id` INT NULL,
@@ -354,6 +551,23 @@ CREATE TABLE `cart_items` (
   INDEX `idx_custom_build_id` (`custom_build_id`)
 ) COMMENT='Individual items in shopping cart.';
 
+CREATE TABLE `stock_reservations` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `cart_id` INT NULL COMMENT 'Cart holding the stock (NULL once the cart is converted/deleted)',
+  `order_id` INT NULL COMMENT 'Order that consumed the reservation',
+  `product_id` INT NOT NULL,
+  `quantity` INT NOT NULL,
+  `status` ENUM('active', 'consumed', 'released', 'expired') NOT NULL DEFAULT 'active',
+  `expires_at` DATETIME NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`cart_id`) REFERENCES `carts`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE,
+  INDEX `idx_reservation_product_active` (`product_id`, `status`, `expires_at`),
+  INDEX `idx_reservation_cart` (`cart_id`, `status`),
+  INDEX `idx_reservation_order` (`order_id`)
+) COMMENT='Temporary stock holds for carts during checkout.';
+
 CREATE TABLE `payments` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
   `user_id` INT NULL,
@@ -361,17 +575,80 @@ CREATE TABLE `payments` (
   `order_id` INT NULL,
   `booking_id` INT NULL,
   `amount` DECIMAL(10, 2) NOT NULL,
+  `refunded_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
   `gateway` ENUM('stripe', 'local_gateway', 'cash') NOT NULL,
   `transaction_id` VARCHAR(255) NULL,
-  `status` ENUM('pending', 'succeeded', 'failed', 'refunded') NOT NULL DEFAULT 'pending',
+  `status` ENUM('pending', 'succeeded', 'failed', 'refunded', 'cancelled') NOT NULL DEFAULT 'pending',
   `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE SET NULL,
   FOREIGN KEY (`guest_id`) REFERENCES `guest_details`(`id`) ON DELETE CASCADE,
   FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE SET NULL,
   FOREIGN KEY (`booking_id`) REFERENCES `bookings`(`id`) ON DELETE SET NULL,
-  CONSTRAINT `chk_payment_owner` CHECK (`user_id` IS NOT NULL OR `guest_id` IS NOT NULL)
+  CONSTRAINT `chk_payment_owner` CHECK (`user_id` IS NOT NULL OR `guest_id` IS NOT NULL),
+  UNIQUE KEY `uniq_gateway_transaction` (`gateway`, `transaction_id`)
 ) COMMENT='Dedicated table to track all payment transactions.';
 
+CREATE TABLE `payment_events` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `gateway` ENUM('stripe', 'local_gateway', 'cash') NOT NULL,
+  `event_id` VARCHAR(255) NOT NULL,
+  `transaction_id` VARCHAR(255) NOT NULL,
+  `payment_id` INT NULL,
+  `status` ENUM('succeeded', 'failed') NOT NULL,
+  `payload` JSON NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`payment_id`) REFERENCES `payments`(`id`) ON DELETE SET NULL,
+  UNIQUE KEY `uniq_gateway_event` (`gateway`, `event_id`),
+  INDEX `idx_transaction_id` (`transaction_id`)
+) COMMENT='Processed payment gateway webhook events.';
+
+CREATE TABLE `payment_refunds` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `payment_id` INT NOT NULL,
+  `amount` DECIMAL(10, 2) NOT NULL,
+  `reason` VARCHAR(500) NULL,
+  `gateway_refund_id` VARCHAR(255) NULL,
+  `restocked` TINYINT(1) NOT NULL DEFAULT 0,
+  `created_by` INT NULL COMMENT 'Admin who issued the refund',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`payment_id`) REFERENCES `payments`(`id`) ON DELETE RESTRICT,
+  FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_payment_refunds_payment` (`payment_id`),
+  INDEX `idx_payment_refunds_created` (`created_at`)
+) COMMENT='Ledger of full and partial refunds against payments.';
+
+CREATE TABLE `payment_refund_items` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `refund_id` INT NOT NULL,
+  `order_item_id` INT NOT NULL,
+  `quantity` INT NOT NULL,
+  FOREIGN KEY (`refund_id`) REFERENCES `payment_refunds`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`order_item_id`) REFERENCES `order_items`(`id`) ON DELETE CASCADE,
+  INDEX `idx_refund_items_order_item` (`order_item_id`)
+) COMMENT='Order lines restocked as part of a refund.';
+
+CREATE TABLE `stock_movements` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `product_id` INT NOT NULL,
+  `quantity_change` INT NOT NULL COMMENT 'Signed: negative for stock leaving, positive for stock arriving',
+  `quantity_after` INT NULL COMMENT 'stock_quantity right after the movement',
+  `reason` ENUM('initial_stock', 'admin_adjustment', 'sale', 'cancellation_restock', 'refund_restock', 'used_laptop_intake') NOT NULL,
+  `order_id` INT NULL,
+  `refund_id` INT NULL,
+  `sell_request_id` INT NULL,
+  `note` VARCHAR(500) NULL,
+  `created_by` INT NULL COMMENT 'Admin or customer who caused the movement (NULL for guests)',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`refund_id`) REFERENCES `payment_refunds`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`sell_request_id`) REFERENCES `sell_requests`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_stock_movements_product` (`product_id`, `created_at`),
+  INDEX `idx_stock_movements_reason` (`reason`)
+) COMMENT='Inventory ledger of every stock_quantity change.';
+
 -- ---------------------------------
 -- 7. Content: Site Media & Reviews
 -- ---------------------------------
@@ -402,15 +679,75 @@ CREATE TABLE `reviews` (
   `comment` TEXT NULL,
   `is_verified_purchase` TINYINT(1) NOT NULL DEFAULT 0,
   `is_approved` TINYINT(1) NOT NULL DEFAULT 0,
+  `helpful_count` INT NOT NULL DEFAULT 0,
+  `not_helpful_count` INT NOT NULL DEFAULT 0,
+  `moderation_status` ENUM('pending', 'approved', 'rejected', 'hidden') NOT NULL DEFAULT 'pending',
+  `moderation_reason` VARCHAR(500) NULL,
+  `moderated_by` INT NULL,
+  `moderated_at` DATETIME NULL,
   `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
   FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE,
   FOREIGN KEY (`service_id`) REFERENCES `services`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_reviews_moderated_by` FOREIGN KEY (`moderated_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
   CONSTRAINT `chk_review_target` CHECK (`product_id` IS NOT NULL OR `service_id` IS NOT NULL),
   CONSTRAINT `reviews_chk_1` CHECK ((`rating` between 1 and 5)),
-  INDEX `idx_guest_email` (`guest_email`)
+  INDEX `idx_guest_email` (`guest_email`),
+  INDEX `idx_reviews_moderation` (`moderation_status`, `created_at`),
+  INDEX `idx_reviews_helpful` (`helpful_count`)
 ) COMMENT='Stores user reviews for products and services, including guest reviews.';
 
+CREATE TABLE `review_invitations` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `order_id` INT NOT NULL,
+  `email` VARCHAR(255) NOT NULL,
+  `token_hash` CHAR(64) NOT NULL,
+  `expires_at` DATETIME NOT NULL,
+  `sent_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_review_invitation_order` (`order_id`),
+  UNIQUE KEY `uniq_review_invitation_token` (`token_hash`)
+) COMMENT='Review invitation tokens issued when an order is delivered.';
+
+CREATE TABLE `review_replies` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `review_id` INT NOT NULL,
+  `staff_id` INT NULL,
+  `message` TEXT NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`review_id`) REFERENCES `reviews`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`staff_id`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  UNIQUE KEY `uniq_review_reply` (`review_id`)
+) COMMENT='Staff responses to customer reviews.';
+
+CREATE TABLE `review_votes` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `review_id` INT NOT NULL,
+  `user_id` INT NULL,
+  `session_id` VARCHAR(255) NULL,
+  `is_helpful` TINYINT(1) NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`review_id`) REFERENCES `reviews`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `chk_review_vote_owner` CHECK (`user_id` IS NOT NULL OR `session_id` IS NOT NULL),
+  UNIQUE KEY `uniq_review_vote_user` (`review_id`, `user_id`),
+  UNIQUE KEY `uniq_review_vote_session` (`review_id`, `session_id`)
+) COMMENT='Helpful/not helpful votes on reviews.';
+
+CREATE TABLE `review_images` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `review_id` INT NOT NULL,
+  `image_url` VARCHAR(1024) NOT NULL,
+  `alt_text` VARCHAR(255) NULL,
+  `display_order` INT NOT NULL DEFAULT 0,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`review_id`) REFERENCES `reviews`(`id`) ON DELETE CASCADE,
+  INDEX `idx_review_images` (`review_id`, `display_order`)
+) COMMENT='Images uploaded by customers with their reviews';
+
 -- ---------------------------------
 -- 8. Contact & Online Queries
 -- ---------------------------------
@@ -428,11 +765,34 @@ CREATE TABLE `online_queries` (
   `subject` VARCHAR(255) NULL,
   `message` TEXT NOT NULL,
   `status` ENUM('new', 'in_progress', 'resolved', 'closed') NOT NULL DEFAULT 'new',
+  `assigned_to` INT NULL COMMENT 'Staff member handling the ticket',
+  `sla_due_at` DATETIME NULL COMMENT 'Resolution due time (complaints are due sooner than queries)',
+  `first_response_at` DATETIME NULL,
+  `in_progress_at` DATETIME NULL,
+  `resolved_at` DATETIME NULL,
+  `closed_at` DATETIME NULL,
   `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE SET NULL,
   FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE SET NULL,
   FOREIGN KEY (`service_id`) REFERENCES `services`(`id`) ON DELETE SET NULL,
+  CONSTRAINT `fk_online_queries_assigned_to` FOREIGN KEY (`assigned_to`) REFERENCES `users`(`id`) ON DELETE SET NULL,
   INDEX `idx_online_queries_status` (`status`),
   INDEX `idx_online_queries_created` (`created_at`),
-  INDEX `idx_online_queries_email` (`email`)
-) COMMENT='Stores online queries and complaints submitted via the contact page.';
\ No newline at end of file
+  INDEX `idx_online_queries_email` (`email`),
+  INDEX `idx_online_queries_assigned` (`assigned_to`, `status`),
+  INDEX `idx_online_queries_sla` (`status`, `sla_due_at`),
+  INDEX `idx_online_queries_user` (`user_id`)
+) COMMENT='Stores online queries and complaints submitted via the contact page.';
+
+CREATE TABLE `online_query_replies` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `query_id` INT NOT NULL,
+  `author_type` ENUM('staff', 'customer') NOT NULL,
+  `author_id` INT NULL COMMENT 'NULL for guest customers',
+  `message` TEXT NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`query_id`) REFERENCES `online_queries`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`author_id`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_query_replies_query` (`query_id`, `created_at`)
+) COMMENT='Conversation thread of an online query/complaint.';
\ No newline at end of file
@@ -0,0 +1,26 @@
+-- Migration: Add login sessions for refresh tokens and revocation
+-- Access tokens become short-lived and reference a session; refresh tokens are stored hashed and rotated
+
+USE itrepairhub;
+
+-- Step 1: Sessions
+CREATE TABLE `auth_sessions` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `refresh_token_hash` CHAR(64) NOT NULL COMMENT 'SHA-256 of the current refresh token',
+  `previous_token_hash` CHAR(64) NULL COMMENT 'SHA-256 of the rotated-out refresh token, for reuse detection',
+  `user_agent` VARCHAR(255) NULL,
+  `ip_address` VARCHAR(45) NULL,
+  `expires_at` DATETIME NOT NULL,
+  `revoked_at` DATETIME NULL,
+  `last_used_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_auth_sessions_refresh` (`refresh_token_hash`),
+  INDEX `idx_auth_sessions_previous` (`previous_token_hash`),
+  INDEX `idx_auth_sessions_user` (`user_id`, `revoked_at`)
+) COMMENT='Login sessions. Revoking a session invalidates its refresh and access tokens.';
+
+-- Step 2: Google sign-in hands the frontend a single-use code instead of tokens in the redirect URL
+ALTER TABLE `auth_tokens`
+MODIFY COLUMN `purpose` ENUM('password_reset', 'email_verification', 'google_sign_in') NOT NULL;
@@ -0,0 +1,26 @@
+-- Migration: Add email verification and one-time auth tokens
+-- Supports password reset and email verification links (tokens stored hashed, single-use, expiring)
+
+USE itrepairhub;
+
+-- Step 1: Verified flag on users
+ALTER TABLE `users`
+ADD COLUMN `email_verified` TINYINT(1) NOT NULL DEFAULT 0 AFTER `email`,
+ADD COLUMN `email_verified_at` DATETIME NULL AFTER `email_verified`;
+
+-- Step 2: Google already verified these addresses
+UPDATE `users` SET `email_verified` = 1, `email_verified_at` = NOW() WHERE `auth_provider` = 'google';
+
+-- Step 3: One-time tokens
+CREATE TABLE `auth_tokens` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `purpose` ENUM('password_reset', 'email_verification') NOT NULL,
+  `token_hash` CHAR(64) NOT NULL COMMENT 'SHA-256 of the token sent by email',
+  `expires_at` DATETIME NOT NULL,
+  `used_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_auth_token_hash` (`token_hash`),
+  INDEX `idx_auth_tokens_user` (`user_id`, `purpose`)
+) COMMENT='Hashed single-use tokens for password reset and email verification.';
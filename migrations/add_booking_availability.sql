@@ -0,0 +1,39 @@
+-- Migration: Add booking availability (business hours, blackout dates, slot length per service)
+-- createBooking rejects slots that are closed, outside working hours or already at capacity
+
+USE itrepairhub;
+
+-- Step 1: Slot length per service (NULL = BOOKING_SLOT_MINUTES default)
+ALTER TABLE `services`
+ADD COLUMN `slot_minutes` INT NULL COMMENT 'Booking slot length (NULL = BOOKING_SLOT_MINUTES default)' AFTER `discount_percentage`;
+
+-- Step 2: Weekly business hours (one row per weekday, 0 = Sunday)
+CREATE TABLE `business_hours` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `day_of_week` TINYINT NOT NULL COMMENT '0 = Sunday ... 6 = Saturday',
+  `open_time` TIME NULL,
+  `close_time` TIME NULL,
+  `is_closed` TINYINT(1) NOT NULL DEFAULT 0,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY `uniq_day_of_week` (`day_of_week`),
+  CONSTRAINT `chk_business_hours` CHECK (`is_closed` = 1 OR (`open_time` IS NOT NULL AND `close_time` > `open_time`))
+) COMMENT='Weekly working hours for service bookings.';
+
+-- Step 3: Default hours - Monday to Saturday 09:00-18:00, closed on Sunday
+INSERT INTO `business_hours` (`day_of_week`, `open_time`, `close_time`, `is_closed`) VALUES
+(0, NULL, NULL, 1),
+(1, '09:00:00', '18:00:00', 0),
+(2, '09:00:00', '18:00:00', 0),
+(3, '09:00:00', '18:00:00', 0),
+(4, '09:00:00', '18:00:00', 0),
+(5, '09:00:00', '18:00:00', 0),
+(6, '09:00:00', '18:00:00', 0);
+
+-- Step 4: Holidays and other closed days
+CREATE TABLE `booking_blackout_dates` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `blackout_date` DATE NOT NULL,
+  `reason` VARCHAR(255) NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY `uniq_blackout_date` (`blackout_date`)
+) COMMENT='Dates on which no bookings are accepted (holidays, closures).';
@@ -0,0 +1,13 @@
+-- Migration: Add customer booking reschedule and cancellation
+-- Cancelling a booking cancels its pending payment (or refunds a succeeded one)
+
+USE itrepairhub;
+
+-- Step 1: Pending payments of cancelled bookings are cancelled, not failed
+ALTER TABLE `payments`
+MODIFY COLUMN `status` ENUM('pending', 'succeeded', 'failed', 'refunded', 'cancelled') NOT NULL DEFAULT 'pending';
+
+-- Step 2: Cancellation details on bookings
+ALTER TABLE `bookings`
+ADD COLUMN `cancelled_at` DATETIME NULL AFTER `completed_at`,
+ADD COLUMN `cancellation_reason` VARCHAR(500) NULL AFTER `cancelled_at`;
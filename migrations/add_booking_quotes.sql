@@ -0,0 +1,34 @@
+-- Migration: Add itemised quotes for variable-price bookings
+-- Accepting a quote fills bookings.quoted_amount/discount_amount/total_amount and creates the payment
+
+USE itrepairhub;
+
+CREATE TABLE `booking_quotes` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `booking_id` INT NOT NULL,
+  `status` ENUM('sent', 'accepted', 'rejected', 'superseded') NOT NULL DEFAULT 'sent',
+  `parts_total` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  `labour_total` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  `subtotal` DECIMAL(10, 2) NOT NULL,
+  `notes` TEXT NULL,
+  `valid_until` DATETIME NULL,
+  `created_by` INT NULL COMMENT 'Admin or technician who issued the quote',
+  `responded_at` DATETIME NULL,
+  `rejection_reason` VARCHAR(500) NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`booking_id`) REFERENCES `bookings`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_booking_quotes_booking` (`booking_id`, `status`)
+) COMMENT='Itemised quotes for variable-price service bookings.';
+
+CREATE TABLE `booking_quote_items` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `quote_id` INT NOT NULL,
+  `item_type` ENUM('part', 'labour') NOT NULL,
+  `description` VARCHAR(255) NOT NULL,
+  `quantity` DECIMAL(10, 2) NOT NULL DEFAULT 1.00,
+  `unit_price` DECIMAL(10, 2) NOT NULL,
+  `line_total` DECIMAL(10, 2) NOT NULL,
+  FOREIGN KEY (`quote_id`) REFERENCES `booking_quotes`(`id`) ON DELETE CASCADE,
+  INDEX `idx_quote_items_quote` (`quote_id`)
+) COMMENT='Parts and labour lines of a booking quote.';
@@ -0,0 +1,20 @@
+-- Migration: Add admin scheduling fields to consultations
+-- Admins confirm scheduled_at, attach a meeting link or on-site address and assign a staff member
+
+USE itrepairhub;
+
+-- Step 1: Scheduling details
+ALTER TABLE `consultations`
+ADD COLUMN `staff_id` INT NULL COMMENT 'Admin/technician running the consultation' AFTER `user_id`,
+ADD COLUMN `duration_minutes` INT NULL COMMENT 'NULL = CONSULTATION_DURATION_MINUTES default' AFTER `scheduled_at`,
+ADD COLUMN `meeting_link` VARCHAR(1024) NULL COMMENT 'For online_meeting' AFTER `duration_minutes`,
+ADD COLUMN `location_address` VARCHAR(500) NULL COMMENT 'For on_site' AFTER `meeting_link`,
+ADD COLUMN `admin_notes` TEXT NULL AFTER `status`,
+ADD COLUMN `confirmed_at` DATETIME NULL AFTER `admin_notes`,
+ADD COLUMN `completed_at` DATETIME NULL AFTER `confirmed_at`;
+
+-- Step 2: Staff assignment and console filters
+ALTER TABLE `consultations`
+ADD CONSTRAINT `fk_consultations_staff` FOREIGN KEY (`staff_id`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+ADD INDEX `idx_consultations_staff_schedule` (`staff_id`, `scheduled_at`),
+ADD INDEX `idx_consultations_status` (`status`, `scheduled_at`);
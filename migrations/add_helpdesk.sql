@@ -0,0 +1,38 @@
+-- Migration: Turn online queries into helpdesk tickets
+-- Assignment, status timestamps, SLA due times and threaded replies
+
+USE itrepairhub;
+
+-- Step 1: Assignment, SLA and status timestamps
+ALTER TABLE `online_queries`
+ADD COLUMN `assigned_to` INT NULL COMMENT 'Staff member handling the ticket' AFTER `status`,
+ADD COLUMN `sla_due_at` DATETIME NULL COMMENT 'Resolution due time (complaints are due sooner than queries)' AFTER `assigned_to`,
+ADD COLUMN `first_response_at` DATETIME NULL AFTER `sla_due_at`,
+ADD COLUMN `in_progress_at` DATETIME NULL AFTER `first_response_at`,
+ADD COLUMN `resolved_at` DATETIME NULL AFTER `in_progress_at`,
+ADD COLUMN `closed_at` DATETIME NULL AFTER `resolved_at`,
+ADD COLUMN `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER `created_at`;
+
+ALTER TABLE `online_queries`
+ADD CONSTRAINT `fk_online_queries_assigned_to` FOREIGN KEY (`assigned_to`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+ADD INDEX `idx_online_queries_assigned` (`assigned_to`, `status`),
+ADD INDEX `idx_online_queries_sla` (`status`, `sla_due_at`),
+ADD INDEX `idx_online_queries_user` (`user_id`);
+
+-- Step 2: Existing tickets get SLA due times from their type
+UPDATE `online_queries`
+SET `sla_due_at` = DATE_ADD(`created_at`, INTERVAL IF(`type` = 'complaint', 24, 72) HOUR)
+WHERE `sla_due_at` IS NULL;
+
+-- Step 3: Threaded replies between staff and customer
+CREATE TABLE `online_query_replies` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `query_id` INT NOT NULL,
+  `author_type` ENUM('staff', 'customer') NOT NULL,
+  `author_id` INT NULL COMMENT 'NULL for guest customers',
+  `message` TEXT NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`query_id`) REFERENCES `online_queries`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`author_id`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_query_replies_query` (`query_id`, `created_at`)
+) COMMENT='Conversation thread of an online query/complaint.';
@@ -0,0 +1,36 @@
+-- Migration: Add refunds and partial refunds on payments
+-- Full refunds move payments.status / orders.payment_status to 'refunded';
+-- partial refunds accumulate in payments.refunded_amount
+
+USE itrepairhub;
+
+-- Step 1: Running total of refunded money per payment
+ALTER TABLE `payments`
+ADD COLUMN `refunded_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER `amount`;
+
+-- Step 2: Refund ledger
+CREATE TABLE `payment_refunds` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `payment_id` INT NOT NULL,
+  `amount` DECIMAL(10, 2) NOT NULL,
+  `reason` VARCHAR(500) NULL,
+  `gateway_refund_id` VARCHAR(255) NULL,
+  `restocked` TINYINT(1) NOT NULL DEFAULT 0,
+  `created_by` INT NULL COMMENT 'Admin who issued the refund',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`payment_id`) REFERENCES `payments`(`id`) ON DELETE RESTRICT,
+  FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_payment_refunds_payment` (`payment_id`),
+  INDEX `idx_payment_refunds_created` (`created_at`)
+) COMMENT='Ledger of full and partial refunds against payments.';
+
+-- Step 3: Product lines restocked by a refund
+CREATE TABLE `payment_refund_items` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `refund_id` INT NOT NULL,
+  `order_item_id` INT NOT NULL,
+  `quantity` INT NOT NULL,
+  FOREIGN KEY (`refund_id`) REFERENCES `payment_refunds`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`order_item_id`) REFERENCES `order_items`(`id`) ON DELETE CASCADE,
+  INDEX `idx_refund_items_order_item` (`order_item_id`)
+) COMMENT='Order lines restocked as part of a refund.';
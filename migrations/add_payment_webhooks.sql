@@ -0,0 +1,24 @@
+-- Migration: Add payment gateway webhook support
+-- Payments are moved from 'pending' to 'succeeded'/'failed' by signed gateway webhooks
+
+USE itrepairhub;
+
+-- Step 1: Track last status change and make gateway references unique per gateway
+ALTER TABLE `payments`
+ADD COLUMN `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER `created_at`,
+ADD UNIQUE KEY `uniq_gateway_transaction` (`gateway`, `transaction_id`);
+
+-- Step 2: Webhook event log (idempotency by gateway + event_id, plus audit trail)
+CREATE TABLE `payment_events` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `gateway` ENUM('stripe', 'local_gateway', 'cash') NOT NULL,
+  `event_id` VARCHAR(255) NOT NULL,
+  `transaction_id` VARCHAR(255) NOT NULL,
+  `payment_id` INT NULL,
+  `status` ENUM('succeeded', 'failed') NOT NULL,
+  `payload` JSON NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`payment_id`) REFERENCES `payments`(`id`) ON DELETE SET NULL,
+  UNIQUE KEY `uniq_gateway_event` (`gateway`, `event_id`),
+  INDEX `idx_transaction_id` (`transaction_id`)
+) COMMENT='Processed payment gateway webhook events.';
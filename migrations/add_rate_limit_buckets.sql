@@ -0,0 +1,12 @@
+-- Migration: Add rate limit buckets
+-- Backing table for the database rate limit store (RATE_LIMIT_STORE=database), shared by all instances
+
+USE itrepairhub;
+
+-- Step 1: Buckets
+CREATE TABLE `rate_limit_buckets` (
+  `bucket_key` VARCHAR(255) NOT NULL PRIMARY KEY COMMENT 'Policy and IP/identifier, e.g. login:ip:1.2.3.4',
+  `hits` INT NOT NULL DEFAULT 0,
+  `reset_at` DATETIME(3) NOT NULL COMMENT 'End of the current window',
+  INDEX `idx_rate_limit_reset` (`reset_at`)
+) COMMENT='Fixed-window rate limit counters and login lockouts.';
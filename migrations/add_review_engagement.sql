@@ -0,0 +1,54 @@
+-- Migration: Add staff replies, helpful votes and photo attachments to reviews
+-- Vote counts are kept on reviews so listings can sort by most helpful
+
+USE itrepairhub;
+
+-- Step 1: Helpful vote counters
+ALTER TABLE `reviews`
+ADD COLUMN `helpful_count` INT NOT NULL DEFAULT 0 AFTER `is_approved`,
+ADD COLUMN `not_helpful_count` INT NOT NULL DEFAULT 0 AFTER `helpful_count`;
+
+-- Step 2: Staff reply shown under a review (one per review)
+CREATE TABLE `review_replies` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `review_id` INT NOT NULL,
+  `staff_id` INT NULL,
+  `message` TEXT NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`review_id`) REFERENCES `reviews`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`staff_id`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  UNIQUE KEY `uniq_review_reply` (`review_id`)
+) COMMENT='Staff responses to customer reviews.';
+
+-- Step 3: "Was this helpful" votes - one per user (logged in) or session (guest)
+CREATE TABLE `review_votes` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `review_id` INT NOT NULL,
+  `user_id` INT NULL,
+  `session_id` VARCHAR(255) NULL,
+  `is_helpful` TINYINT(1) NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`review_id`) REFERENCES `reviews`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `chk_review_vote_owner` CHECK (`user_id` IS NOT NULL OR `session_id` IS NOT NULL),
+  UNIQUE KEY `uniq_review_vote_user` (`review_id`, `user_id`),
+  UNIQUE KEY `uniq_review_vote_session` (`review_id`, `session_id`)
+) COMMENT='Helpful/not helpful votes on reviews.';
+
+-- Step 4: Photos attached by the reviewer (UploadThing URLs)
+CREATE TABLE `review_images` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `review_id` INT NOT NULL,
+  `image_url` VARCHAR(1024) NOT NULL,
+  `alt_text` VARCHAR(255) NULL,
+  `display_order` INT NOT NULL DEFAULT 0,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`review_id`) REFERENCES `reviews`(`id`) ON DELETE CASCADE,
+  INDEX `idx_review_images` (`review_id`, `display_order`)
+) COMMENT='Images uploaded by customers with their reviews';
+
+-- Step 5: Sort by most helpful
+ALTER TABLE `reviews`
+ADD INDEX `idx_reviews_helpful` (`helpful_count`);
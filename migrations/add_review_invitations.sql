@@ -0,0 +1,18 @@
+-- Migration: Add review invitations for delivered orders
+-- A delivered order gets a one-per-order invitation token so guests can review its products without an account
+
+USE itrepairhub;
+
+-- Step 1: Invitations (only the SHA-256 hash of the token is stored)
+CREATE TABLE `review_invitations` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `order_id` INT NOT NULL,
+  `email` VARCHAR(255) NOT NULL,
+  `token_hash` CHAR(64) NOT NULL,
+  `expires_at` DATETIME NOT NULL,
+  `sent_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_review_invitation_order` (`order_id`),
+  UNIQUE KEY `uniq_review_invitation_token` (`token_hash`)
+) COMMENT='Review invitation tokens issued when an order is delivered.';
@@ -0,0 +1,19 @@
+-- Migration: Add moderation workflow to reviews
+-- Admins approve, reject or hide reviews with a reason; is_approved stays the public visibility flag
+
+USE itrepairhub;
+
+-- Step 1: Moderation state
+ALTER TABLE `reviews`
+ADD COLUMN `moderation_status` ENUM('pending', 'approved', 'rejected', 'hidden') NOT NULL DEFAULT 'pending' AFTER `is_approved`,
+ADD COLUMN `moderation_reason` VARCHAR(500) NULL AFTER `moderation_status`,
+ADD COLUMN `moderated_by` INT NULL AFTER `moderation_reason`,
+ADD COLUMN `moderated_at` DATETIME NULL AFTER `moderated_by`;
+
+-- Step 2: Moderator link and queue index
+ALTER TABLE `reviews`
+ADD CONSTRAINT `fk_reviews_moderated_by` FOREIGN KEY (`moderated_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+ADD INDEX `idx_reviews_moderation` (`moderation_status`, `created_at`);
+
+-- Step 3: Existing approved reviews are already public
+UPDATE `reviews` SET `moderation_status` = 'approved' WHERE `is_approved` = 1;
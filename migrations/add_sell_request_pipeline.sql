@@ -0,0 +1,27 @@
+-- Migration: Add inspection and offer pipeline to sell_requests
+-- Admins estimate, schedule pickup, inspect and make a final offer; customers accept or decline it
+
+USE itrepairhub;
+
+-- Step 1: Pipeline statuses
+-- submitted -> estimated -> inspection_pending (pickup scheduled) -> offer_made -> purchased | declined
+-- Admins can reject at any open stage
+ALTER TABLE `sell_requests`
+MODIFY COLUMN `status` ENUM('submitted', 'estimated', 'inspection_pending', 'offer_made', 'purchased', 'declined', 'rejected') NOT NULL DEFAULT 'submitted';
+
+-- Step 2: Pipeline details and timestamps
+ALTER TABLE `sell_requests`
+ADD COLUMN `admin_notes` TEXT NULL COMMENT 'Inspection findings shown to the customer' AFTER `status`,
+ADD COLUMN `pickup_scheduled_at` DATETIME NULL AFTER `admin_notes`,
+ADD COLUMN `estimated_at` DATETIME NULL AFTER `pickup_scheduled_at`,
+ADD COLUMN `offer_made_at` DATETIME NULL AFTER `estimated_at`,
+ADD COLUMN `responded_at` DATETIME NULL COMMENT 'Customer accepted/declined the offer' AFTER `offer_made_at`,
+ADD COLUMN `status_reason` VARCHAR(500) NULL COMMENT 'Admin rejection or customer decline reason' AFTER `responded_at`,
+ADD COLUMN `product_id` INT NULL COMMENT 'Marketplace listing created from the purchased device' AFTER `status_reason`,
+ADD COLUMN `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER `created_at`;
+
+-- Step 3: Listing link and admin console filters
+ALTER TABLE `sell_requests`
+ADD CONSTRAINT `fk_sell_requests_product` FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE SET NULL,
+ADD INDEX `idx_sell_requests_status` (`status`, `created_at`),
+ADD INDEX `idx_sell_requests_user` (`user_id`, `created_at`);
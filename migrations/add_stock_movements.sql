@@ -0,0 +1,30 @@
+-- Migration: Add stock movement ledger and low-stock thresholds
+-- Every change to products.stock_quantity is recorded with its reason and actor
+
+USE itrepairhub;
+
+-- Step 1: Per-product reorder threshold (NULL = use the LOW_STOCK_THRESHOLD default)
+ALTER TABLE `products`
+ADD COLUMN `reorder_threshold` INT NULL COMMENT 'Low-stock alert level (NULL = LOW_STOCK_THRESHOLD default)' AFTER `stock_quantity`;
+
+-- Step 2: Inventory ledger
+CREATE TABLE `stock_movements` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `product_id` INT NOT NULL,
+  `quantity_change` INT NOT NULL COMMENT 'Signed: negative for stock leaving, positive for stock arriving',
+  `quantity_after` INT NULL COMMENT 'stock_quantity right after the movement',
+  `reason` ENUM('initial_stock', 'admin_adjustment', 'sale', 'cancellation_restock', 'refund_restock', 'used_laptop_intake') NOT NULL,
+  `order_id` INT NULL,
+  `refund_id` INT NULL,
+  `sell_request_id` INT NULL,
+  `note` VARCHAR(500) NULL,
+  `created_by` INT NULL COMMENT 'Admin or customer who caused the movement (NULL for guests)',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`refund_id`) REFERENCES `payment_refunds`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`sell_request_id`) REFERENCES `sell_requests`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_stock_movements_product` (`product_id`, `created_at`),
+  INDEX `idx_stock_movements_reason` (`reason`)
+) COMMENT='Inventory ledger of every stock_quantity change.';
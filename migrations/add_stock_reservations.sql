@@ -0,0 +1,21 @@
+-- Migration: Add inventory reservations for checkout
+-- Carts can hold stock for a TTL; holds by other carts are excluded from sellable stock
+
+USE itrepairhub;
+
+CREATE TABLE `stock_reservations` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `cart_id` INT NULL COMMENT 'Cart holding the stock (NULL once the cart is converted/deleted)',
+  `order_id` INT NULL COMMENT 'Order that consumed the reservation',
+  `product_id` INT NOT NULL,
+  `quantity` INT NOT NULL,
+  `status` ENUM('active', 'consumed', 'released', 'expired') NOT NULL DEFAULT 'active',
+  `expires_at` DATETIME NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`cart_id`) REFERENCES `carts`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE,
+  INDEX `idx_reservation_product_active` (`product_id`, `status`, `expires_at`),
+  INDEX `idx_reservation_cart` (`cart_id`, `status`),
+  INDEX `idx_reservation_order` (`order_id`)
+) COMMENT='Temporary stock holds for carts during checkout.';
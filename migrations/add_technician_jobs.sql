@@ -0,0 +1,28 @@
+-- Migration: Add technician job workflow to bookings
+-- Admin assigns a technician; the technician accepts, starts and completes the job
+
+USE itrepairhub;
+
+-- Step 1: Job state and timestamps on bookings
+ALTER TABLE `bookings`
+ADD COLUMN `job_status` ENUM('assigned', 'accepted', 'in_progress', 'completed') NULL COMMENT 'Technician job state (NULL = unassigned)' AFTER `technician_id`,
+ADD COLUMN `assigned_at` DATETIME NULL AFTER `admin_notes`,
+ADD COLUMN `accepted_at` DATETIME NULL AFTER `assigned_at`,
+ADD COLUMN `started_at` DATETIME NULL AFTER `accepted_at`,
+ADD COLUMN `completed_at` DATETIME NULL AFTER `started_at`;
+
+-- Step 2: Index for technician queues and clash detection
+ALTER TABLE `bookings`
+ADD INDEX `idx_bookings_technician_schedule` (`technician_id`, `booking_date`, `booking_time`);
+
+-- Step 3: Job notes written by technicians and admins
+CREATE TABLE `booking_job_notes` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `booking_id` INT NOT NULL,
+  `author_id` INT NULL,
+  `note` TEXT NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`booking_id`) REFERENCES `bookings`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`author_id`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_job_notes_booking` (`booking_id`, `created_at`)
+) COMMENT='Notes on technician jobs (bookings).';
@@ -0,0 +1,23 @@
+-- Migration: Add TOTP two-factor authentication
+-- Secrets are stored encrypted, recovery codes hashed; two_factor_last_step blocks code replay
+
+USE itrepairhub;
+
+-- Step 1: 2FA state on users
+ALTER TABLE `users`
+ADD COLUMN `two_factor_enabled` TINYINT(1) NOT NULL DEFAULT 0 AFTER `role`,
+ADD COLUMN `two_factor_secret` VARCHAR(255) NULL COMMENT 'Encrypted TOTP secret' AFTER `two_factor_enabled`,
+ADD COLUMN `two_factor_pending_secret` VARCHAR(255) NULL COMMENT 'Encrypted secret awaiting confirmation' AFTER `two_factor_secret`,
+ADD COLUMN `two_factor_last_step` BIGINT NULL COMMENT 'Time step of the last accepted code' AFTER `two_factor_pending_secret`,
+ADD COLUMN `two_factor_enabled_at` DATETIME NULL AFTER `two_factor_last_step`;
+
+-- Step 2: Recovery codes
+CREATE TABLE `two_factor_recovery_codes` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `code_hash` CHAR(64) NOT NULL COMMENT 'SHA-256 of the normalized code',
+  `used_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_recovery_code` (`user_id`, `code_hash`)
+) COMMENT='Single-use 2FA recovery codes, stored hashed.';
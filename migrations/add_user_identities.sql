@@ -0,0 +1,28 @@
+-- Migration: Add user identities for account linking
+-- One user can sign in with a password and/or Google. users.auth_provider/provider_id are kept as the
+-- original sign-up method but are no longer used to sign in.
+
+USE itrepairhub;
+
+-- Step 1: Identities
+CREATE TABLE `user_identities` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `provider` ENUM('local', 'google') NOT NULL,
+  `provider_user_id` VARCHAR(255) NULL COMMENT 'Provider account ID (Google sub), NULL for local',
+  `email` VARCHAR(255) NULL COMMENT 'Email reported by the provider when linked',
+  `last_used_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_user_identity_provider` (`user_id`, `provider`),
+  UNIQUE KEY `uniq_provider_account` (`provider`, `provider_user_id`)
+) COMMENT='Sign-in methods of a user. Every user keeps at least one.';
+
+-- Step 2: Password logins (includes local accounts that were later linked to Google)
+INSERT INTO `user_identities` (`user_id`, `provider`, `email`, `created_at`)
+SELECT `id`, 'local', `email`, `created_at` FROM `users` WHERE `password_hash` IS NOT NULL;
+
+-- Step 3: Google logins
+INSERT INTO `user_identities` (`user_id`, `provider`, `provider_user_id`, `email`, `created_at`)
+SELECT `id`, 'google', `provider_id`, `email`, `created_at`
+FROM `users` WHERE `auth_provider` = 'google' AND `provider_id` IS NOT NULL;
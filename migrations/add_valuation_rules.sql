@@ -0,0 +1,41 @@
+-- Migration: Add rule-based valuation for used device price checks
+-- Admins maintain base prices (with yearly depreciation) and condition deductions;
+-- check_price requests get an instant estimated range on submission
+
+USE itrepairhub;
+
+-- Step 1: Base prices per brand/model
+-- model NULL = fallback for any model of the brand; device_type NULL = any device type
+CREATE TABLE `valuation_base_prices` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `device_type` VARCHAR(100) NULL,
+  `brand` VARCHAR(100) NOT NULL,
+  `model` VARCHAR(100) NULL COMMENT 'Matched as a substring of the submitted model',
+  `base_price` DECIMAL(10, 2) NOT NULL COMMENT 'Resale value of a device in good condition at release',
+  `release_year` SMALLINT NULL COMMENT 'Used for age when the customer gives no purchase year',
+  `annual_depreciation_pct` DECIMAL(5, 2) NOT NULL DEFAULT 15.00,
+  `min_value_pct` DECIMAL(5, 2) NOT NULL DEFAULT 20.00 COMMENT 'Depreciation floor as % of base_price',
+  `is_active` TINYINT(1) NOT NULL DEFAULT 1,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX `idx_valuation_brand` (`brand`, `is_active`)
+) COMMENT='Admin-maintained base resale prices for automated valuation.';
+
+-- Step 2: Deductions for condition flags reported in condition_notes
+CREATE TABLE `valuation_condition_deductions` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `flag_key` VARCHAR(100) NOT NULL COMMENT 'e.g., cracked_screen, battery_replace, missing_charger',
+  `label` VARCHAR(255) NOT NULL,
+  `deduction_type` ENUM('percentage', 'fixed_amount') NOT NULL,
+  `amount` DECIMAL(10, 2) NOT NULL,
+  `is_active` TINYINT(1) NOT NULL DEFAULT 1,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY `flag_key` (`flag_key`)
+) COMMENT='Valuation deductions per reported condition flag.';
+
+-- Step 3: Estimated range on sell_requests
+ALTER TABLE `sell_requests`
+ADD COLUMN `estimated_price_low` DECIMAL(10, 2) NULL AFTER `estimated_price`,
+ADD COLUMN `estimated_price_high` DECIMAL(10, 2) NULL AFTER `estimated_price_low`,
+ADD COLUMN `estimate_source` ENUM('auto', 'admin') NULL COMMENT 'auto = valuation rules, admin = manual review' AFTER `estimated_price_high`;
@@ -10,25 +10,47 @@ import { initDb } from './config/db.config.js';
 import apiRouter from './routes/index.js';
 import { configurePassport } from './config/passport.config.js';
 import { initUploadThing } from './utils/uploadthing.js';
+import { rateLimitConfig } from './config/rateLimit.config.js';
+import { initMailTransport } from './utils/mailTransports.js';
+import { initTracking } from './utils/tracking.js';
 
 // Load environment variables early
 loadEnv();
 
 const app = express();
 
+// Behind a proxy (Vercel, load balancer) req.ip must come from X-Forwarded-For for rate limiting
+if (rateLimitConfig.trustProxy) {
+  const hops = Number(rateLimitConfig.trustProxy);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : rateLimitConfig.trustProxy);
+}
+
 // Configure passport strategies (Google, etc.)
 configurePassport();
 
 // Initialize UploadThing (non-blocking, will warn if config missing)
 initUploadThing();
 
+// Check the mail transport (non-blocking, will warn if mail can't be delivered; register real transports before this)
+initMailTransport();
+
+// Check the guest tracking token secret (non-blocking, will warn if missing or equal to JWT_SECRET)
+initTracking();
+
 // Core middlewares tuned for API performance & SEO-friendly SSR consumers
 app.use(helmet());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
 }));
 app.use(compression());
-app.use(express.json());
+app.use(express.json({
+  // Keep the exact raw body for payment webhooks (signature is computed over raw bytes)
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/v1/payments/webhooks')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 if (process.env.NODE_ENV !== 'production') {
   app.use(morgan('dev'));
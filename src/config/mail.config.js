@@ -0,0 +1,23 @@
+import { config as loadEnv } from 'dotenv';
+
+loadEnv();
+
+/**
+ * Mail Configuration
+ * Used by the mail transport registry (utils/mailTransports.js)
+ *
+ * Environment variables:
+ * - MAIL_TRANSPORT: Transport name - console | file | any registered transport
+ *   (default: console outside production; required in production, where console/file refuse to send)
+ * - MAIL_FROM: Sender address (default: IT Repair Hub <no-reply@itrepairhub.local>)
+ * - MAIL_FILE_PATH: Where the file transport appends messages (default: ./tmp/mail.log)
+ * - PASSWORD_RESET_URL: Frontend page that accepts a reset token
+ * - EMAIL_VERIFICATION_URL: Frontend page that accepts a verification token
+ */
+export const mailConfig = {
+  transport: (process.env.MAIL_TRANSPORT || (process.env.NODE_ENV !== 'production' ? 'console' : '')).trim().toLowerCase(),
+  from: process.env.MAIL_FROM || 'IT Repair Hub <no-reply@itrepairhub.local>',
+  filePath: process.env.MAIL_FILE_PATH || './tmp/mail.log',
+  passwordResetUrl: process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password',
+  emailVerificationUrl: process.env.EMAIL_VERIFICATION_URL || 'http://localhost:3000/verify-email',
+};
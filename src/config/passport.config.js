@@ -1,6 +1,7 @@
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
 import { getDb } from './db.config.js';
+import { addIdentity, findUserByIdentity } from '../utils/identities.js';
 
 export function configurePassport() {
   const {
@@ -27,20 +28,21 @@ export function configurePassport() {
           const email = profile.emails && profile.emails[0] ? profile.emails[0].value : null;
           const fullName = profile.displayName || '';
 
-          // Find existing google user or create one
-          const [rows] = await db.query(
-            'SELECT id, full_name, email, role FROM users WHERE auth_provider = ? AND provider_id = ? LIMIT 1',
-            ['google', profile.id]
-          );
+          // Find the user linked to this Google account, or create one
+          let user = await findUserByIdentity(db, 'google', profile.id);
+
+          if (!user) {
+            // An existing account must link Google explicitly after logging in
+            const [existing] = await db.query('SELECT id FROM users WHERE email = ? LIMIT 1', [email]);
+            if (existing.length > 0) {
+              return done(null, false);
+            }
 
-          let user;
-          if (rows.length > 0) {
-            user = rows[0];
-          } else {
             const [result] = await db.query(
-              'INSERT INTO users (full_name, email, auth_provider, provider_id) VALUES (?, ?, ?, ?)',
+              'INSERT INTO users (full_name, email, email_verified, email_verified_at, auth_provider, provider_id) VALUES (?, ?, 1, NOW(), ?, ?)',
               [fullName, email, 'google', profile.id]
             );
+            await addIdentity(db, result.insertId, 'google', profile.id, email);
 
             user = {
               id: result.insertId,
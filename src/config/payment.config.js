@@ -0,0 +1,34 @@
+import { config as loadEnv } from 'dotenv';
+
+loadEnv();
+
+/**
+ * Payment Gateway Configuration
+ * Used by the payment provider registry (utils/paymentProviders.js)
+ *
+ * Environment variables:
+ * - PAYMENT_CURRENCY: ISO currency code sent to gateways (default: pkr)
+ * - PAYMENT_RETURN_URL: Frontend URL the customer returns to after paying
+ * - STRIPE_SECRET_KEY: Stripe secret key (sk_live_... / sk_test_...)
+ * - STRIPE_WEBHOOK_SECRET: Stripe webhook signing secret (whsec_...)
+ * - LOCAL_GATEWAY_ENABLED: Set to "true" to accept local fake gateway webhooks and the simulate endpoint
+ * - LOCAL_GATEWAY_WEBHOOK_SECRET: HMAC secret for the local fake gateway webhooks (required when enabled)
+ */
+export const paymentConfig = {
+  currency: (process.env.PAYMENT_CURRENCY || 'pkr').trim().toLowerCase(),
+  returnUrl: process.env.PAYMENT_RETURN_URL || 'http://localhost:3000/checkout/complete',
+  stripe: {
+    secretKey: process.env.STRIPE_SECRET_KEY || '',
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || '',
+  },
+  localGateway: {
+    // Off unless explicitly enabled - NODE_ENV alone isn't enough (preview deployments aren't "production")
+    enabled: process.env.LOCAL_GATEWAY_ENABLED === 'true',
+    webhookSecret: process.env.LOCAL_GATEWAY_WEBHOOK_SECRET || '',
+  },
+};
+
+/**
+ * Gateways accepted by the payments.gateway enum
+ */
+export const PAYMENT_GATEWAYS = ['stripe', 'local_gateway', 'cash'];
@@ -0,0 +1,59 @@
+import { config as loadEnv } from 'dotenv';
+
+loadEnv();
+
+/**
+ * Rate Limit Configuration
+ * Used by the rate limiter (utils/rateLimiter.js) and middleware/rateLimit.middleware.js
+ *
+ * Environment variables:
+ * - RATE_LIMIT_ENABLED: Set to "false" to turn all limits off (default: true)
+ * - RATE_LIMIT_STORE: Where counters live (default: database on Vercel, memory otherwise) - memory | database
+ *   Serverless deployments (Vercel) run many short-lived instances that don't share memory
+ * - TRUST_PROXY: Express "trust proxy" setting so req.ip is the client, not the proxy (default: 1 on Vercel, off otherwise)
+ * - LOGIN_LOCKOUT_THRESHOLD: Failed logins for one email before it is locked (default: 5)
+ * - LOGIN_LOCKOUT_BASE_SECONDS: First lockout length; doubles with every further failure (default: 60)
+ * - LOGIN_LOCKOUT_MAX_SECONDS: Longest lockout (default: 3600)
+ * - LOGIN_FAILURE_WINDOW_SECONDS: How long failed logins are remembered (default: 86400)
+ * - TWO_FACTOR_MAX_ATTEMPTS: Wrong codes allowed per 2FA login challenge before it is invalidated (default: 5)
+ */
+export const rateLimitConfig = {
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+  store: (process.env.RATE_LIMIT_STORE || (process.env.VERCEL ? 'database' : 'memory')).trim().toLowerCase(),
+  trustProxy: process.env.TRUST_PROXY ?? (process.env.VERCEL ? '1' : ''),
+  loginLockout: {
+    threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5),
+    baseSeconds: Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS || 60),
+    maxSeconds: Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS || 3600),
+    failureWindowSeconds: Number(process.env.LOGIN_FAILURE_WINDOW_SECONDS || 86400),
+  },
+  twoFactorMaxAttempts: Number(process.env.TWO_FACTOR_MAX_ATTEMPTS || 5),
+};
+
+/**
+ * Limits per endpoint group: at most `max` requests per `windowSeconds`
+ * `ip` limits count per client IP, `identifier` limits count per email/account across all IPs.
+ */
+export const RATE_LIMIT_POLICIES = {
+  login: {
+    ip: { max: 20, windowSeconds: 15 * 60 },
+    identifier: { max: 10, windowSeconds: 15 * 60 },
+  },
+  login_two_factor: {
+    ip: { max: 10, windowSeconds: 15 * 60 },
+  },
+  register: {
+    ip: { max: 10, windowSeconds: 60 * 60 },
+  },
+  password_reset: {
+    ip: { max: 10, windowSeconds: 60 * 60 },
+    identifier: { max: 3, windowSeconds: 60 * 60 },
+  },
+  email_verification: {
+    ip: { max: 20, windowSeconds: 60 * 60 },
+  },
+  public_form: {
+    ip: { max: 10, windowSeconds: 60 * 60 },
+    identifier: { max: 5, windowSeconds: 60 * 60 },
+  },
+};
@@ -1,25 +1,75 @@
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { getDb } from '../config/db.config.js';
+import { mailConfig } from '../config/mail.config.js';
+import { sendMail } from '../utils/mailTransports.js';
+import { verifyGoogleIdToken } from '../utils/googleIdToken.js';
+import {
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  isTwoFactorChallengeExhausted,
+  recordTwoFactorFailure,
+} from '../utils/rateLimiter.js';
+import {
+  isTwoFactorRequired,
+  generateTotpSecret,
+  buildOtpauthUri,
+  encryptSecret,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} from '../utils/twoFactor.js';
+import { createAuthToken, consumeAuthToken, getAuthTokenTtlMinutes } from '../utils/authTokens.js';
+import {
+  createSession,
+  rotateSession,
+  findSessionIdByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} from '../utils/authSessions.js';
+import {
+  IDENTITY_PROVIDERS,
+  addIdentity,
+  findUserByIdentity,
+  hasIdentity,
+  getUserIdentities,
+} from '../utils/identities.js';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Re-authentication for sensitive account changes needs a Google sign-in at most this old
+const REAUTH_MAX_AGE_SECONDS = 5 * 60;
 
-const JWT_EXPIRES_IN = '7d';
+/**
+ * Email a verification link to a user
+ */
+async function sendVerificationEmail(db, user) {
+  const token = await createAuthToken(db, user.id, 'email_verification');
+  const hours = Math.round(getAuthTokenTtlMinutes('email_verification') / 60);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.full_name},\n\n`
+      + `Please confirm your email address for IT Repair Hub:\n`
+      + `${mailConfig.emailVerificationUrl}?token=${encodeURIComponent(token)}\n\n`
+      + `This link expires in ${hours} hours.`,
+  });
+}
 
-function signToken(user) {
-  const secret = process.env.JWT_SECRET;
-  if (!secret) {
-    throw new Error('JWT secret not configured');
+/**
+ * Finish the first sign-in step (password or Google)
+ * Users with 2FA get a challenge token for POST /auth/login/2fa instead of a session.
+ */
+async function signIn(db, user, req) {
+  const [rows] = await db.query('SELECT two_factor_enabled FROM users WHERE id = ? LIMIT 1', [user.id]);
+  if (rows[0]?.two_factor_enabled) {
+    return { requires_two_factor: true, challenge_token: createTwoFactorChallenge(user.id) };
   }
 
-  return jwt.sign(
-    {
-      id: user.id,
-      role: user.role,
-      full_name: user.full_name,
-      email: user.email,
-    },
-    secret,
-    { expiresIn: JWT_EXPIRES_IN }
-  );
+  const tokens = await createSession(db, user, req);
+  return isTwoFactorRequired(user.role) ? { ...tokens, two_factor_setup_required: true } : tokens;
 }
 
 export async function register(req, res) {
@@ -31,6 +81,13 @@ export async function register(req, res) {
         .json({ success: false, message: 'full_name, email, and password are required' });
     }
 
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
     const db = getDb();
 
     // Check if user already exists
@@ -45,21 +102,26 @@ export async function register(req, res) {
       'INSERT INTO users (full_name, email, phone_number, password_hash, auth_provider, role) VALUES (?, ?, ?, ?, ?, ?)',
       [full_name, email, phone_number || null, passwordHash, 'local', 'customer']
     );
+    await addIdentity(db, result.insertId, 'local', null, email);
 
     const user = {
       id: result.insertId,
       full_name,
       email,
       role: 'customer',
+      email_verified: false,
     };
 
-    const token = signToken(user);
+    const tokens = await signIn(db, user, req);
+
+    // Don't fail registration if the mail can't be sent - the user can ask for a new link
+    sendVerificationEmail(db, user).catch(err => console.error('Send verification email error:', err));
 
     return res.status(201).json({
       success: true,
       data: {
         user,
-        token,
+        ...tokens,
       },
     });
   } catch (err) {
@@ -83,6 +145,13 @@ export async function registerB2B(req, res) {
       });
     }
 
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
     const db = getDb();
 
     // Check if user already exists
@@ -110,6 +179,7 @@ export async function registerB2B(req, res) {
       );
 
       const userId = userResult.insertId;
+      await addIdentity(db, userId, 'local', null, email);
 
       // Create company with user as contact person
       const [companyResult] = await db.query(
@@ -124,15 +194,18 @@ export async function registerB2B(req, res) {
         full_name,
         email,
         role: 'business',
+        email_verified: false,
       };
 
-      const token = signToken(user);
+      const tokens = await signIn(db, user, req);
+
+      sendVerificationEmail(db, user).catch(mailErr => console.error('Send verification email error:', mailErr));
 
       return res.status(201).json({
         success: true,
         data: {
           user,
-          token,
+          ...tokens,
           company: {
             id: companyResult.insertId,
             company_name,
@@ -153,6 +226,15 @@ export async function registerB2B(req, res) {
   }
 }
 
+function sendLoginLocked(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts, please try again in ${Math.ceil(retryAfter / 60)} minute(s)`,
+    retry_after: retryAfter,
+  });
+}
+
 export async function login(req, res) {
   try {
     const { email, password } = req.body;
@@ -160,13 +242,22 @@ export async function login(req, res) {
       return res.status(400).json({ success: false, message: 'email and password are required' });
     }
 
+    // Progressive lockout after repeated failures for this email
+    const lockedFor = await getLoginLockout(email);
+    if (lockedFor > 0) {
+      return sendLoginLocked(res, lockedFor);
+    }
+
     const db = getDb();
 
     // Execute database query with error handling
     let rows;
     try {
       [rows] = await db.query(
-        'SELECT id, full_name, email, password_hash, role, auth_provider FROM users WHERE email = ? LIMIT 1',
+        `SELECT u.id, u.full_name, u.email, u.email_verified, u.password_hash, u.role, i.id as local_identity_id
+         FROM users u
+         LEFT JOIN user_identities i ON i.user_id = u.id AND i.provider = 'local'
+         WHERE u.email = ? LIMIT 1`,
         [email]
       );
     } catch (dbError) {
@@ -177,37 +268,46 @@ export async function login(req, res) {
     }
 
     if (rows.length === 0) {
+      // Count unknown emails too, so lockouts don't reveal which accounts exist
+      const lockSeconds = await recordLoginFailure(email);
+      if (lockSeconds > 0) return sendLoginLocked(res, lockSeconds);
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
 
     const userRow = rows[0];
 
-    if (userRow.auth_provider !== 'local') {
+    if (!userRow.local_identity_id) {
       return res.status(400).json({
         success: false,
-        message: `Please log in using ${userRow.auth_provider}`,
+        message: 'This account has no password, please log in using Google',
       });
     }
 
     const isMatch = await bcrypt.compare(password, userRow.password_hash || '');
     if (!isMatch) {
+      const lockSeconds = await recordLoginFailure(email);
+      if (lockSeconds > 0) return sendLoginLocked(res, lockSeconds);
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
 
+    await clearLoginFailures(email);
+    await db.query('UPDATE user_identities SET last_used_at = NOW() WHERE id = ?', [userRow.local_identity_id]);
+
     const user = {
       id: userRow.id,
       full_name: userRow.full_name,
       email: userRow.email,
       role: userRow.role,
+      email_verified: !!userRow.email_verified,
     };
 
-    const token = signToken(user);
+    const tokens = await signIn(db, user, req);
 
     return res.status(200).json({
       success: true,
       data: {
         user,
-        token,
+        ...tokens,
       },
     });
   } catch (err) {
@@ -222,42 +322,866 @@ export async function login(req, res) {
   }
 }
 
+/**
+ * Second login step for users with 2FA
+ * Public endpoint - needs the challenge token from the first step and a TOTP or recovery code
+ * Wrong codes count towards the account's login lockout, and a challenge is invalidated after
+ * TWO_FACTOR_MAX_ATTEMPTS wrong codes (the user must log in again)
+ */
+export async function verifyLoginTwoFactor(req, res) {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'challenge_token and code (or recovery_code) are required',
+      });
+    }
+
+    const challenge = verifyTwoFactorChallenge(challenge_token);
+    if (!challenge || (await isTwoFactorChallengeExhausted(challenge.challengeId))) {
+      return res.status(401).json({ success: false, message: 'Login has expired, please start again' });
+    }
+
+    const { userId, challengeId } = challenge;
+    const db = getDb();
+    const [rows] = await db.query(
+      'SELECT id, full_name, email, email_verified, role, two_factor_enabled FROM users WHERE id = ? LIMIT 1',
+      [userId]
+    );
+
+    if (rows.length === 0 || !rows[0].two_factor_enabled) {
+      return res.status(401).json({ success: false, message: 'Login has expired, please start again' });
+    }
+
+    // Wrong codes count towards the same per-account lockout as wrong passwords
+    const lockedFor = await getLoginLockout(rows[0].email);
+    if (lockedFor > 0) {
+      return sendLoginLocked(res, lockedFor);
+    }
+
+    if (!(await verifySecondFactor(db, userId, { code, recovery_code }))) {
+      const lockSeconds = await recordLoginFailure(rows[0].email);
+      const exhausted = await recordTwoFactorFailure(challengeId);
+      if (lockSeconds > 0) return sendLoginLocked(res, lockSeconds);
+      if (exhausted) {
+        return res.status(401).json({ success: false, message: 'Too many invalid codes, please log in again' });
+      }
+      return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    await clearLoginFailures(rows[0].email);
+
+    const user = {
+      id: rows[0].id,
+      full_name: rows[0].full_name,
+      email: rows[0].email,
+      role: rows[0].role,
+      email_verified: !!rows[0].email_verified,
+    };
+
+    const tokens = await createSession(db, user, req);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        user,
+        ...tokens,
+      },
+    });
+  } catch (err) {
+    console.error('Verify login 2FA error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * 2FA status of the logged-in user
+ * Requires authentication
+ */
+export async function getTwoFactorStatus(req, res) {
+  try {
+    const db = getDb();
+    const [rows] = await db.query(
+      'SELECT two_factor_enabled, two_factor_enabled_at FROM users WHERE id = ? LIMIT 1',
+      [req.user.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const [codeRows] = await db.query(
+      'SELECT COUNT(*) as total FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [req.user.id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        enabled: !!rows[0].two_factor_enabled,
+        enabled_at: rows[0].two_factor_enabled_at,
+        required: isTwoFactorRequired(req.user.role),
+        recovery_codes_remaining: codeRows[0].total,
+      },
+    });
+  } catch (err) {
+    console.error('Get 2FA status error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor status',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Start 2FA enrollment - creates a new secret to add to an authenticator app
+ * Requires authentication - 2FA isn't active until confirmed with POST /auth/2fa/enable
+ */
+export async function setupTwoFactor(req, res) {
+  try {
+    const db = getDb();
+    const [rows] = await db.query('SELECT two_factor_enabled FROM users WHERE id = ? LIMIT 1', [req.user.id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (rows[0].two_factor_enabled) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    await db.query('UPDATE users SET two_factor_pending_secret = ? WHERE id = ?', [encryptSecret(secret), req.user.id]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauth_uri: buildOtpauthUri(secret, req.user.email),
+      },
+      message: 'Add the secret to your authenticator app, then confirm with a code',
+    });
+  } catch (err) {
+    console.error('Setup 2FA error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to set up two-factor authentication',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Confirm enrollment with a code from the app and turn 2FA on
+ * Requires authentication - returns the recovery codes, which are only shown this once
+ */
+export async function enableTwoFactor(req, res) {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'code is required' });
+    }
+
+    const db = getDb();
+    const [rows] = await db.query(
+      'SELECT two_factor_enabled, two_factor_pending_secret FROM users WHERE id = ? LIMIT 1',
+      [req.user.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (rows[0].two_factor_enabled) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!rows[0].two_factor_pending_secret) {
+      return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+    }
+
+    const pendingSecret = rows[0].two_factor_pending_secret;
+    if (!(await verifySecondFactor(db, req.user.id, { code }, pendingSecret))) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    const [result] = await db.query(
+      `UPDATE users
+       SET two_factor_secret = two_factor_pending_secret, two_factor_pending_secret = NULL,
+           two_factor_enabled = 1, two_factor_enabled_at = NOW()
+       WHERE id = ? AND two_factor_enabled = 0 AND two_factor_pending_secret = ?`,
+      [req.user.id, pendingSecret]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ success: false, message: 'Two-factor setup changed, please start again' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(db, req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: { recovery_codes: recoveryCodes },
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+    });
+  } catch (err) {
+    console.error('Enable 2FA error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Turn 2FA off
+ * Requires authentication and a current code (or recovery code); not allowed where policy requires 2FA
+ */
+export async function disableTwoFactor(req, res) {
+  try {
+    const { code, recovery_code } = req.body;
+    if (!code && !recovery_code) {
+      return res.status(400).json({ success: false, message: 'code or recovery_code is required' });
+    }
+
+    if (isTwoFactorRequired(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your account and cannot be disabled',
+      });
+    }
+
+    if (!req.user.two_factor_enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    const db = getDb();
+    if (!(await verifySecondFactor(db, req.user.id, { code, recovery_code }))) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    await db.query(
+      `UPDATE users
+       SET two_factor_enabled = 0, two_factor_enabled_at = NULL, two_factor_secret = NULL,
+           two_factor_pending_secret = NULL, two_factor_last_step = NULL
+       WHERE id = ?`,
+      [req.user.id]
+    );
+    await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [req.user.id]);
+
+    return res.status(200).json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('Disable 2FA error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Replace the recovery codes (invalidates the old ones)
+ * Requires authentication and a current code
+ */
+export async function regenerateTwoFactorRecoveryCodes(req, res) {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'code is required' });
+    }
+
+    if (!req.user.two_factor_enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    const db = getDb();
+    if (!(await verifySecondFactor(db, req.user.id, { code }))) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(db, req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: { recovery_codes: recoveryCodes },
+      message: 'New recovery codes generated, the old ones no longer work',
+    });
+  } catch (err) {
+    console.error('Regenerate recovery codes error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Request a password reset link
+ * Public endpoint - always answers the same way so it can't be used to probe for accounts
+ */
+export async function forgotPassword(req, res) {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'email is required' });
+    }
+
+    const db = getDb();
+    const [rows] = await db.query('SELECT id, full_name, email FROM users WHERE email = ? LIMIT 1', [email]);
+
+    // Accounts without a password (Google only) have nothing to reset
+    if (rows.length > 0 && await hasIdentity(db, rows[0].id, 'local')) {
+      const user = rows[0];
+      const token = await createAuthToken(db, user.id, 'password_reset');
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.full_name},\n\n`
+          + `Use this link to choose a new password for IT Repair Hub:\n`
+          + `${mailConfig.passwordResetUrl}?token=${encodeURIComponent(token)}\n\n`
+          + `This link expires in ${getAuthTokenTtlMinutes('password_reset')} minutes. `
+          + `If you didn't ask for it, you can ignore this email.`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent',
+    });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Set a new password using a reset token
+ * Public endpoint - the token is single-use and proves ownership of the email, so it also verifies it
+ */
+export async function resetPassword(req, res) {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ success: false, message: 'token and password are required' });
+    }
+
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const db = getDb();
+    const userId = await consumeAuthToken(db, token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    await db.query(
+      `UPDATE users
+       SET password_hash = ?, email_verified = 1, email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = ?`,
+      [passwordHash, userId]
+    );
+
+    // Whoever knew the old password may still be logged in
+    await revokeAllSessions(db, userId);
+
+    return res.status(200).json({ success: true, message: 'Password has been reset, you can now log in' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Confirm an email address using a verification token
+ * Public endpoint
+ */
+export async function verifyEmail(req, res) {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ success: false, message: 'token is required' });
+    }
+
+    const db = getDb();
+    const userId = await consumeAuthToken(db, token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Verification link is invalid or has expired' });
+    }
+
+    await db.query(
+      'UPDATE users SET email_verified = 1, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?',
+      [userId]
+    );
+
+    return res.status(200).json({ success: true, message: 'Email address verified' });
+  } catch (err) {
+    console.error('Verify email error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify email',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Send a fresh verification link to the logged-in user
+ * Requires authentication
+ */
+export async function resendVerificationEmail(req, res) {
+  try {
+    const db = getDb();
+    const [rows] = await db.query(
+      'SELECT id, full_name, email, email_verified FROM users WHERE id = ? LIMIT 1',
+      [req.user.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (rows[0].email_verified) {
+      return res.status(400).json({ success: false, message: 'Email address is already verified' });
+    }
+
+    await sendVerificationEmail(db, rows[0]);
+
+    return res.status(200).json({ success: true, message: 'Verification email sent' });
+  } catch (err) {
+    console.error('Resend verification email error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * Public endpoint - the refresh token is rotated, the old one stops working
+ */
+export async function refreshSession(req, res) {
+  try {
+    const { refresh_token } = req.body;
+    if (!refresh_token) {
+      return res.status(400).json({ success: false, message: 'refresh_token is required' });
+    }
+
+    const result = await rotateSession(getDb(), refresh_token);
+
+    if (result?.reused) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token was already used, the session has been revoked. Please log in again',
+      });
+    }
+
+    if (!result) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        user: result.user,
+        ...result.tokens,
+      },
+    });
+  } catch (err) {
+    console.error('Refresh session error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Log out of the current session
+ * Accepts the access token (optional auth) or the refresh token, so an expired access token can still log out
+ */
+export async function logout(req, res) {
+  try {
+    const db = getDb();
+    const sessionId = req.user?.session_id || await findSessionIdByRefreshToken(db, req.body?.refresh_token);
+
+    if (!sessionId) {
+      return res.status(400).json({ success: false, message: 'A valid access token or refresh_token is required' });
+    }
+
+    await revokeSession(db, sessionId);
+
+    return res.status(200).json({ success: true, message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Log out of every session of the user (all devices)
+ * Requires authentication
+ */
+export async function logoutAll(req, res) {
+  try {
+    const revoked = await revokeAllSessions(getDb(), req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: { revoked_sessions: revoked },
+      message: 'Logged out of all devices',
+    });
+  } catch (err) {
+    console.error('Logout all error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * List the sign-in methods of the logged-in user
+ * Requires authentication
+ */
+export async function getMyIdentities(req, res) {
+  try {
+    const identities = await getUserIdentities(getDb(), req.user.id);
+    return res.status(200).json({ success: true, data: identities });
+  } catch (err) {
+    console.error('Get identities error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sign-in methods',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Link a Google account to the logged-in user
+ * Requires authentication
+ */
+export async function linkGoogleIdentity(req, res) {
+  try {
+    const { credential } = req.body;
+    if (!credential) {
+      return res.status(400).json({ success: false, message: 'credential is required' });
+    }
+
+    const googleProfile = await verifyGoogleIdToken(credential);
+    if (!googleProfile) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired Google credential' });
+    }
+
+    const { email, sub } = googleProfile;
+    const db = getDb();
+
+    const linkedUser = await findUserByIdentity(db, 'google', sub);
+    if (linkedUser) {
+      return res.status(409).json({
+        success: false,
+        message: linkedUser.id === req.user.id
+          ? 'This Google account is already linked'
+          : 'This Google account is linked to another user',
+      });
+    }
+
+    if (await hasIdentity(db, req.user.id, 'google')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another Google account is already linked, unlink it first',
+      });
+    }
+
+    await addIdentity(db, req.user.id, 'google', sub, email);
+
+    return res.status(201).json({
+      success: true,
+      data: await getUserIdentities(db, req.user.id),
+      message: 'Google account linked',
+    });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, message: 'This Google account is already linked' });
+    }
+    console.error('Link Google identity error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to link Google account',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Add a password to an account that only signs in with Google
+ * Requires authentication and re-authentication: a fresh Google credential for the linked Google
+ * account, plus a 2FA code when 2FA is on (a stolen access token alone can't add a password)
+ * Body: { password, credential, code?, recovery_code? }
+ */
+export async function linkLocalIdentity(req, res) {
+  try {
+    const { password, credential, code, recovery_code } = req.body;
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    if (!credential) {
+      return res.status(400).json({
+        success: false,
+        message: 'credential is required, please sign in with Google again to confirm',
+      });
+    }
+
+    const db = getDb();
+
+    if (await hasIdentity(db, req.user.id, 'local')) {
+      return res.status(409).json({ success: false, message: 'This account already has a password' });
+    }
+
+    const googleProfile = await verifyGoogleIdToken(credential);
+    if (!googleProfile?.issued_at || Date.now() / 1000 - googleProfile.issued_at > REAUTH_MAX_AGE_SECONDS) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired Google credential' });
+    }
+
+    const linkedUser = await findUserByIdentity(db, 'google', googleProfile.sub);
+    if (!linkedUser || linkedUser.id !== req.user.id) {
+      return res.status(401).json({ success: false, message: 'Google account does not match this account' });
+    }
+
+    if (req.user.two_factor_enabled) {
+      if (!code && !recovery_code) {
+        return res.status(400).json({ success: false, message: 'code (or recovery_code) is required' });
+      }
+      if (!(await verifySecondFactor(db, req.user.id, { code, recovery_code }))) {
+        return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+      }
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    await db.query('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, req.user.id]);
+    await addIdentity(db, req.user.id, 'local', null, req.user.email);
+
+    return res.status(201).json({
+      success: true,
+      data: await getUserIdentities(db, req.user.id),
+      message: 'Password added, you can now log in with your email',
+    });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, message: 'This account already has a password' });
+    }
+    console.error('Link local identity error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add password',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Remove a sign-in method from the logged-in user
+ * Requires authentication - the last remaining method can't be removed
+ */
+export async function unlinkIdentity(req, res) {
+  const { provider } = req.params;
+  if (!IDENTITY_PROVIDERS.includes(provider)) {
+    return res.status(400).json({
+      success: false,
+      message: `provider must be one of: ${IDENTITY_PROVIDERS.join(', ')}`,
+    });
+  }
+
+  const db = await getDb().getConnection();
+
+  try {
+    await db.query('START TRANSACTION');
+
+    try {
+      // Lock the user's identities so two unlinks can't remove the last two methods at once
+      const [identities] = await db.query(
+        'SELECT id, provider FROM user_identities WHERE user_id = ? FOR UPDATE',
+        [req.user.id]
+      );
+
+      const identity = identities.find(row => row.provider === provider);
+      if (!identity) {
+        await db.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'This sign-in method is not linked' });
+      }
+
+      if (identities.length === 1) {
+        await db.query('ROLLBACK');
+        return res.status(400).json({ success: false, message: 'You cannot remove your only sign-in method' });
+      }
+
+      await db.query('DELETE FROM user_identities WHERE id = ?', [identity.id]);
+      if (provider === 'local') {
+        await db.query('UPDATE users SET password_hash = NULL WHERE id = ?', [req.user.id]);
+      }
+
+      await db.query('COMMIT');
+    } catch (err) {
+      await db.query('ROLLBACK');
+      throw err;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await getUserIdentities(db, req.user.id),
+      message: 'Sign-in method removed',
+    });
+  } catch (err) {
+    console.error('Unlink identity error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove sign-in method',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
+
 // Called after successful passport Google auth
-export function googleCallbackHandler(req, res) {
+// Tokens never go in the redirect URL (browser history, logs, Referer) - only a short-lived
+// single-use code, which the frontend exchanges via POST /auth/google/exchange
+export async function googleCallbackHandler(req, res) {
   try {
-    const user = req.user;
-    const token = signToken(user);
+    const code = await createAuthToken(getDb(), req.user.id, 'google_sign_in');
 
     const redirectBase = process.env.GOOGLE_SUCCESS_REDIRECT || 'http://localhost:3000/auth/success';
-    const redirectUrl = `${redirectBase}?token=${encodeURIComponent(token)}`;
-
-    return res.redirect(302, redirectUrl);
+    return res.redirect(302, `${redirectBase}?code=${encodeURIComponent(code)}`);
   } catch (err) {
+    console.error('Google callback error:', err);
     return res.status(500).json({ success: false, message: 'Google auth failed' });
   }
 }
 
+/**
+ * Exchange the code from the Google redirect for a session
+ * Public endpoint - Body: { code }. The code works once and expires after GOOGLE_SIGN_IN_CODE_TTL_MINUTES.
+ * Responds like POST /auth/login (a 2FA challenge token instead of a session for users with 2FA)
+ */
+export async function exchangeGoogleSignInCode(req, res) {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'code is required' });
+    }
+
+    const db = getDb();
+    const userId = await consumeAuthToken(db, code, 'google_sign_in');
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Sign-in code is invalid or has expired' });
+    }
+
+    const [rows] = await db.query(
+      'SELECT id, full_name, email, email_verified, role FROM users WHERE id = ? LIMIT 1',
+      [userId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(400).json({ success: false, message: 'Sign-in code is invalid or has expired' });
+    }
+
+    const user = {
+      id: rows[0].id,
+      full_name: rows[0].full_name,
+      email: rows[0].email,
+      role: rows[0].role,
+      email_verified: !!rows[0].email_verified,
+    };
+
+    const tokens = await signIn(db, user, req);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        user,
+        ...tokens,
+      },
+    });
+  } catch (err) {
+    console.error('Google sign-in code exchange error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Google auth failed',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Google sign-in found an existing account with the same email that isn't linked to this Google account
+ * Linking is never automatic: the user logs in with their existing method and links Google from their account.
+ */
+function linkRequiredResponse(res) {
+  return res.status(409).json({
+    success: false,
+    message: 'An account with this email already exists. Log in with your password and link Google from your account settings.',
+    requiresLinking: true,
+  });
+}
+
 // Handle Google Identity Services credential token (new method)
 export async function googleCredentialAuth(req, res) {
   try {
-    const { credential, email, name, sub, picture, isRegisterPage, isB2B, company_name, tax_id, phone_number } = req.body;
+    const { credential, isRegisterPage, isB2B, company_name, tax_id, phone_number } = req.body;
 
-    // For B2B without credential (second step), email and sub are required
-    // For regular flow, credential is required
-    if (!isB2B && !credential) {
+    // Both steps of the B2B flow send the credential too - identity only ever comes from it
+    if (!credential) {
       return res.status(400).json({
         success: false,
         message: 'Google credential is required',
       });
     }
 
-    if (!email || !sub) {
-      return res.status(400).json({
+    const googleProfile = await verifyGoogleIdToken(credential);
+    if (!googleProfile) {
+      return res.status(401).json({
         success: false,
-        message: 'Email and sub are required',
+        message: 'Invalid or expired Google credential',
       });
     }
 
+    const { email, name, sub, picture } = googleProfile;
+
     const db = getDb();
 
     // PRIORITY: Handle B2B registration with company details (second step of B2B flow)
@@ -283,64 +1207,29 @@ export async function googleCredentialAuth(req, res) {
         });
       }
 
-      // Check if user already exists with this Google provider_id (user might have completed registration already)
-      const [existingByProvider] = await db.query(
-        'SELECT id, full_name, email, role, auth_provider FROM users WHERE provider_id = ? AND auth_provider = ? LIMIT 1',
-        [sub, 'google']
-      );
+      // Check if this Google account is already linked (user might have completed registration already)
+      const linkedUser = await findUserByIdentity(db, 'google', sub);
 
-      if (existingByProvider.length > 0) {
+      if (linkedUser) {
         // User already exists, just log them in
         const user = {
-          id: existingByProvider[0].id,
-          full_name: existingByProvider[0].full_name,
-          email: existingByProvider[0].email,
-          role: existingByProvider[0].role,
+          id: linkedUser.id,
+          full_name: linkedUser.full_name,
+          email: linkedUser.email,
+          role: linkedUser.role,
         };
-        const token = signToken(user);
+        const tokens = await signIn(db, user, req);
         return res.status(200).json({
           success: true,
-          data: { user, token },
+          data: { user, ...tokens },
           message: 'Successfully signed in with Google',
         });
       }
 
-      // Check if user exists with same email but different auth provider
-      const [existingByEmail] = await db.query(
-        'SELECT id, full_name, email, role, auth_provider, provider_id FROM users WHERE email = ? LIMIT 1',
-        [email]
-      );
-
+      // An account with this email that isn't linked to this Google account must link it explicitly
+      const [existingByEmail] = await db.query('SELECT id FROM users WHERE email = ? LIMIT 1', [email]);
       if (existingByEmail.length > 0) {
-        const existingUser = existingByEmail[0];
-        // If user exists with local auth, we can link Google account
-        if (existingUser.auth_provider === 'local') {
-          // Update user to link Google account
-          await db.query(
-            'UPDATE users SET auth_provider = ?, provider_id = ? WHERE id = ?',
-            ['google', sub, existingUser.id]
-          );
-          const user = {
-            id: existingUser.id,
-            full_name: existingUser.full_name,
-            email: existingUser.email,
-            role: existingUser.role,
-          };
-          const token = signToken(user);
-          return res.status(200).json({
-            success: true,
-            data: { user, token },
-            message: 'Your account has been linked with Google',
-            accountLinked: true,
-          });
-        }
-        // If email exists with different Google account, return error
-        if (existingUser.auth_provider === 'google' && existingUser.provider_id !== sub) {
-          return res.status(409).json({
-            success: false,
-            message: 'This email is already associated with a different Google account.',
-          });
-        }
+        return linkRequiredResponse(res);
       }
 
       // NEW USER: Create user first, then company (in transaction)
@@ -351,11 +1240,12 @@ export async function googleCredentialAuth(req, res) {
       try {
         // Step 1: Create user FIRST (this is critical - user must exist before company)
         const [userResult] = await db.query(
-          'INSERT INTO users (full_name, email, phone_number, auth_provider, provider_id, role) VALUES (?, ?, ?, ?, ?, ?)',
+          'INSERT INTO users (full_name, email, email_verified, email_verified_at, phone_number, auth_provider, provider_id, role) VALUES (?, ?, 1, NOW(), ?, ?, ?, ?)',
           [name || email.split('@')[0], email, phone_number || null, 'google', sub, 'business']
         );
 
         const userId = userResult.insertId;
+        await addIdentity(db, userId, 'google', sub, email);
 
         // Step 2: Create company with the newly created user's ID (foreign key relationship)
         const [companyResult] = await db.query(
@@ -372,13 +1262,13 @@ export async function googleCredentialAuth(req, res) {
           role: 'business',
         };
 
-        const token = signToken(user);
+        const tokens = await signIn(db, user, req);
 
         return res.status(201).json({
           success: true,
           data: {
             user,
-            token,
+            ...tokens,
             company: {
               id: companyResult.insertId,
               company_name,
@@ -402,63 +1292,28 @@ export async function googleCredentialAuth(req, res) {
 
     // If B2B but missing company details, return special response (first step of B2B flow)
     if (isB2BFlag && (!hasCompanyName || !hasTaxId)) {
-      // First, check if user exists with this Google provider_id
-      const [existingByProvider] = await db.query(
-        'SELECT id, full_name, email, role, auth_provider FROM users WHERE provider_id = ? AND auth_provider = ? LIMIT 1',
-        [sub, 'google']
-      );
+      // First, check if this Google account is already linked
+      const linkedUser = await findUserByIdentity(db, 'google', sub);
 
-      if (existingByProvider.length > 0) {
+      if (linkedUser) {
         // User already exists, log them in
         const user = {
-          id: existingByProvider[0].id,
-          full_name: existingByProvider[0].full_name,
-          email: existingByProvider[0].email,
-          role: existingByProvider[0].role,
+          id: linkedUser.id,
+          full_name: linkedUser.full_name,
+          email: linkedUser.email,
+          role: linkedUser.role,
         };
-        const token = signToken(user);
+        const tokens = await signIn(db, user, req);
         return res.status(200).json({
           success: true,
-          data: { user, token },
+          data: { user, ...tokens },
           message: 'Successfully signed in with Google',
         });
       }
 
-      // Check if email exists
-      const [existingByEmail] = await db.query(
-        'SELECT id, full_name, email, role, auth_provider, provider_id FROM users WHERE email = ? LIMIT 1',
-        [email]
-      );
-
+      const [existingByEmail] = await db.query('SELECT id FROM users WHERE email = ? LIMIT 1', [email]);
       if (existingByEmail.length > 0) {
-        const existingUser = existingByEmail[0];
-        // If user exists with local auth, link Google account
-        if (existingUser.auth_provider === 'local') {
-          await db.query(
-            'UPDATE users SET auth_provider = ?, provider_id = ? WHERE id = ?',
-            ['google', sub, existingUser.id]
-          );
-          const user = {
-            id: existingUser.id,
-            full_name: existingUser.full_name,
-            email: existingUser.email,
-            role: existingUser.role,
-          };
-          const token = signToken(user);
-          return res.status(200).json({
-            success: true,
-            data: { user, token },
-            message: 'Your account has been linked with Google',
-            accountLinked: true,
-          });
-        }
-        // If email exists but with different Google account, return error
-        if (existingUser.auth_provider === 'google' && existingUser.provider_id !== sub) {
-          return res.status(409).json({
-            success: false,
-            message: 'This email is already associated with a different Google account.',
-          });
-        }
+        return linkRequiredResponse(res);
       }
 
       // New user for B2B - return company details form
@@ -476,77 +1331,35 @@ export async function googleCredentialAuth(req, res) {
     }
 
     // Regular Google auth flow (non-B2B)
-    // First, check if user exists with this Google provider_id
-    const [existingByProvider] = await db.query(
-      'SELECT id, full_name, email, role, auth_provider FROM users WHERE provider_id = ? AND auth_provider = ? LIMIT 1',
-      [sub, 'google']
-    );
+    // First, check if this Google account is already linked
+    const linkedUser = await findUserByIdentity(db, 'google', sub);
 
-    if (existingByProvider.length > 0) {
+    if (linkedUser) {
       // User already has Google account linked, log them in
       const user = {
-        id: existingByProvider[0].id,
-        full_name: existingByProvider[0].full_name,
-        email: existingByProvider[0].email,
-        role: existingByProvider[0].role,
+        id: linkedUser.id,
+        full_name: linkedUser.full_name,
+        email: linkedUser.email,
+        role: linkedUser.role,
       };
 
-      const token = signToken(user);
+      const tokens = await signIn(db, user, req);
 
       return res.status(200).json({
         success: true,
         data: {
           user,
-          token,
+          ...tokens,
         },
         message: 'Successfully signed in with Google',
       });
     }
 
-    // Check if email exists with any auth provider
-    const [existingByEmail] = await db.query(
-      'SELECT id, full_name, email, role, auth_provider, provider_id FROM users WHERE email = ? LIMIT 1',
-      [email]
-    );
+    // Check if email exists with any sign-in method
+    const [existingByEmail] = await db.query('SELECT id FROM users WHERE email = ? LIMIT 1', [email]);
 
     if (existingByEmail.length > 0) {
-      const existingUser = existingByEmail[0];
-
-      // If user exists with local auth, link Google account
-      if (existingUser.auth_provider === 'local') {
-        // Update user to link Google account
-        await db.query(
-          'UPDATE users SET auth_provider = ?, provider_id = ? WHERE id = ?',
-          ['google', sub, existingUser.id]
-        );
-
-        const user = {
-          id: existingUser.id,
-          full_name: existingUser.full_name,
-          email: existingUser.email,
-          role: existingUser.role,
-        };
-
-        const token = signToken(user);
-
-        return res.status(200).json({
-          success: true,
-          data: {
-            user,
-            token,
-          },
-          message: 'Your account has been linked with Google',
-          accountLinked: true,
-        });
-      }
-
-      // If email exists but with different Google account, return error
-      if (existingUser.auth_provider === 'google' && existingUser.provider_id !== sub) {
-        return res.status(409).json({
-          success: false,
-          message: 'This email is already associated with a different Google account.',
-        });
-      }
+      return linkRequiredResponse(res);
     }
 
     // If no user found and trying to sign in (not register), require registration
@@ -571,9 +1384,10 @@ export async function googleCredentialAuth(req, res) {
     // Create new user (only if on register page or if explicitly allowed)
     if (isRegisterPage || existingByEmail.length === 0) {
       const [result] = await db.query(
-        'INSERT INTO users (full_name, email, auth_provider, provider_id, role) VALUES (?, ?, ?, ?, ?)',
+        'INSERT INTO users (full_name, email, email_verified, email_verified_at, auth_provider, provider_id, role) VALUES (?, ?, 1, NOW(), ?, ?, ?)',
         [name || email.split('@')[0], email, 'google', sub, 'customer']
       );
+      await addIdentity(db, result.insertId, 'google', sub, email);
 
       const user = {
         id: result.insertId,
@@ -582,13 +1396,13 @@ export async function googleCredentialAuth(req, res) {
         role: 'customer',
       };
 
-      const token = signToken(user);
+      const tokens = await signIn(db, user, req);
 
       return res.status(200).json({
         success: true,
         data: {
           user,
-          token,
+          ...tokens,
         },
         message: 'Account created successfully with Google',
       });
@@ -600,6 +1414,7 @@ export async function googleCredentialAuth(req, res) {
       message: 'Unable to process Google authentication',
     });
   } catch (err) {
+    console.error('Google credential auth error:', err);
     return res.status(500).json({ success: false, message: 'Google authentication failed' });
   }
   
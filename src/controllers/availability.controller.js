@@ -0,0 +1,278 @@
+import { getDb } from '../config/db.config.js';
+import { getDayAvailability, isValidDate, isValidTime } from '../utils/scheduling.js';
+
+/**
+ * Get bookable slots for a service on a date
+ * Public endpoint - used by the booking calendar
+ * Query: service_id, date (YYYY-MM-DD)
+ */
+export async function getAvailability(req, res) {
+  try {
+    const { service_id, date } = req.query;
+
+    if (!service_id || !isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'service_id and date (YYYY-MM-DD) are required',
+      });
+    }
+
+    const db = getDb();
+
+    const [serviceRows] = await db.query(
+      'SELECT id, name, slot_minutes FROM services WHERE id = ? AND is_active = 1 LIMIT 1',
+      [service_id]
+    );
+
+    if (serviceRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found',
+      });
+    }
+
+    const availability = await getDayAvailability(db, serviceRows[0], date);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        service_id: serviceRows[0].id,
+        ...availability,
+      },
+    });
+  } catch (err) {
+    console.error('Get availability error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch availability',
+    });
+  }
+}
+
+/**
+ * Get weekly business hours
+ * Public endpoint
+ */
+export async function getBusinessHours(req, res) {
+  try {
+    const db = getDb();
+
+    const [rows] = await db.query(
+      'SELECT day_of_week, open_time, close_time, is_closed FROM business_hours ORDER BY day_of_week ASC'
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: rows,
+    });
+  } catch (err) {
+    console.error('Get business hours error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch business hours',
+    });
+  }
+}
+
+/**
+ * Set business hours for one or more weekdays
+ * Admin only - requires authentication
+ * Body: { hours: [{ day_of_week (0 = Sunday), open_time, close_time, is_closed }] }
+ */
+export async function updateBusinessHours(req, res) {
+  const db = await getDb().getConnection();
+
+  try {
+    const { hours } = req.body;
+
+    if (!Array.isArray(hours) || hours.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'hours must be a non-empty array',
+      });
+    }
+
+    for (const day of hours) {
+      if (!Number.isInteger(day.day_of_week) || day.day_of_week < 0 || day.day_of_week > 6) {
+        return res.status(400).json({
+          success: false,
+          message: 'day_of_week must be an integer from 0 (Sunday) to 6 (Saturday)',
+        });
+      }
+
+      if (!day.is_closed) {
+        if (!isValidTime(day.open_time) || !isValidTime(day.close_time)) {
+          return res.status(400).json({
+            success: false,
+            message: 'open_time and close_time (HH:MM) are required for open days',
+          });
+        }
+        if (day.close_time <= day.open_time) {
+          return res.status(400).json({
+            success: false,
+            message: 'close_time must be after open_time',
+          });
+        }
+      }
+    }
+
+    try {
+      await db.query('START TRANSACTION');
+
+      for (const day of hours) {
+        await db.query(
+          `INSERT INTO business_hours (day_of_week, open_time, close_time, is_closed)
+           VALUES (?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE open_time = VALUES(open_time), close_time = VALUES(close_time), is_closed = VALUES(is_closed)`,
+          [
+            day.day_of_week,
+            day.is_closed ? null : day.open_time,
+            day.is_closed ? null : day.close_time,
+            day.is_closed ? 1 : 0,
+          ]
+        );
+      }
+
+      await db.query('COMMIT');
+    } catch (err) {
+      await db.query('ROLLBACK');
+      throw err;
+    }
+
+    const [rows] = await db.query(
+      'SELECT day_of_week, open_time, close_time, is_closed FROM business_hours ORDER BY day_of_week ASC'
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: rows,
+      message: 'Business hours updated successfully',
+    });
+  } catch (err) {
+    console.error('Update business hours error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update business hours',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Get blackout dates (holidays, closures)
+ * Public endpoint - upcoming dates only unless include_past=true
+ */
+export async function getBlackoutDates(req, res) {
+  try {
+    const { include_past } = req.query;
+    const db = getDb();
+
+    const [rows] = await db.query(
+      `SELECT id, blackout_date, reason
+       FROM booking_blackout_dates
+       ${include_past === 'true' ? '' : 'WHERE blackout_date >= CURDATE()'}
+       ORDER BY blackout_date ASC`
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: rows,
+    });
+  } catch (err) {
+    console.error('Get blackout dates error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blackout dates',
+    });
+  }
+}
+
+/**
+ * Add a blackout date
+ * Admin only - requires authentication
+ * Body: { blackout_date (YYYY-MM-DD), reason? }
+ * Existing bookings on that date are not touched
+ */
+export async function createBlackoutDate(req, res) {
+  try {
+    const { blackout_date, reason } = req.body;
+
+    if (!isValidDate(blackout_date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'blackout_date (YYYY-MM-DD) is required',
+      });
+    }
+
+    const db = getDb();
+
+    const [result] = await db.query(
+      'INSERT INTO booking_blackout_dates (blackout_date, reason) VALUES (?, ?)',
+      [blackout_date, reason?.trim() || null]
+    );
+
+    // Let admins know which bookings now fall on a closed day
+    const [bookingRows] = await db.query(
+      "SELECT COUNT(*) as total FROM bookings WHERE booking_date = ? AND status IN ('pending', 'confirmed')",
+      [blackout_date]
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        id: result.insertId,
+        blackout_date,
+        reason: reason?.trim() || null,
+        affected_bookings: bookingRows[0].total,
+      },
+      message: 'Blackout date added successfully',
+    });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'Blackout date already exists',
+      });
+    }
+
+    console.error('Create blackout date error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add blackout date',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Remove a blackout date
+ * Admin only - requires authentication
+ */
+export async function deleteBlackoutDate(req, res) {
+  try {
+    const { id } = req.params;
+    const db = getDb();
+
+    const [result] = await db.query('DELETE FROM booking_blackout_dates WHERE id = ?', [id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blackout date not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Blackout date removed successfully',
+    });
+  } catch (err) {
+    console.error('Delete blackout date error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove blackout date',
+    });
+  }
+}
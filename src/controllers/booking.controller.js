@@ -1,4 +1,54 @@
 import { getDb } from '../config/db.config.js';
+import { buildGuestTracking, formatReference, parseReference, verifyTrackingToken } from '../utils/tracking.js';
+import {
+  checkSlotAvailability,
+  findTechnicianClash,
+  getChangeCutoffHours,
+  getServiceSlotMinutes,
+  isValidDate,
+  isValidTime,
+  lockScheduleDay,
+} from '../utils/scheduling.js';
+import { issueRefund } from '../utils/refunds.js';
+import { getEnabledPaymentGateways } from '../utils/paymentProviders.js';
+
+/**
+ * Check whether the requester may change a booking
+ * - Logged-in: owner or admin
+ * - Guest: tracking token returned at booking creation
+ */
+function canManageBooking(req, booking, trackingToken) {
+  if (req.user) {
+    return req.user.role === 'admin' || booking.user_id === req.user.id;
+  }
+
+  if (!trackingToken || !booking.guest_id) {
+    return false;
+  }
+
+  const tracking = verifyTrackingToken('booking', trackingToken);
+  return !!tracking && tracking.id === booking.id && tracking.guest_id === booking.guest_id;
+}
+
+/**
+ * Whether the booking's current slot is still outside the change cut-off window
+ * Admins are not bound by the cut-off
+ */
+function isBeforeChangeCutoff(req, booking) {
+  if (req.user?.role === 'admin') return true;
+
+  const slotStart = new Date(`${booking.booking_day}T${booking.booking_time}`);
+  return slotStart.getTime() - Date.now() >= getChangeCutoffHours() * 60 * 60 * 1000;
+}
+
+// Booking fields needed to reschedule/cancel (date formatted to avoid timezone shifts)
+const MANAGE_BOOKING_SQL = `SELECT 
+    b.id, b.user_id, b.guest_id, b.service_id, b.technician_id, b.job_status, b.status, b.coupon_code,
+    DATE_FORMAT(b.booking_date, '%Y-%m-%d') as booking_day, b.booking_time,
+    s.slot_minutes, s.is_active
+  FROM bookings b
+  INNER JOIN services s ON b.service_id = s.id
+  WHERE b.id = ? LIMIT 1`;
 
 /**
  * Create a new service booking
@@ -14,7 +64,8 @@ import { getDb } from '../config/db.config.js';
  * 4. If price_type = 'fixed': Create payment with pending status
  */
 export async function createBooking(req, res) {
-  const db = getDb();
+  // Dedicated connection so the slot capacity check and insert run in one real transaction
+  const db = await getDb().getConnection();
   
   // Start transaction for data integrity
   await db.query('START TRANSACTION');
@@ -45,18 +96,17 @@ export async function createBooking(req, res) {
       });
     }
 
-    // Validate booking_date and booking_time
-    const bookingDateTime = new Date(`${booking_date}T${booking_time}`);
-    if (isNaN(bookingDateTime.getTime())) {
+    // Validate booking_date and booking_time (a real day, local wall-clock time without offset)
+    if (!isValidDate(booking_date) || !isValidTime(booking_time)) {
       await db.query('ROLLBACK');
       return res.status(400).json({
         success: false,
-        message: 'Invalid booking_date or booking_time format',
+        message: 'Invalid booking_date or booking_time format (YYYY-MM-DD and HH:MM)',
       });
     }
 
     // Check if booking is in the future
-    if (bookingDateTime <= new Date()) {
+    if (new Date(`${booking_date}T${booking_time}`) <= new Date()) {
       await db.query('ROLLBACK');
       return res.status(400).json({
         success: false,
@@ -64,6 +114,9 @@ export async function createBooking(req, res) {
       });
     }
 
+    // Serialize bookings for this day so two requests can't both take the last free slot
+    await lockScheduleDay(db, booking_date);
+
     // Check if user is logged in
     const isLoggedIn = !!req.user?.id;
     let userId = null;
@@ -72,7 +125,7 @@ export async function createBooking(req, res) {
 
     // Step 1: Validate service exists and get price_type with discount
     const [serviceRows] = await db.query(
-      'SELECT id, name, price_type, price, discount_percentage, is_active FROM services WHERE id = ? LIMIT 1',
+      'SELECT id, name, price_type, price, discount_percentage, slot_minutes, is_active FROM services WHERE id = ? LIMIT 1',
       [service_id]
     );
 
@@ -94,6 +147,17 @@ export async function createBooking(req, res) {
       });
     }
 
+    // Check working hours, blackout dates and slot capacity
+    const slotProblem = await checkSlotAvailability(db, service, booking_date, booking_time);
+    if (slotProblem) {
+      await db.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: slotProblem.message,
+        reason: slotProblem.reason,
+      });
+    }
+
     // Step 2: Handle address/guest_details based on authentication
     if (isLoggedIn) {
       // Logged-in user flow
@@ -305,15 +369,13 @@ export async function createBooking(req, res) {
     // Step 6: Create payment if price_type is 'fixed'
     let payment = null;
     if (service.price_type === 'fixed' && totalAmount !== null) {
-      // Use provided gateway or default to 'local_gateway'
-      const gateway = payment_gateway || 'local_gateway';
-      
-      // Validate gateway
-      if (!['local_gateway', 'cash', 'stripe'].includes(gateway)) {
+      // The customer picks a gateway explicitly - there's no default, least of all the fake one
+      const enabledGateways = getEnabledPaymentGateways();
+      if (!enabledGateways.includes(payment_gateway)) {
         await db.query('ROLLBACK');
         return res.status(400).json({
           success: false,
-          message: 'Invalid payment gateway',
+          message: `payment_gateway must be one of: ${enabledGateways.join(', ')}`,
         });
       }
 
@@ -325,7 +387,7 @@ export async function createBooking(req, res) {
           guestId,
           bookingId,
           totalAmount, // Use total_amount (after all discounts)
-          gateway,
+          payment_gateway,
           'pending',
         ]
       );
@@ -339,6 +401,10 @@ export async function createBooking(req, res) {
       payment = paymentRows[0];
     }
 
+    // Guests get a reference + signed token to track the booking later without an account
+    // (signed before COMMIT so a signing failure rolls the booking back instead of losing the token)
+    const tracking = isLoggedIn ? null : buildGuestTracking('booking', bookingId, guestId);
+
     // Commit transaction
     await db.query('COMMIT');
 
@@ -374,6 +440,7 @@ export async function createBooking(req, res) {
       data: {
         booking: bookingRows[0],
         payment: payment,
+        tracking,
       },
       message: 'Booking created successfully',
     });
@@ -400,6 +467,8 @@ export async function createBooking(req, res) {
       message: 'Failed to create booking',
       error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
     });
+  } finally {
+    db.release();
   }
 }
 
@@ -467,6 +536,7 @@ export async function getBookingById(req, res) {
         b.service_id, 
         b.address_id, 
         b.technician_id, 
+        b.job_status, 
         b.booking_date, 
         b.booking_time, 
         b.status, 
@@ -499,16 +569,14 @@ export async function getBookingById(req, res) {
       });
     }
 
-    // Fetch payment if exists (for fixed price services)
+    // Fetch payment if exists (fixed price services, or variable once a quote is accepted)
     let payment = null;
-    if (booking.price_type === 'fixed') {
-      const [paymentRows] = await db.query(
-        'SELECT id, user_id, guest_id, booking_id, amount, gateway, transaction_id, status, created_at FROM payments WHERE booking_id = ? LIMIT 1',
-        [id]
-      );
-      if (paymentRows.length > 0) {
-        payment = paymentRows[0];
-      }
+    const [paymentRows] = await db.query(
+      'SELECT id, user_id, guest_id, booking_id, amount, gateway, transaction_id, status, created_at FROM payments WHERE booking_id = ? LIMIT 1',
+      [id]
+    );
+    if (paymentRows.length > 0) {
+      payment = paymentRows[0];
     }
 
     return res.status(200).json({
@@ -527,6 +595,563 @@ export async function getBookingById(req, res) {
   }
 }
 
+/**
+ * Track a guest booking
+ * Public endpoint - guests identify the booking by reference + email, or by the tracking token returned at creation
+ * Only guest bookings are trackable; any mismatch returns the same 404 so references cannot be probed
+ * SEO-optimized: Single SELECT with JOINs, minimal fields (no guest contact/address data)
+ */
+export async function trackBooking(req, res) {
+  try {
+    const { reference, email, token } = req.body;
+    const db = getDb();
+
+    let bookingId = null;
+    const conditions = ['b.guest_id IS NOT NULL'];
+    const values = [];
+
+    if (token) {
+      const payload = verifyTrackingToken('booking', token);
+      if (!payload) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired tracking token',
+        });
+      }
+      bookingId = payload.id;
+      conditions.push('b.guest_id = ?');
+      values.push(payload.guest_id);
+    } else {
+      if (!reference || !email) {
+        return res.status(400).json({
+          success: false,
+          message: 'reference and email, or token, are required',
+        });
+      }
+      bookingId = parseReference('booking', reference);
+      conditions.push('LOWER(gd.email) = ?');
+      values.push(String(email).trim().toLowerCase());
+    }
+
+    if (!bookingId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    const [rows] = await db.query(
+      `SELECT 
+        b.id,
+        b.service_id,
+        b.quoted_amount,
+        b.discount_amount,
+        b.total_amount,
+        b.coupon_code,
+        b.booking_date,
+        b.booking_time,
+        b.status,
+        b.created_at,
+        s.name as service_name,
+        s.slug as service_slug,
+        s.price_type
+      FROM bookings b
+      INNER JOIN guest_details gd ON b.guest_id = gd.id
+      INNER JOIN services s ON b.service_id = s.id
+      WHERE b.id = ? AND ${conditions.join(' AND ')}
+      LIMIT 1`,
+      [bookingId, ...values]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    const booking = rows[0];
+
+    const [paymentRows] = await db.query(
+      'SELECT amount, gateway, status, created_at FROM payments WHERE booking_id = ? LIMIT 1',
+      [booking.id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        reference: formatReference('booking', booking.id),
+        booking,
+        payment: paymentRows.length > 0 ? paymentRows[0] : null,
+      },
+    });
+  } catch (err) {
+    console.error('Track booking error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to track booking',
+    });
+  }
+}
+
+/**
+ * Reschedule a booking to a new date/time
+ * Owner, admin, or guest with tracking_token (optionalAuth)
+ * Body: { booking_date, booking_time, tracking_token? }
+ *
+ * Flow:
+ * 1. Only pending/confirmed bookings whose job hasn't started, before the cut-off window
+ * 2. New slot must be in the future, within working hours and have free capacity
+ * 3. The assigned technician is kept if free at the new time, otherwise unassigned for the admin to reassign
+ */
+export async function rescheduleBooking(req, res) {
+  // Dedicated connection so the slot capacity check and update run in one real transaction
+  const db = await getDb().getConnection();
+
+  try {
+    await db.query('START TRANSACTION');
+
+    const { id } = req.params;
+    const { booking_date, booking_time, tracking_token } = req.body;
+
+    if (!booking_date || !booking_time) {
+      await db.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'booking_date and booking_time are required',
+      });
+    }
+
+    if (!isValidDate(booking_date) || !isValidTime(booking_time)) {
+      await db.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking_date or booking_time format (YYYY-MM-DD and HH:MM)',
+      });
+    }
+
+    if (new Date(`${booking_date}T${booking_time}`) <= new Date()) {
+      await db.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Booking date and time must be in the future',
+      });
+    }
+
+    // Serialize bookings for the new day so two requests can't both take the last free slot
+    await lockScheduleDay(db, booking_date);
+
+    const [bookingRows] = await db.query(MANAGE_BOOKING_SQL, [id]);
+
+    if (bookingRows.length === 0 || !canManageBooking(req, bookingRows[0], tracking_token)) {
+      await db.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    const booking = bookingRows[0];
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      await db.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Cannot reschedule a ${booking.status} booking`,
+      });
+    }
+
+    if (['in_progress', 'completed'].includes(booking.job_status)) {
+      await db.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot reschedule a booking whose job has already started',
+      });
+    }
+
+    if (!isBeforeChangeCutoff(req, booking)) {
+      await db.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Bookings can only be changed up to ${getChangeCutoffHours()} hours before the appointment`,
+        cutoff_hours: getChangeCutoffHours(),
+      });
+    }
+
+    const slotProblem = await checkSlotAvailability(db, booking, booking_date, booking_time, booking.id);
+    if (slotProblem) {
+      await db.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: slotProblem.message,
+        reason: slotProblem.reason,
+      });
+    }
+
+    let technicianUnassigned = false;
+    if (booking.technician_id) {
+      const clash = await findTechnicianClash(
+        db,
+        booking.technician_id,
+        booking_date,
+        booking_time,
+        getServiceSlotMinutes(booking),
+        booking.id
+      );
+      technicianUnassigned = !!clash;
+    }
+
+    // Conditional on the state checked above, so a cancellation, job start or reassignment
+    // landing meanwhile isn't overwritten
+    const [updateResult] = await db.query(
+      `UPDATE bookings 
+       SET booking_date = ?, booking_time = ?${technicianUnassigned ? ', technician_id = NULL, job_status = NULL, assigned_at = NULL, accepted_at = NULL' : ''}
+       WHERE id = ? AND status = ? AND technician_id <=> ? AND job_status <=> ?`,
+      [booking_date, booking_time, booking.id, booking.status, booking.technician_id, booking.job_status]
+    );
+
+    if (updateResult.affectedRows === 0) {
+      await db.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: 'Booking was changed by another request, please reload',
+      });
+    }
+
+    await db.query('COMMIT');
+
+    const [rows] = await db.query(
+      `SELECT id, service_id, technician_id, job_status, booking_date, booking_time, status
+       FROM bookings WHERE id = ? LIMIT 1`,
+      [booking.id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        booking: rows[0],
+        technician_unassigned: technicianUnassigned,
+      },
+      message: 'Booking rescheduled successfully',
+    });
+  } catch (err) {
+    await db.query('ROLLBACK');
+    console.error('Reschedule booking error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule booking',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Cancel a booking
+ * Owner, admin, or guest with tracking_token (optionalAuth)
+ * Body: { reason?, tracking_token? }
+ *
+ * Flow:
+ * 1. Only pending/confirmed bookings whose job hasn't started, before the cut-off window
+ * 2. In one transaction on a dedicated connection: claim the cancellation with a conditional update,
+ *    cancel a pending payment and give the promo code use back
+ * 3. A succeeded payment is then refunded in full through its gateway; if the gateway refuses,
+ *    the transaction is rolled back and the booking stays as it was
+ */
+export async function cancelBooking(req, res) {
+  const db = await getDb().getConnection();
+
+  try {
+    const { id } = req.params;
+    const { reason, tracking_token } = req.body || {};
+
+    const [bookingRows] = await db.query(MANAGE_BOOKING_SQL, [id]);
+
+    if (bookingRows.length === 0 || !canManageBooking(req, bookingRows[0], tracking_token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    const booking = bookingRows[0];
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot cancel a ${booking.status} booking`,
+      });
+    }
+
+    if (['in_progress', 'completed'].includes(booking.job_status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot cancel a booking whose job has already started',
+      });
+    }
+
+    if (!isBeforeChangeCutoff(req, booking)) {
+      return res.status(409).json({
+        success: false,
+        message: `Bookings can only be cancelled up to ${getChangeCutoffHours()} hours before the appointment`,
+        cutoff_hours: getChangeCutoffHours(),
+      });
+    }
+
+    const cancellationReason = reason?.trim() || null;
+
+    await db.query('START TRANSACTION');
+
+    try {
+      // Payment first, in the same order as the webhook handler (payment, then booking)
+      const [paymentRows] = await db.query(
+        'SELECT id, user_id, guest_id, order_id, booking_id, amount, refunded_amount, gateway, transaction_id, status FROM payments WHERE booking_id = ? LIMIT 1 FOR UPDATE',
+        [booking.id]
+      );
+      const payment = paymentRows.length > 0 ? paymentRows[0] : null;
+
+      // Claim the cancellation - a double submit or concurrent change gets nothing (and no second refund)
+      const [cancelResult] = await db.query(
+        `UPDATE bookings SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = ?
+         WHERE id = ? AND status IN ('pending', 'confirmed')`,
+        [cancellationReason, booking.id]
+      );
+
+      if (cancelResult.affectedRows === 0) {
+        await db.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'Booking was changed by another request, please reload',
+        });
+      }
+
+      await db.query(
+        "UPDATE payments SET status = 'cancelled' WHERE booking_id = ? AND status IN ('pending', 'failed')",
+        [booking.id]
+      );
+
+      if (booking.coupon_code) {
+        await db.query(
+          'UPDATE promo_codes SET used_count = used_count - 1 WHERE code = ? AND used_count > 0',
+          [booking.coupon_code]
+        );
+      }
+
+      if (payment?.status === 'succeeded') {
+        const refundableAmount = parseFloat(
+          ((parseFloat(payment.amount) || 0) - (parseFloat(payment.refunded_amount) || 0)).toFixed(2)
+        );
+
+        if (refundableAmount > 0) {
+          const result = await issueRefund(db, payment, {
+            amount: refundableAmount,
+            reason: cancellationReason ? `Booking cancelled: ${cancellationReason}` : 'Booking cancelled',
+            createdBy: req.user?.id || null,
+          });
+
+          if (result.error) {
+            await db.query('ROLLBACK');
+            return res.status(result.error.statusCode).json({
+              success: false,
+              message: result.error.message,
+              error: process.env.NODE_ENV !== 'production' ? result.error.detail : undefined,
+            });
+          }
+        }
+      }
+
+      await db.query('COMMIT');
+    } catch (err) {
+      await db.query('ROLLBACK');
+      throw err;
+    }
+
+    const [rows] = await db.query(
+      `SELECT id, service_id, booking_date, booking_time, status, cancelled_at, cancellation_reason
+       FROM bookings WHERE id = ? LIMIT 1`,
+      [booking.id]
+    );
+
+    const [updatedPaymentRows] = await db.query(
+      'SELECT id, amount, refunded_amount, gateway, status FROM payments WHERE booking_id = ? LIMIT 1',
+      [booking.id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        booking: rows[0],
+        payment: updatedPaymentRows.length > 0 ? updatedPaymentRows[0] : null,
+      },
+      message: 'Booking cancelled successfully',
+    });
+  } catch (err) {
+    console.error('Cancel booking error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to cancel booking',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Assign, reassign or unassign the technician of a booking
+ * Admin only - requires authentication
+ * Body: { technician_id } (null to unassign)
+ * Rejects with 409 if the technician already has an overlapping active booking that day,
+ * or if the job is already in progress/completed
+ * Runs with the booking's day locked (see lockScheduleDay), so concurrent assignments and
+ * reschedules can't double-book a technician
+ */
+export async function assignTechnician(req, res) {
+  const db = await getDb().getConnection();
+
+  try {
+    const { id } = req.params;
+    const { technician_id } = req.body;
+
+    if (technician_id === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'technician_id is required (null to unassign)',
+      });
+    }
+
+    const bookingSql = `SELECT 
+        b.id, b.technician_id, b.job_status, b.status,
+        DATE_FORMAT(b.booking_date, '%Y-%m-%d') as booking_day, b.booking_time, s.slot_minutes
+      FROM bookings b
+      INNER JOIN services s ON b.service_id = s.id
+      WHERE b.id = ? LIMIT 1`;
+
+    // Read outside the transaction to learn which day to lock (the lock must be its first read)
+    const [dayRows] = await db.query(bookingSql, [id]);
+
+    if (dayRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    await db.query('START TRANSACTION');
+
+    try {
+      await lockScheduleDay(db, dayRows[0].booking_day);
+
+      const [bookingRows] = await db.query(`${bookingSql} FOR UPDATE`, [id]);
+      const booking = bookingRows[0];
+
+      // Rescheduled to another day meanwhile - the lock we hold is for the wrong day
+      if (!booking || booking.booking_day !== dayRows[0].booking_day) {
+        await db.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'Booking was changed by another request, please retry',
+        });
+      }
+
+      if (!['pending', 'confirmed'].includes(booking.status)) {
+        await db.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: `Cannot assign a technician to a ${booking.status} booking`,
+        });
+      }
+
+      if (['in_progress', 'completed'].includes(booking.job_status)) {
+        await db.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: `Cannot reassign a job that is ${booking.job_status.replace('_', ' ')}`,
+        });
+      }
+
+      if (technician_id !== null) {
+        const [technicianRows] = await db.query(
+          "SELECT id FROM users WHERE id = ? AND role = 'technician' LIMIT 1",
+          [technician_id]
+        );
+
+        if (technicianRows.length === 0) {
+          await db.query('ROLLBACK');
+          return res.status(400).json({
+            success: false,
+            message: 'technician_id must be a user with the technician role',
+          });
+        }
+
+        const clash = await findTechnicianClash(
+          db,
+          technician_id,
+          booking.booking_day,
+          booking.booking_time,
+          getServiceSlotMinutes(booking),
+          booking.id
+        );
+        if (clash) {
+          await db.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            message: 'Technician already has a booking at an overlapping time',
+            clashing_booking_id: clash.id,
+          });
+        }
+      }
+
+      await db.query(
+        `UPDATE bookings
+         SET technician_id = ?,
+             job_status = IF(? IS NULL, NULL, 'assigned'),
+             assigned_at = IF(? IS NULL, NULL, NOW()),
+             accepted_at = NULL
+         WHERE id = ?`,
+        [technician_id, technician_id, technician_id, id]
+      );
+
+      await db.query('COMMIT');
+    } catch (err) {
+      await db.query('ROLLBACK');
+      throw err;
+    }
+
+    const [rows] = await db.query(
+      `SELECT 
+        b.id,
+        b.technician_id,
+        u.full_name as technician_name,
+        b.job_status,
+        b.booking_date,
+        b.booking_time,
+        b.status,
+        b.assigned_at
+      FROM bookings b
+      LEFT JOIN users u ON b.technician_id = u.id
+      WHERE b.id = ? LIMIT 1`,
+      [id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: rows[0],
+      message: technician_id === null ? 'Technician unassigned successfully' : 'Technician assigned successfully',
+    });
+  } catch (err) {
+    console.error('Assign technician error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to assign technician',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
+
 /**
  * Get user's saved addresses
  * SEO-optimized: Single SELECT query
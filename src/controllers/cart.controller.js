@@ -1,4 +1,5 @@
 import { getDb } from '../config/db.config.js';
+import { reserveCartStock, releaseCartReservations, getReservationTtlMinutes } from '../utils/inventory.js';
 
 /**
  * Get or create cart for user/guest
@@ -1062,6 +1063,9 @@ export async function clearCart(req, res) {
     
     // Delete all cart items
     await db.query('DELETE FROM cart_items WHERE cart_id = ?', [cart.id]);
+
+    // Nothing left to check out - release any stock hold
+    await releaseCartReservations(db, cart.id);
     
     // Reset cart totals
     await db.query(
@@ -1084,3 +1088,119 @@ export async function clearCart(req, res) {
   }
 }
 
+/**
+ * Reserve stock for the cart during checkout
+ * Holds every product line for the configured TTL (STOCK_RESERVATION_TTL_MINUTES) so parallel
+ * checkouts can't sell the same units. Calling again refreshes the hold with current quantities.
+ * Returns 409 naming the short items; nothing is held in that case.
+ */
+export async function reserveCart(req, res) {
+  // Dedicated connection so the product locks hold until every line is reserved
+  const db = await getDb().getConnection();
+
+  try {
+
+    // Determine cart owner
+    const userId = req.user?.id || null;
+    const guestId = req.body?.guest_id || null;
+    // Check both lowercase and original case for session_id header
+    const sessionId = req.headers['x-session-id'] || req.headers['X-Session-Id'] || req.cookies?.session_id || null;
+
+    if (!userId && !guestId && !sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'User, guest_id, or session_id is required',
+      });
+    }
+
+    const cart = await getOrCreateCart(userId, guestId, sessionId);
+
+    const [itemRows] = await db.query(
+      'SELECT product_id, quantity FROM cart_items WHERE cart_id = ? AND product_id IS NOT NULL',
+      [cart.id]
+    );
+
+    if (itemRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart has no products to reserve',
+      });
+    }
+
+    let reservation;
+    await db.query('START TRANSACTION');
+    try {
+      reservation = await reserveCartStock(db, cart.id, itemRows);
+      await db.query('COMMIT');
+    } catch (err) {
+      await db.query('ROLLBACK');
+      throw err;
+    }
+
+    const { shortItems, expiresAt } = reservation;
+
+    if (shortItems.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Insufficient stock for: ${shortItems.map(item => `"${item.product_name}"`).join(', ')}`,
+        short_items: shortItems,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        cart_id: cart.id,
+        items: itemRows,
+        expires_at: expiresAt,
+        ttl_minutes: getReservationTtlMinutes(),
+      },
+      message: 'Stock reserved for checkout',
+    });
+  } catch (err) {
+    console.error('Reserve cart error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reserve stock',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Release the cart's stock reservation (checkout abandoned)
+ */
+export async function releaseCartReservation(req, res) {
+  try {
+    const db = getDb();
+
+    // Determine cart owner
+    const userId = req.user?.id || null;
+    const guestId = req.body?.guest_id || null;
+    // Check both lowercase and original case for session_id header
+    const sessionId = req.headers['x-session-id'] || req.headers['X-Session-Id'] || req.cookies?.session_id || null;
+
+    if (!userId && !guestId && !sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'User, guest_id, or session_id is required',
+      });
+    }
+
+    const cart = await getOrCreateCart(userId, guestId, sessionId);
+    await releaseCartReservations(db, cart.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Stock reservation released',
+    });
+  } catch (err) {
+    console.error('Release cart reservation error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to release stock reservation',
+    });
+  }
+}
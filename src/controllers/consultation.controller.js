@@ -1,5 +1,45 @@
 import { getDb } from '../config/db.config.js';
 
+/**
+ * Default consultation length (minutes) for staff clash detection
+ * Environment variable: CONSULTATION_DURATION_MINUTES (default: 60)
+ */
+function getDefaultDurationMinutes() {
+  return Number(process.env.CONSULTATION_DURATION_MINUTES || 60);
+}
+
+// Format a Date for MySQL DATETIME (YYYY-MM-DD HH:MM:SS, UTC like createConsultation)
+function toMysqlDateTime(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Find another scheduled consultation of the staff member overlapping [start, start + duration)
+ * @returns {Promise<{id: number, scheduled_at: Date}|null>}
+ */
+async function findStaffClash(db, staffId, start, durationMinutes, excludeId) {
+  const [rows] = await db.query(
+    `SELECT id, scheduled_at
+     FROM consultations
+     WHERE staff_id = ?
+       AND status = 'scheduled'
+       AND id <> ?
+       AND scheduled_at < DATE_ADD(?, INTERVAL ? MINUTE)
+       AND DATE_ADD(scheduled_at, INTERVAL COALESCE(duration_minutes, ?) MINUTE) > ?
+     ORDER BY scheduled_at ASC
+     LIMIT 1`,
+    [staffId, excludeId, start, durationMinutes, getDefaultDurationMinutes(), start]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+const ADMIN_CONSULTATION_SQL = `SELECT 
+    c.id, c.user_id, c.staff_id, st.full_name as staff_name, c.name, c.phone, c.email, c.type,
+    c.scheduled_at, c.duration_minutes, c.meeting_link, c.location_address, c.status, c.admin_notes,
+    c.confirmed_at, c.completed_at, c.created_at
+  FROM consultations c
+  LEFT JOIN users st ON c.staff_id = st.id`;
+
 /**
  * Create a new consultation booking
  * Public endpoint - guests can book without authentication
@@ -67,7 +107,7 @@ export async function createConsultation(req, res) {
 
     // Fetch the created consultation in a single query
     const [rows] = await db.query(
-      'SELECT id, user_id, name, phone, email, type, scheduled_at, status, created_at FROM consultations WHERE id = ? LIMIT 1',
+      'SELECT id, user_id, name, phone, email, type, scheduled_at, duration_minutes, meeting_link, location_address, status, created_at FROM consultations WHERE id = ? LIMIT 1',
       [result.insertId]
     );
 
@@ -106,7 +146,7 @@ export async function getMyConsultations(req, res) {
   try {
     const db = getDb();
     const [rows] = await db.query(
-      'SELECT id, user_id, name, phone, email, type, scheduled_at, status, created_at FROM consultations WHERE user_id = ? ORDER BY scheduled_at DESC, created_at DESC',
+      'SELECT id, user_id, name, phone, email, type, scheduled_at, duration_minutes, meeting_link, location_address, status, created_at FROM consultations WHERE user_id = ? ORDER BY scheduled_at DESC, created_at DESC',
       [req.user.id]
     );
 
@@ -134,7 +174,7 @@ export async function getConsultationById(req, res) {
 
     // Single query to fetch consultation
     const [rows] = await db.query(
-      'SELECT id, user_id, name, phone, email, type, scheduled_at, status, created_at FROM consultations WHERE id = ? LIMIT 1',
+      'SELECT id, user_id, name, phone, email, type, scheduled_at, duration_minutes, meeting_link, location_address, status, created_at FROM consultations WHERE id = ? LIMIT 1',
       [id]
     );
 
@@ -170,6 +210,8 @@ export async function getConsultationById(req, res) {
 /**
  * Update a consultation
  * Users can only update their own consultations, admins can update any
+ * Admins set the time and status through PUT /:id/schedule and PUT /:id/complete, which check
+ * staff clashes - a customer changing the time or type sends the consultation back to 'requested'
  * SEO-optimized: Single UPDATE query with permission check
  */
 export async function updateConsultation(req, res) {
@@ -181,7 +223,7 @@ export async function updateConsultation(req, res) {
 
     // First, check if consultation exists and user has permission
     const [existingRows] = await db.query(
-      'SELECT user_id FROM consultations WHERE id = ? LIMIT 1',
+      'SELECT user_id, type, status FROM consultations WHERE id = ? LIMIT 1',
       [id]
     );
 
@@ -208,11 +250,25 @@ export async function updateConsultation(req, res) {
       });
     }
 
-    // Validate status if provided
-    if (status && !['requested', 'scheduled', 'completed'].includes(status)) {
+    // Status is driven by the admin console (schedule/complete)
+    if (status !== undefined) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only admins can change the consultation status',
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Use PUT /consultations/:id/schedule or /consultations/:id/complete to change the status',
+      });
+    }
+
+    // Admin scheduling goes through /:id/schedule so the staff clash check can't be bypassed
+    if (scheduled_at !== undefined && req.user.role === 'admin') {
       return res.status(400).json({
         success: false,
-        message: 'status must be one of: "requested", "scheduled", "completed"',
+        message: 'Use PUT /consultations/:id/schedule to set the consultation time',
       });
     }
 
@@ -257,9 +313,14 @@ export async function updateConsultation(req, res) {
       updates.push('scheduled_at = ?');
       values.push(scheduled_at);
     }
-    if (status !== undefined) {
-      updates.push('status = ?');
-      values.push(status);
+
+    // A customer-requested time or type change needs to be confirmed again by an admin
+    const typeChanged = type !== undefined && type !== existingRows[0].type;
+    if (
+      req.user.role !== 'admin' &&
+      (scheduled_at !== undefined || (typeChanged && existingRows[0].status === 'scheduled'))
+    ) {
+      updates.push("status = 'requested'", 'confirmed_at = NULL');
     }
 
     if (updates.length === 0) {
@@ -276,7 +337,7 @@ export async function updateConsultation(req, res) {
 
     // Fetch updated consultation
     const [rows] = await db.query(
-      'SELECT id, user_id, name, phone, email, type, scheduled_at, status, created_at FROM consultations WHERE id = ? LIMIT 1',
+      'SELECT id, user_id, name, phone, email, type, scheduled_at, duration_minutes, meeting_link, location_address, status, created_at FROM consultations WHERE id = ? LIMIT 1',
       [id]
     );
 
@@ -346,3 +407,299 @@ export async function deleteConsultation(req, res) {
   }
 }
 
+
+/**
+ * Get all consultations (admin console)
+ * Admin only - requires authentication
+ * Filters: status, type, staff_id, date_from, date_to (on scheduled_at, inclusive), search (name/email/phone)
+ */
+export async function getAllConsultations(req, res) {
+  try {
+    const { status, type, staff_id, date_from, date_to, search, limit = 50, offset = 0 } = req.query;
+    const db = getDb();
+
+    const conditions = [];
+    const values = [];
+
+    if (status) {
+      conditions.push('c.status = ?');
+      values.push(status);
+    }
+    if (type) {
+      conditions.push('c.type = ?');
+      values.push(type);
+    }
+    if (staff_id) {
+      conditions.push('c.staff_id = ?');
+      values.push(staff_id);
+    }
+    if (date_from) {
+      conditions.push('c.scheduled_at >= ?');
+      values.push(date_from);
+    }
+    if (date_to) {
+      // Inclusive end date: include the whole day
+      conditions.push('c.scheduled_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      values.push(date_to);
+    }
+    if (search) {
+      conditions.push('(c.name LIKE ? OR c.email LIKE ? OR c.phone LIKE ?)');
+      const searchTerm = `%${search}%`;
+      values.push(searchTerm, searchTerm, searchTerm);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows] = await db.query(
+      `${ADMIN_CONSULTATION_SQL}
+      ${whereClause}
+      ORDER BY c.scheduled_at ASC, c.id ASC
+      LIMIT ? OFFSET ?`,
+      [...values, parseInt(limit), parseInt(offset)]
+    );
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) as total FROM consultations c ${whereClause}`,
+      values
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        consultations: rows,
+        total: countRows[0].total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (err) {
+    console.error('Get consultations error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch consultations',
+    });
+  }
+}
+
+/**
+ * Confirm or change a consultation's schedule
+ * Admin only - requires authentication
+ * Body: { scheduled_at?, duration_minutes?, staff_id?, meeting_link?, location_address?, admin_notes? }
+ *
+ * Flow:
+ * 1. Completed consultations can't be rescheduled
+ * 2. online_meeting needs a meeting_link, on_site needs a location_address (new or already stored)
+ * 3. staff_id must be an admin or technician free at that time (409 on overlap) - checked with the
+ *    staff user row locked, so concurrent schedules for the same person can't both pass
+ * 4. Status becomes 'scheduled'
+ */
+export async function scheduleConsultation(req, res) {
+  const db = await getDb().getConnection();
+
+  try {
+    const { id } = req.params;
+    const { scheduled_at, duration_minutes, staff_id, meeting_link, location_address, admin_notes } = req.body;
+
+    const [existingRows] = await db.query(
+      'SELECT id, type, scheduled_at, duration_minutes, staff_id, meeting_link, location_address, status FROM consultations WHERE id = ? LIMIT 1',
+      [id]
+    );
+
+    if (existingRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consultation not found',
+      });
+    }
+
+    const consultation = existingRows[0];
+
+    if (consultation.status === 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot reschedule a completed consultation',
+      });
+    }
+
+    // Resolve the final schedule from the body, falling back to stored values
+    let start = new Date(consultation.scheduled_at);
+    if (scheduled_at !== undefined) {
+      start = new Date(scheduled_at);
+      if (isNaN(start.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'scheduled_at must be a valid datetime',
+        });
+      }
+      if (start <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'scheduled_at must be in the future',
+        });
+      }
+    }
+
+    if (duration_minutes !== undefined && duration_minutes !== null &&
+      (!Number.isInteger(duration_minutes) || duration_minutes <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'duration_minutes must be a positive integer',
+      });
+    }
+
+    const finalDuration = duration_minutes !== undefined ? duration_minutes : consultation.duration_minutes;
+    const finalStaffId = staff_id !== undefined ? staff_id : consultation.staff_id;
+    const finalMeetingLink = meeting_link !== undefined ? meeting_link?.trim() || null : consultation.meeting_link;
+    const finalAddress = location_address !== undefined ? location_address?.trim() || null : consultation.location_address;
+
+    if (consultation.type === 'online_meeting' && !finalMeetingLink) {
+      return res.status(400).json({
+        success: false,
+        message: 'meeting_link is required for online meetings',
+      });
+    }
+
+    if (consultation.type === 'on_site' && !finalAddress) {
+      return res.status(400).json({
+        success: false,
+        message: 'location_address is required for on-site consultations',
+      });
+    }
+
+    const mysqlDateTime = toMysqlDateTime(start);
+
+    await db.query('START TRANSACTION');
+
+    try {
+      if (finalStaffId) {
+        // Lock the staff member so concurrent schedules for them run one at a time
+        const [staffRows] = await db.query(
+          "SELECT id FROM users WHERE id = ? AND role IN ('admin', 'technician') LIMIT 1 FOR UPDATE",
+          [finalStaffId]
+        );
+
+        if (staffRows.length === 0) {
+          await db.query('ROLLBACK');
+          return res.status(400).json({
+            success: false,
+            message: 'staff_id must be an admin or technician',
+          });
+        }
+
+        const clash = await findStaffClash(
+          db,
+          finalStaffId,
+          mysqlDateTime,
+          finalDuration || getDefaultDurationMinutes(),
+          consultation.id
+        );
+
+        if (clash) {
+          await db.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            message: 'Staff member already has a consultation at an overlapping time',
+            clashing_consultation_id: clash.id,
+          });
+        }
+      }
+
+      // Conditional so a consultation completed meanwhile isn't reopened
+      const [updateResult] = await db.query(
+        `UPDATE consultations
+         SET scheduled_at = ?, duration_minutes = ?, staff_id = ?, meeting_link = ?, location_address = ?,
+             admin_notes = COALESCE(?, admin_notes), status = 'scheduled', confirmed_at = NOW()
+         WHERE id = ? AND status <> 'completed'`,
+        [
+          mysqlDateTime,
+          finalDuration || null,
+          finalStaffId || null,
+          finalMeetingLink,
+          finalAddress,
+          admin_notes?.trim() || null,
+          consultation.id,
+        ]
+      );
+
+      if (updateResult.affectedRows === 0) {
+        await db.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'Consultation was completed by another request',
+        });
+      }
+
+      await db.query('COMMIT');
+    } catch (err) {
+      await db.query('ROLLBACK');
+      throw err;
+    }
+
+    const [rows] = await db.query(`${ADMIN_CONSULTATION_SQL} WHERE c.id = ? LIMIT 1`, [consultation.id]);
+
+    return res.status(200).json({
+      success: true,
+      data: rows[0],
+      message: 'Consultation scheduled successfully',
+    });
+  } catch (err) {
+    console.error('Schedule consultation error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to schedule consultation',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Mark a scheduled consultation as completed
+ * Admin only - requires authentication
+ * Body: { admin_notes? }
+ */
+export async function completeConsultation(req, res) {
+  try {
+    const { id } = req.params;
+    const { admin_notes } = req.body || {};
+    const db = getDb();
+
+    const [result] = await db.query(
+      `UPDATE consultations
+       SET status = 'completed', completed_at = NOW(), admin_notes = COALESCE(?, admin_notes)
+       WHERE id = ? AND status = 'scheduled'`,
+      [admin_notes?.trim() || null, id]
+    );
+
+    if (result.affectedRows === 0) {
+      const [existingRows] = await db.query('SELECT status FROM consultations WHERE id = ? LIMIT 1', [id]);
+
+      if (existingRows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation not found',
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: `Only scheduled consultations can be completed (current status: ${existingRows[0].status})`,
+      });
+    }
+
+    const [rows] = await db.query(`${ADMIN_CONSULTATION_SQL} WHERE c.id = ? LIMIT 1`, [id]);
+
+    return res.status(200).json({
+      success: true,
+      data: rows[0],
+      message: 'Consultation marked as completed',
+    });
+  } catch (err) {
+    console.error('Complete consultation error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to complete consultation',
+    });
+  }
+}
@@ -0,0 +1,262 @@
+import { getDb } from '../config/db.config.js';
+import { adjustStock, getDefaultReorderThreshold } from '../utils/inventory.js';
+
+// Movements an admin may record by hand (sales and restocks are written by their own flows)
+const MANUAL_MOVEMENT_REASONS = ['admin_adjustment', 'used_laptop_intake'];
+
+/**
+ * Adjust stock for a product by SKU
+ * Admin only - requires authentication
+ * Body: { quantity_change (signed, non-zero), reason?, note?, sell_request_id? }
+ * Write-offs that would take stock below zero are rejected with 409
+ */
+export async function adjustProductStock(req, res) {
+  const db = await getDb().getConnection();
+
+  try {
+    const { sku } = req.params;
+    const { quantity_change, reason = 'admin_adjustment', note, sell_request_id } = req.body;
+
+    const change = Number(quantity_change);
+    if (!Number.isInteger(change) || change === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'quantity_change must be a non-zero integer',
+      });
+    }
+
+    if (!MANUAL_MOVEMENT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `reason must be one of: ${MANUAL_MOVEMENT_REASONS.join(', ')}`,
+      });
+    }
+
+    if (reason === 'admin_adjustment' && !note?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'note is required for admin adjustments',
+      });
+    }
+
+    const [productRows] = await db.query(
+      'SELECT id, stock_quantity FROM products WHERE sku = ? LIMIT 1',
+      [sku]
+    );
+
+    if (productRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    const product = productRows[0];
+
+    await db.query('START TRANSACTION');
+
+    try {
+      const adjusted = await adjustStock(db, product.id, change, {
+        reason,
+        note: note?.trim() || null,
+        sellRequestId: sell_request_id || null,
+        createdBy: req.user.id,
+      });
+
+      if (!adjusted) {
+        await db.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: `Cannot remove ${-change} units, only ${product.stock_quantity} in stock`,
+          stock_quantity: product.stock_quantity,
+        });
+      }
+
+      await db.query('COMMIT');
+    } catch (err) {
+      await db.query('ROLLBACK');
+      throw err;
+    }
+
+    const [rows] = await db.query(
+      'SELECT id, name, sku, stock_quantity, reorder_threshold FROM products WHERE id = ? LIMIT 1',
+      [product.id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: rows[0],
+      message: 'Stock adjusted successfully',
+    });
+  } catch (err) {
+    console.error('Adjust stock error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to adjust stock',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Get stock movement history for a product by SKU
+ * Admin only - requires authentication
+ * Filters: reason, date_from, date_to (inclusive). Newest first, paginated.
+ */
+export async function getStockMovements(req, res) {
+  try {
+    const { sku } = req.params;
+    const { reason, date_from, date_to, limit = 50, offset = 0 } = req.query;
+    const db = getDb();
+
+    const [productRows] = await db.query(
+      'SELECT id, name, sku, stock_quantity, reorder_threshold FROM products WHERE sku = ? LIMIT 1',
+      [sku]
+    );
+
+    if (productRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    const product = productRows[0];
+    const conditions = ['sm.product_id = ?'];
+    const values = [product.id];
+
+    if (reason) {
+      conditions.push('sm.reason = ?');
+      values.push(reason);
+    }
+    if (date_from) {
+      conditions.push('sm.created_at >= ?');
+      values.push(date_from);
+    }
+    if (date_to) {
+      // Inclusive end date: include the whole day
+      conditions.push('sm.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      values.push(date_to);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const [rows] = await db.query(
+      `SELECT 
+        sm.id,
+        sm.quantity_change,
+        sm.quantity_after,
+        sm.reason,
+        sm.order_id,
+        sm.refund_id,
+        sm.sell_request_id,
+        sm.note,
+        sm.created_by,
+        u.full_name as created_by_name,
+        sm.created_at
+      FROM stock_movements sm
+      LEFT JOIN users u ON sm.created_by = u.id
+      ${whereClause}
+      ORDER BY sm.created_at DESC, sm.id DESC
+      LIMIT ? OFFSET ?`,
+      [...values, parseInt(limit), parseInt(offset)]
+    );
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) as total FROM stock_movements sm ${whereClause}`,
+      values
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        product,
+        movements: rows,
+        total: countRows[0].total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (err) {
+    console.error('Get stock movements error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock movements',
+    });
+  }
+}
+
+/**
+ * Get products at or below their reorder threshold
+ * Admin only - requires authentication
+ * Threshold: products.reorder_threshold, else LOW_STOCK_THRESHOLD; ?threshold= overrides both.
+ * Inactive products are excluded unless include_inactive=true.
+ */
+export async function getLowStockProducts(req, res) {
+  try {
+    const { threshold, include_inactive, limit = 50, offset = 0 } = req.query;
+    const db = getDb();
+
+    if (threshold !== undefined && (!Number.isInteger(Number(threshold)) || Number(threshold) < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'threshold must be a non-negative integer',
+      });
+    }
+
+    const thresholdSql = threshold !== undefined ? '?' : 'COALESCE(p.reorder_threshold, ?)';
+    const thresholdValue = threshold !== undefined ? Number(threshold) : getDefaultReorderThreshold();
+
+    const conditions = [`p.stock_quantity <= ${thresholdSql}`];
+    const values = [thresholdValue];
+
+    if (include_inactive !== 'true') {
+      conditions.push('p.is_active = 1');
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const [rows] = await db.query(
+      `SELECT 
+        p.id,
+        p.name,
+        p.sku,
+        p.\`condition\`,
+        p.stock_quantity,
+        ${thresholdSql} as reorder_threshold,
+        p.is_active,
+        (
+          SELECT MAX(sm.created_at) FROM stock_movements sm WHERE sm.product_id = p.id
+        ) as last_movement_at
+      FROM products p
+      ${whereClause}
+      ORDER BY p.stock_quantity ASC, p.name ASC
+      LIMIT ? OFFSET ?`,
+      [thresholdValue, ...values, parseInt(limit), parseInt(offset)]
+    );
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) as total FROM products p ${whereClause}`,
+      values
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        products: rows,
+        total: countRows[0].total,
+        default_threshold: getDefaultReorderThreshold(),
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (err) {
+    console.error('Get low stock products error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch low stock products',
+    });
+  }
+}
@@ -1,4 +1,71 @@
 import { getDb } from '../config/db.config.js';
+import { assertTrackingConfigured, buildGuestTracking, formatReference, verifyTrackingToken } from '../utils/tracking.js';
+
+/**
+ * Resolution SLA per ticket type (hours)
+ * Environment variables: HELPDESK_SLA_HOURS_COMPLAINT (default: 24), HELPDESK_SLA_HOURS_QUERY (default: 72)
+ */
+function getSlaHours(type) {
+  return type === 'complaint'
+    ? Number(process.env.HELPDESK_SLA_HOURS_COMPLAINT || 24)
+    : Number(process.env.HELPDESK_SLA_HOURS_QUERY || 72);
+}
+
+// Allowed ticket status changes by staff (closed is terminal)
+const TICKET_STATUS_TRANSITIONS = {
+  new: ['in_progress', 'resolved', 'closed'],
+  in_progress: ['resolved', 'closed'],
+  resolved: ['in_progress', 'closed'],
+  closed: [],
+};
+
+// Timestamp columns set when a ticket enters a status
+const TICKET_STATUS_TIMESTAMPS = {
+  in_progress: 'in_progress_at = COALESCE(in_progress_at, NOW()), resolved_at = NULL',
+  resolved: 'resolved_at = NOW()',
+  closed: 'closed_at = NOW()',
+};
+
+const TICKET_SQL = `SELECT 
+    q.id, q.user_id, q.email, q.phone, q.full_name, q.type, q.related_to,
+    q.product_id, p.name as product_name, q.service_id, s.name as service_name,
+    q.subject, q.message, q.status, q.assigned_to, a.full_name as assigned_to_name,
+    q.sla_due_at, q.first_response_at, q.in_progress_at, q.resolved_at, q.closed_at,
+    (q.status IN ('new', 'in_progress') AND q.sla_due_at < NOW()) as is_overdue,
+    q.created_at, q.updated_at
+  FROM online_queries q
+  LEFT JOIN products p ON q.product_id = p.id
+  LEFT JOIN services s ON q.service_id = s.id
+  LEFT JOIN users a ON q.assigned_to = a.id`;
+
+/**
+ * Whether the requester is the customer of a ticket
+ * - Logged-in: ticket owner, or same verified email (ticket submitted as guest before registering)
+ * - Guest: tracking token returned when the ticket was submitted
+ */
+function isTicketCustomer(req, ticket, trackingToken) {
+  if (req.user) {
+    return ticket.user_id === req.user.id ||
+      (req.user.email_verified && !!req.user.email && ticket.email.toLowerCase() === req.user.email.toLowerCase());
+  }
+
+  if (!trackingToken) return false;
+
+  const tracking = verifyTrackingToken('ticket', trackingToken);
+  return !!tracking && tracking.id === ticket.id;
+}
+
+async function getTicketReplies(db, ticketId) {
+  const [rows] = await db.query(
+    `SELECT r.id, r.author_type, r.author_id, u.full_name as author_name, r.message, r.created_at
+     FROM online_query_replies r
+     LEFT JOIN users u ON r.author_id = u.id
+     WHERE r.query_id = ?
+     ORDER BY r.created_at ASC, r.id ASC`,
+    [ticketId]
+  );
+  return rows;
+}
 
 /**
  * Create a new online query/complaint
@@ -65,10 +132,15 @@ export async function createOnlineQuery(req, res) {
     // Optional logged-in user ID (if request is authenticated)
     const userId = req.user?.id || null;
 
+    // Guests only get their ticket through the tracking token - fail before saving if it can't be signed
+    if (!userId) {
+      assertTrackingConfigured();
+    }
+
     const [result] = await db.query(
       `INSERT INTO online_queries
-        (user_id, email, phone, full_name, type, related_to, product_id, service_id, subject, message, status)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        (user_id, email, phone, full_name, type, related_to, product_id, service_id, subject, message, status, sla_due_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
       [
         userId,
         email.trim(),
@@ -81,12 +153,13 @@ export async function createOnlineQuery(req, res) {
         subject?.trim() || null,
         message.trim(),
         'new',
+        getSlaHours(type),
       ],
     );
 
     const [rows] = await db.query(
       `SELECT id, user_id, email, phone, full_name, type, related_to,
-              product_id, service_id, subject, message, status, created_at
+              product_id, service_id, subject, message, status, sla_due_at, created_at
        FROM online_queries
        WHERE id = ?
        LIMIT 1`,
@@ -95,7 +168,12 @@ export async function createOnlineQuery(req, res) {
 
     return res.status(201).json({
       success: true,
-      data: rows[0],
+      data: {
+        ...rows[0],
+        reference: formatReference('ticket', result.insertId),
+        // Guests get a signed token to follow the conversation without an account
+        tracking: userId ? null : buildGuestTracking('ticket', result.insertId, null),
+      },
       message: 'Your request has been submitted successfully',
     });
   } catch (err) {
@@ -109,3 +187,421 @@ export async function createOnlineQuery(req, res) {
 }
 
 
+
+/**
+ * Get all tickets (helpdesk console)
+ * Admin only - requires authentication
+ * Filters: status, type, related_to, assigned_to ('none' for unassigned), overdue=true,
+ * date_from, date_to (created_at, inclusive), search (email/name/subject)
+ */
+export async function getAllOnlineQueries(req, res) {
+  try {
+    const {
+      status,
+      type,
+      related_to,
+      assigned_to,
+      overdue,
+      date_from,
+      date_to,
+      search,
+      limit = 50,
+      offset = 0,
+    } = req.query;
+    const db = getDb();
+
+    const conditions = [];
+    const values = [];
+
+    if (status) {
+      conditions.push('q.status = ?');
+      values.push(status);
+    }
+    if (type) {
+      conditions.push('q.type = ?');
+      values.push(type);
+    }
+    if (related_to) {
+      conditions.push('q.related_to = ?');
+      values.push(related_to);
+    }
+    if (assigned_to === 'none') {
+      conditions.push('q.assigned_to IS NULL');
+    } else if (assigned_to) {
+      conditions.push('q.assigned_to = ?');
+      values.push(assigned_to);
+    }
+    if (overdue === 'true') {
+      conditions.push("q.status IN ('new', 'in_progress') AND q.sla_due_at < NOW()");
+    }
+    if (date_from) {
+      conditions.push('q.created_at >= ?');
+      values.push(date_from);
+    }
+    if (date_to) {
+      // Inclusive end date: include the whole day
+      conditions.push('q.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      values.push(date_to);
+    }
+    if (search) {
+      conditions.push('(q.email LIKE ? OR q.full_name LIKE ? OR q.subject LIKE ?)');
+      const searchTerm = `%${search}%`;
+      values.push(searchTerm, searchTerm, searchTerm);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    // Most urgent first: open tickets by SLA due time, then the rest by newest
+    const [rows] = await db.query(
+      `${TICKET_SQL}
+      ${whereClause}
+      ORDER BY (q.status IN ('new', 'in_progress')) DESC, q.sla_due_at ASC, q.created_at DESC
+      LIMIT ? OFFSET ?`,
+      [...values, parseInt(limit), parseInt(offset)]
+    );
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) as total FROM online_queries q ${whereClause}`,
+      values
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        tickets: rows,
+        total: countRows[0].total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (err) {
+    console.error('Get online queries error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tickets',
+    });
+  }
+}
+
+/**
+ * Get the authenticated customer's tickets
+ * Includes tickets submitted as a guest with the same email, once the user has verified it
+ */
+export async function getMyOnlineQueries(req, res) {
+  try {
+    const { status, limit = 20, offset = 0 } = req.query;
+    const db = getDb();
+
+    const conditions = ['(q.user_id = ? OR LOWER(q.email) = ?)'];
+    const values = [req.user.id, req.user.email_verified ? (req.user.email || '').toLowerCase() : null];
+
+    if (status) {
+      conditions.push('q.status = ?');
+      values.push(status);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const [rows] = await db.query(
+      `SELECT 
+        q.id, q.type, q.related_to, q.product_id, q.service_id, q.subject, q.status,
+        q.created_at, q.updated_at,
+        (SELECT COUNT(*) FROM online_query_replies r WHERE r.query_id = q.id) as reply_count
+      FROM online_queries q
+      ${whereClause}
+      ORDER BY q.created_at DESC
+      LIMIT ? OFFSET ?`,
+      [...values, parseInt(limit), parseInt(offset)]
+    );
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) as total FROM online_queries q ${whereClause}`,
+      values
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        tickets: rows.map(row => ({ ...row, reference: formatReference('ticket', row.id) })),
+        total: countRows[0].total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (err) {
+    console.error('Get my online queries error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tickets',
+    });
+  }
+}
+
+/**
+ * Get a ticket with its conversation thread
+ * Admin, the customer (owner/same email), or guest with X-Tracking-Token header (optionalAuth)
+ */
+export async function getOnlineQueryById(req, res) {
+  try {
+    const { id } = req.params;
+    const db = getDb();
+
+    const [rows] = await db.query(`${TICKET_SQL} WHERE q.id = ? LIMIT 1`, [id]);
+    const trackingToken = req.headers['x-tracking-token'] || null;
+
+    // Same 404 for missing and foreign tickets so IDs can't be probed
+    if (rows.length === 0 || (req.user?.role !== 'admin' && !isTicketCustomer(req, rows[0], trackingToken))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    const ticket = rows[0];
+    const replies = await getTicketReplies(db, ticket.id);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ticket: { ...ticket, reference: formatReference('ticket', ticket.id) },
+        replies,
+      },
+    });
+  } catch (err) {
+    console.error('Get online query error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ticket',
+    });
+  }
+}
+
+/**
+ * Assign or unassign a ticket
+ * Admin only - requires authentication
+ * Body: { assigned_to } (admin user id, or null)
+ */
+export async function assignOnlineQuery(req, res) {
+  try {
+    const { id } = req.params;
+    const { assigned_to } = req.body;
+    const db = getDb();
+
+    if (assigned_to === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'assigned_to is required (null to unassign)',
+      });
+    }
+
+    // Helpdesk endpoints are admin-only, so only admins can work an assigned ticket
+    if (assigned_to !== null) {
+      const [staffRows] = await db.query(
+        "SELECT id FROM users WHERE id = ? AND role = 'admin' LIMIT 1",
+        [assigned_to]
+      );
+
+      if (staffRows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'assigned_to must be an admin',
+        });
+      }
+    }
+
+    const [result] = await db.query(
+      'UPDATE online_queries SET assigned_to = ? WHERE id = ?',
+      [assigned_to, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    const [rows] = await db.query(`${TICKET_SQL} WHERE q.id = ? LIMIT 1`, [id]);
+
+    return res.status(200).json({
+      success: true,
+      data: rows[0],
+      message: assigned_to === null ? 'Ticket unassigned successfully' : 'Ticket assigned successfully',
+    });
+  } catch (err) {
+    console.error('Assign online query error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to assign ticket',
+    });
+  }
+}
+
+/**
+ * Change a ticket's status
+ * Admin only - requires authentication
+ * Body: { status } - see TICKET_STATUS_TRANSITIONS; each status records its timestamp
+ */
+export async function updateOnlineQueryStatus(req, res) {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+    const db = getDb();
+
+    if (!status || !Object.keys(TICKET_STATUS_TRANSITIONS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${Object.keys(TICKET_STATUS_TRANSITIONS).join(', ')}`,
+      });
+    }
+
+    const [existingRows] = await db.query('SELECT status FROM online_queries WHERE id = ? LIMIT 1', [id]);
+
+    if (existingRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    const currentStatus = existingRows[0].status;
+
+    if (!TICKET_STATUS_TRANSITIONS[currentStatus].includes(status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change ticket status from "${currentStatus}" to "${status}"`,
+        allowed_transitions: TICKET_STATUS_TRANSITIONS[currentStatus],
+      });
+    }
+
+    // Only apply if status hasn't changed since we read it
+    const [updateResult] = await db.query(
+      `UPDATE online_queries SET status = ?, ${TICKET_STATUS_TIMESTAMPS[status]} WHERE id = ? AND status = ?`,
+      [status, id, currentStatus]
+    );
+
+    if (updateResult.affectedRows === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ticket status was changed by another request, please retry',
+      });
+    }
+
+    const [rows] = await db.query(`${TICKET_SQL} WHERE q.id = ? LIMIT 1`, [id]);
+
+    return res.status(200).json({
+      success: true,
+      data: rows[0],
+      message: 'Ticket status updated successfully',
+    });
+  } catch (err) {
+    console.error('Update online query status error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update ticket status',
+    });
+  }
+}
+
+/**
+ * Reply to a ticket
+ * Admin replies as staff; the customer (owner/same email, or guest with tracking_token) replies as customer
+ * Body: { message, tracking_token? }
+ * - First staff reply records first_response_at and moves a new ticket to in_progress
+ * - A customer reply reopens a resolved ticket; closed tickets accept no replies
+ */
+export async function replyToOnlineQuery(req, res) {
+  const db = await getDb().getConnection();
+
+  try {
+    const { id } = req.params;
+    const { message, tracking_token } = req.body;
+
+    if (!message?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'message is required',
+      });
+    }
+
+    const [ticketRows] = await db.query(
+      'SELECT id, user_id, email, status FROM online_queries WHERE id = ? LIMIT 1',
+      [id]
+    );
+
+    const isStaff = req.user?.role === 'admin';
+
+    if (ticketRows.length === 0 || (!isStaff && !isTicketCustomer(req, ticketRows[0], tracking_token))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    const ticket = ticketRows[0];
+
+    if (ticket.status === 'closed') {
+      return res.status(409).json({
+        success: false,
+        message: 'This ticket is closed, please submit a new request',
+      });
+    }
+
+    let replyId;
+    try {
+      await db.query('START TRANSACTION');
+
+      const [replyResult] = await db.query(
+        'INSERT INTO online_query_replies (query_id, author_type, author_id, message) VALUES (?, ?, ?, ?)',
+        [ticket.id, isStaff ? 'staff' : 'customer', req.user?.id || null, message.trim()]
+      );
+
+      replyId = replyResult.insertId;
+
+      if (isStaff) {
+        await db.query(
+          `UPDATE online_queries
+           SET first_response_at = COALESCE(first_response_at, NOW()),
+               status = IF(status = 'new', 'in_progress', status),
+               in_progress_at = IF(status = 'in_progress', COALESCE(in_progress_at, NOW()), in_progress_at)
+           WHERE id = ?`,
+          [ticket.id]
+        );
+      } else {
+        await db.query(
+          `UPDATE online_queries SET status = 'in_progress', resolved_at = NULL
+           WHERE id = ? AND status = 'resolved'`,
+          [ticket.id]
+        );
+      }
+
+      await db.query('COMMIT');
+    } catch (err) {
+      await db.query('ROLLBACK');
+      throw err;
+    }
+
+    const [replyRows] = await db.query(
+      `SELECT r.id, r.author_type, r.author_id, u.full_name as author_name, r.message, r.created_at
+       FROM online_query_replies r
+       LEFT JOIN users u ON r.author_id = u.id
+       WHERE r.id = ? LIMIT 1`,
+      [replyId]
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: replyRows[0],
+      message: 'Reply added successfully',
+    });
+  } catch (err) {
+    console.error('Reply to online query error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add reply',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
@@ -1,4 +1,16 @@
 import { getDb } from '../config/db.config.js';
+import {
+  getAvailableStock,
+  findShortItems,
+  decrementStock,
+  consumeCartReservations,
+  releaseOrderReservations,
+  recordStockMovement,
+  restockProduct,
+} from '../utils/inventory.js';
+import { buildGuestTracking, formatReference, parseReference, verifyTrackingToken } from '../utils/tracking.js';
+import { createReviewInvitation, sendReviewInvitation } from '../utils/reviewInvitations.js';
+import { getEnabledPaymentGateways } from '../utils/paymentProviders.js';
 
 /**
  * Create order from cart
@@ -7,23 +19,24 @@ import { getDb } from '../config/db.config.js';
  * 
  * Flow:
  * 1. Validate cart exists and has items
- * 2. Validate all products are still available and in stock
+ * 2. Validate all products are still available and in stock (minus other carts' reservations)
  * 3. Recalculate totals (prices may have changed)
  * 4. Handle address/guest_details:
  *    - Logged-in: Use address_id or create new address
  *    - Guest: Create guest_details
  * 5. Create order
- * 6. Create order_items from cart_items
+ * 6. Create order_items from cart_items, conditionally decrementing stock (409 if short)
  * 7. Create payment record (status: 'pending')
  * 8. Clear cart (mark as completed)
  */
 export async function createOrder(req, res) {
-  const db = getDb();
-  
-  // Start transaction for data integrity
-  await db.query('START TRANSACTION');
+  // Dedicated connection so the whole checkout (incl. stock decrements) runs in one real transaction
+  const db = await getDb().getConnection();
   
   try {
+    // Start transaction for data integrity
+    await db.query('START TRANSACTION');
+
     const {
       // For logged-in users
       address_id,
@@ -113,14 +126,6 @@ export async function createOrder(req, res) {
             message: `Product "${item.product_name}" is no longer available`,
           });
         }
-
-        if (item.current_stock < item.quantity) {
-          await db.query('ROLLBACK');
-          return res.status(400).json({
-            success: false,
-            message: `Insufficient stock for "${item.product_name}". Only ${item.current_stock} available, but ${item.quantity} requested.`,
-          });
-        }
       } else if (item.custom_build_id) {
         // Validate custom build exists
         if (!item.custom_build_exists) {
@@ -133,6 +138,22 @@ export async function createOrder(req, res) {
       }
     }
 
+    // Stock check: report every short line at once (stock held by other carts is not sellable)
+    const productLines = cartItemsRows
+      .filter(item => item.product_id)
+      .map(item => ({ product_id: item.product_id, quantity: item.quantity }));
+    const availability = await getAvailableStock(db, productLines.map(item => item.product_id), cart.id);
+    const shortItems = findShortItems(productLines, availability);
+
+    if (shortItems.length > 0) {
+      await db.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Insufficient stock for: ${shortItems.map(item => `"${item.product_name}"`).join(', ')}`,
+        short_items: shortItems,
+      });
+    }
+
     // Step 3: Recalculate totals (use current prices, but honor cart snapshots for line-item discounts)
     let recalculatedSubtotal = 0;
     const orderItemsData = [];
@@ -369,6 +390,7 @@ export async function createOrder(req, res) {
     const orderId = orderResult.insertId;
 
     // Step 6: Create order_items from cart_items
+    const raceShortItems = [];
     for (const itemData of orderItemsData) {
       if (itemData.custom_build_id) {
         // Custom PC Build item
@@ -385,24 +407,46 @@ export async function createOrder(req, res) {
           [orderId, itemData.product_id, itemData.quantity, itemData.price_at_purchase]
         );
 
-        // Update product stock
-        await db.query(
-          'UPDATE products SET stock_quantity = stock_quantity - ? WHERE id = ?',
-          [itemData.quantity, itemData.product_id]
-        );
+        // Update product stock - conditional, so a parallel checkout can't drive it negative
+        const decremented = await decrementStock(db, itemData.product_id, itemData.quantity, cart.id);
+        if (!decremented) {
+          raceShortItems.push({ product_id: itemData.product_id, quantity: itemData.quantity });
+        } else {
+          await recordStockMovement(db, {
+            productId: itemData.product_id,
+            quantityChange: -itemData.quantity,
+            reason: 'sale',
+            orderId,
+            createdBy: userId,
+          });
+        }
       }
       // Note: Service items don't need stock updates
     }
 
+    // Another checkout took the stock between our check and the decrement
+    if (raceShortItems.length > 0) {
+      await db.query('ROLLBACK');
+      const latestAvailability = await getAvailableStock(db, raceShortItems.map(item => item.product_id), cart.id);
+      const lateShortItems = findShortItems(raceShortItems, latestAvailability);
+      return res.status(409).json({
+        success: false,
+        message: `Insufficient stock for: ${lateShortItems.map(item => `"${item.product_name}"`).join(', ')}`,
+        short_items: lateShortItems,
+      });
+    }
+
+    // The cart's stock hold (if any) is now fulfilled by this order
+    await consumeCartReservations(db, cart.id, orderId);
+
     // Step 7: Create payment record
-    const gateway = payment_gateway || 'local_gateway';
-    
-    // Validate gateway
-    if (!['local_gateway', 'cash', 'stripe'].includes(gateway)) {
+    // The customer picks a gateway explicitly - there's no default, least of all the fake one
+    const enabledGateways = getEnabledPaymentGateways();
+    if (!enabledGateways.includes(payment_gateway)) {
       await db.query('ROLLBACK');
       return res.status(400).json({
         success: false,
-        message: 'Invalid payment gateway',
+        message: `payment_gateway must be one of: ${enabledGateways.join(', ')}`,
       });
     }
 
@@ -414,7 +458,7 @@ export async function createOrder(req, res) {
         finalGuestId,
         orderId,
         finalTotalAmountRounded,
-        gateway,
+        payment_gateway,
         'pending',
       ]
     );
@@ -437,6 +481,10 @@ export async function createOrder(req, res) {
     await db.query('DELETE FROM cart_items WHERE cart_id = ?', [cart.id]);
     await db.query('DELETE FROM carts WHERE id = ?', [cart.id]);
 
+    // Guests get a reference + signed token to track the order later without an account
+    // (signed before COMMIT so a signing failure rolls the order back instead of losing the token)
+    const tracking = isLoggedIn ? null : buildGuestTracking('order', orderId, finalGuestId);
+
     // Commit transaction
     await db.query('COMMIT');
 
@@ -468,6 +516,7 @@ export async function createOrder(req, res) {
       data: {
         order: orderRows[0],
         payment: paymentRows[0],
+        tracking,
       },
       message: 'Order created successfully',
     });
@@ -494,6 +543,8 @@ export async function createOrder(req, res) {
       message: 'Failed to create order',
       error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
     });
+  } finally {
+    db.release();
   }
 }
 
@@ -577,3 +628,462 @@ export async function getOrderById(req, res) {
   }
 }
 
+
+/**
+ * Allowed order_status transitions (state machine)
+ * Terminal states (delivered, cancelled) have no outgoing transitions
+ */
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: [],
+};
+
+/**
+ * Get all orders with filtering and pagination
+ * Admin only - requires authentication
+ * Filters: status, payment_status, date_from, date_to, email (matches user or guest email)
+ * SEO-optimized: Single SELECT query with LEFT JOINs for owner details
+ */
+export async function getAllOrders(req, res) {
+  try {
+    const { status, payment_status, date_from, date_to, email, limit = 20, offset = 0 } = req.query;
+    const db = getDb();
+
+    // Build dynamic WHERE clause
+    const conditions = [];
+    const values = [];
+
+    if (status) {
+      if (!Object.keys(ORDER_STATUS_TRANSITIONS).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${Object.keys(ORDER_STATUS_TRANSITIONS).join(', ')}`,
+        });
+      }
+      conditions.push('o.order_status = ?');
+      values.push(status);
+    }
+    if (payment_status) {
+      if (!['unpaid', 'paid', 'refunded'].includes(payment_status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'payment_status must be one of: unpaid, paid, refunded',
+        });
+      }
+      conditions.push('o.payment_status = ?');
+      values.push(payment_status);
+    }
+    if (date_from) {
+      conditions.push('o.created_at >= ?');
+      values.push(date_from);
+    }
+    if (date_to) {
+      // Inclusive end date: include the whole day
+      conditions.push('o.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      values.push(date_to);
+    }
+    if (email) {
+      conditions.push('(LOWER(u.email) = ? OR LOWER(gd.email) = ?)');
+      const emailToCheck = email.trim().toLowerCase();
+      values.push(emailToCheck, emailToCheck);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows] = await db.query(
+      `SELECT 
+        o.*,
+        COALESCE(u.full_name, gd.full_name) as customer_name,
+        COALESCE(u.email, gd.email) as customer_email,
+        COALESCE(u.phone_number, gd.phone_number) as customer_phone,
+        (SELECT COALESCE(SUM(oi.quantity), 0) FROM order_items oi WHERE oi.order_id = o.id) as item_count
+      FROM orders o
+      LEFT JOIN users u ON o.user_id = u.id
+      LEFT JOIN guest_details gd ON o.guest_id = gd.id
+      ${whereClause}
+      ORDER BY o.created_at DESC, o.id DESC
+      LIMIT ? OFFSET ?`,
+      [...values, parseInt(limit), parseInt(offset)]
+    );
+
+    // Get total count for pagination
+    const [countResult] = await db.query(
+      `SELECT COUNT(*) as total
+      FROM orders o
+      LEFT JOIN users u ON o.user_id = u.id
+      LEFT JOIN guest_details gd ON o.guest_id = gd.id
+      ${whereClause}`,
+      values
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        orders: rows,
+        total: countResult[0].total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (err) {
+    console.error('Get orders error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders',
+    });
+  }
+}
+
+/**
+ * Update order status
+ * Admin only - requires authentication
+ * Enforces ORDER_STATUS_TRANSITIONS; cancelling restocks the products decremented by createOrder
+ * SEO-optimized: Transaction-based, conditional UPDATE guards against concurrent transitions
+ */
+export async function updateOrderStatus(req, res) {
+  // Dedicated connection so the status change and restock run in one real transaction
+  const db = await getDb().getConnection();
+
+  try {
+    // Start transaction for data integrity
+    await db.query('START TRANSACTION');
+
+    const { id } = req.params;
+    const { order_status } = req.body;
+
+    if (!order_status || !Object.keys(ORDER_STATUS_TRANSITIONS).includes(order_status)) {
+      await db.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: `order_status must be one of: ${Object.keys(ORDER_STATUS_TRANSITIONS).join(', ')}`,
+      });
+    }
+
+    const [orderRows] = await db.query(
+      'SELECT id, order_status FROM orders WHERE id = ? LIMIT 1',
+      [id]
+    );
+
+    if (orderRows.length === 0) {
+      await db.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const currentStatus = orderRows[0].order_status;
+
+    if (!ORDER_STATUS_TRANSITIONS[currentStatus].includes(order_status)) {
+      await db.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change order status from "${currentStatus}" to "${order_status}"`,
+        allowed_transitions: ORDER_STATUS_TRANSITIONS[currentStatus],
+      });
+    }
+
+    // Only apply if status hasn't changed since we read it (prevents double restock)
+    const [updateResult] = await db.query(
+      'UPDATE orders SET order_status = ? WHERE id = ? AND order_status = ?',
+      [order_status, id, currentStatus]
+    );
+
+    if (updateResult.affectedRows === 0) {
+      await db.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: 'Order status was changed by another request, please retry',
+      });
+    }
+
+    // Restock products when order is cancelled (custom builds carry no stock)
+    // Lines already restocked by a refund are not restocked twice
+    if (order_status === 'cancelled') {
+      const [itemRows] = await db.query(
+        `SELECT 
+          oi.product_id,
+          oi.quantity - COALESCE((SELECT SUM(pri.quantity) FROM payment_refund_items pri WHERE pri.order_item_id = oi.id), 0) as quantity
+        FROM order_items oi
+        WHERE oi.order_id = ? AND oi.product_id IS NOT NULL`,
+        [id]
+      );
+
+      for (const item of itemRows) {
+        if (item.quantity <= 0) continue;
+        await restockProduct(db, item.product_id, item.quantity, {
+          reason: 'cancellation_restock',
+          orderId: id,
+          createdBy: req.user.id,
+        });
+      }
+
+      await releaseOrderReservations(db, id);
+    }
+
+    await db.query('COMMIT');
+
+    // Invite the customer to review what they received (non-blocking, don't fail the status change)
+    if (order_status === 'delivered') {
+      try {
+        const invitation = await createReviewInvitation(db, id);
+        if (invitation) {
+          await sendReviewInvitation(db, invitation);
+        }
+      } catch (inviteErr) {
+        console.error('Review invitation error:', inviteErr);
+      }
+    }
+
+    const [rows] = await db.query('SELECT * FROM orders WHERE id = ? LIMIT 1', [id]);
+
+    return res.status(200).json({
+      success: true,
+      data: rows[0],
+      message: 'Order status updated successfully',
+    });
+  } catch (err) {
+    await db.query('ROLLBACK');
+    console.error('Update order status error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update order status',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Get all orders for the authenticated user
+ * Includes guest orders placed earlier with the same email (user may have ordered as guest before registering),
+ * once the user has verified that email
+ * Each order carries its order_items (product/custom-build snapshots) and linked payment
+ * SEO-optimized: One query for orders, one for all items, one for all payments
+ */
+export async function getMyOrders(req, res) {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+    const db = getDb();
+    const userId = req.user.id;
+
+    // Resolve user email for guest order matching - only a verified email proves the guest orders are theirs
+    const [userRows] = await db.query(
+      'SELECT email FROM users WHERE id = ? AND email_verified = 1 LIMIT 1',
+      [userId]
+    );
+    const emailToCheck = userRows.length > 0 ? userRows[0].email.trim().toLowerCase() : null;
+
+    const ownerClause = `(o.user_id = ? OR o.guest_id IN (
+        SELECT gd.id FROM guest_details gd WHERE LOWER(gd.email) = ?
+      ))`;
+    const ownerValues = [userId, emailToCheck];
+
+    const [orderRows] = await db.query(
+      `SELECT 
+        o.*
+      FROM orders o
+      WHERE ${ownerClause}
+      ORDER BY o.created_at DESC, o.id DESC
+      LIMIT ? OFFSET ?`,
+      [...ownerValues, parseInt(limit), parseInt(offset)]
+    );
+
+    // Get total count for pagination
+    const [countResult] = await db.query(
+      `SELECT COUNT(*) as total FROM orders o WHERE ${ownerClause}`,
+      ownerValues
+    );
+
+    const orderIds = orderRows.map(order => order.id);
+    const itemsMap = {};
+    const paymentsMap = {};
+
+    if (orderIds.length > 0) {
+      const placeholders = orderIds.map(() => '?').join(',');
+
+      // Fetch items for all orders (products and custom builds)
+      const [itemRows] = await db.query(
+        `SELECT 
+          oi.*,
+          p.name as product_name,
+          p.slug as product_slug,
+          p.sku as product_sku,
+          (SELECT pi.image_url FROM product_images pi 
+           WHERE pi.product_id = p.id 
+           ORDER BY pi.display_order ASC LIMIT 1) as product_image_url,
+          cpb.total_estimated_price as custom_build_price,
+          cpb.configuration_data as custom_build_configuration
+        FROM order_items oi
+        LEFT JOIN products p ON oi.product_id = p.id
+        LEFT JOIN custom_pc_builds cpb ON oi.custom_build_id = cpb.id
+        WHERE oi.order_id IN (${placeholders})
+        ORDER BY oi.order_id, oi.id`,
+        orderIds
+      );
+
+      itemRows.forEach(item => {
+        if (typeof item.custom_build_configuration === 'string') {
+          try {
+            item.custom_build_configuration = JSON.parse(item.custom_build_configuration);
+          } catch (e) {
+            item.custom_build_configuration = null;
+          }
+        }
+        if (!itemsMap[item.order_id]) {
+          itemsMap[item.order_id] = [];
+        }
+        itemsMap[item.order_id].push(item);
+      });
+
+      // Fetch payments for all orders
+      const [paymentRows] = await db.query(
+        `SELECT id, user_id, guest_id, order_id, amount, gateway, transaction_id, status, created_at 
+         FROM payments 
+         WHERE order_id IN (${placeholders})
+         ORDER BY id ASC`,
+        orderIds
+      );
+
+      paymentRows.forEach(payment => {
+        paymentsMap[payment.order_id] = payment;
+      });
+    }
+
+    const orders = orderRows.map(order => ({
+      order,
+      items: itemsMap[order.id] || [],
+      payment: paymentsMap[order.id] || null,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        orders,
+        total: countResult[0].total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (err) {
+    console.error('Get my orders error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders',
+    });
+  }
+}
+
+/**
+ * Track a guest order
+ * Public endpoint - guests identify the order by reference + email, or by the tracking token returned at creation
+ * Only guest orders are trackable; any mismatch returns the same 404 so references cannot be probed
+ * SEO-optimized: Single SELECT with JOIN, minimal fields (no guest contact/address data)
+ */
+export async function trackOrder(req, res) {
+  try {
+    const { reference, email, token } = req.body;
+    const db = getDb();
+
+    let orderId = null;
+    const conditions = ['o.guest_id IS NOT NULL'];
+    const values = [];
+
+    if (token) {
+      const payload = verifyTrackingToken('order', token);
+      if (!payload) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired tracking token',
+        });
+      }
+      orderId = payload.id;
+      conditions.push('o.guest_id = ?');
+      values.push(payload.guest_id);
+    } else {
+      if (!reference || !email) {
+        return res.status(400).json({
+          success: false,
+          message: 'reference and email, or token, are required',
+        });
+      }
+      orderId = parseReference('order', reference);
+      conditions.push('LOWER(gd.email) = ?');
+      values.push(String(email).trim().toLowerCase());
+    }
+
+    if (!orderId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const [orderRows] = await db.query(
+      `SELECT 
+        o.id,
+        o.subtotal,
+        o.discount_amount,
+        o.total_amount,
+        o.coupon_code,
+        o.order_status,
+        o.payment_status,
+        o.created_at
+      FROM orders o
+      INNER JOIN guest_details gd ON o.guest_id = gd.id
+      WHERE o.id = ? AND ${conditions.join(' AND ')}
+      LIMIT 1`,
+      [orderId, ...values]
+    );
+
+    if (orderRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const order = orderRows[0];
+
+    const [itemRows] = await db.query(
+      `SELECT 
+        oi.id,
+        oi.product_id,
+        oi.custom_build_id,
+        oi.quantity,
+        oi.price_at_purchase,
+        p.name as product_name,
+        p.slug as product_slug
+      FROM order_items oi
+      LEFT JOIN products p ON oi.product_id = p.id
+      WHERE oi.order_id = ?
+      ORDER BY oi.id`,
+      [order.id]
+    );
+
+    const [paymentRows] = await db.query(
+      'SELECT amount, gateway, status, created_at FROM payments WHERE order_id = ? LIMIT 1',
+      [order.id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        reference: formatReference('order', order.id),
+        order,
+        items: itemRows,
+        payment: paymentRows.length > 0 ? paymentRows[0] : null,
+      },
+    });
+  } catch (err) {
+    console.error('Track order error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to track order',
+    });
+  }
+}
@@ -0,0 +1,677 @@
+import crypto from 'crypto';
+import { getDb } from '../config/db.config.js';
+import { paymentConfig } from '../config/payment.config.js';
+import { getPaymentProvider, signLocalGatewayPayload } from '../utils/paymentProviders.js';
+import { issueRefund } from '../utils/refunds.js';
+import { verifyTrackingToken } from '../utils/tracking.js';
+
+const PAYMENT_FIELDS = 'id, user_id, guest_id, order_id, booking_id, amount, gateway, transaction_id, status, created_at, updated_at';
+
+/**
+ * Check whether the requester may act on a payment
+ * - Logged-in: owner or admin
+ * - Guest: tracking token (from order/booking creation) for the linked order or booking
+ */
+function canAccessPayment(req, payment, trackingToken) {
+  if (req.user) {
+    return req.user.role === 'admin' || payment.user_id === req.user.id;
+  }
+
+  if (!trackingToken || !payment.guest_id) {
+    return false;
+  }
+
+  const type = payment.order_id ? 'order' : 'booking';
+  const resourceId = payment.order_id || payment.booking_id;
+  const tracking = verifyTrackingToken(type, trackingToken);
+
+  return !!tracking && tracking.id === resourceId && tracking.guest_id === payment.guest_id;
+}
+
+/**
+ * Apply a verified gateway event to payments / orders / bookings
+ * Idempotent: each (gateway, event_id) is recorded once in payment_events, and status
+ * updates are conditional so replays or out-of-order events never regress state.
+ * Events for a payment we can't find yet are not recorded, so the gateway's retry is processed.
+ *
+ * @returns {Promise<{unknown: boolean, duplicate: boolean, payment: object|null, applied: boolean}>}
+ */
+async function applyPaymentEvent(gateway, event, payload) {
+  const db = await getDb().getConnection();
+
+  try {
+    await db.query('START TRANSACTION');
+
+    try {
+      // Lock the payment so concurrent deliveries for it apply one at a time
+      let [paymentRows] = await db.query(
+        `SELECT ${PAYMENT_FIELDS} FROM payments WHERE gateway = ? AND transaction_id = ? LIMIT 1 FOR UPDATE`,
+        [gateway, event.transaction_id]
+      );
+
+      // The event can beat initiatePayment storing the transaction_id - match on our own id instead
+      if (paymentRows.length === 0 && event.payment_id) {
+        [paymentRows] = await db.query(
+          `SELECT ${PAYMENT_FIELDS} FROM payments
+           WHERE id = ? AND gateway = ? AND (transaction_id IS NULL OR transaction_id = ?)
+           LIMIT 1 FOR UPDATE`,
+          [event.payment_id, gateway, event.transaction_id]
+        );
+      }
+
+      if (paymentRows.length === 0) {
+        await db.query('ROLLBACK');
+        return { unknown: true, duplicate: false, payment: null, applied: false };
+      }
+
+      const payment = paymentRows[0];
+
+      // Record the event - duplicate deliveries are dropped here
+      const [eventResult] = await db.query(
+        `INSERT IGNORE INTO payment_events (gateway, event_id, transaction_id, payment_id, status, payload)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [gateway, event.event_id, event.transaction_id, payment.id, event.status, JSON.stringify(payload)]
+      );
+
+      if (eventResult.affectedRows === 0) {
+        await db.query('ROLLBACK');
+        return { unknown: false, duplicate: true, payment: null, applied: false };
+      }
+
+      if (!payment.transaction_id) {
+        await db.query('UPDATE payments SET transaction_id = ? WHERE id = ?', [event.transaction_id, payment.id]);
+      }
+
+      // A late failure must never override a success; a success may follow an earlier failure (retry).
+      // A success after cancellation is still recorded - the money was taken and must be refundable.
+      const fromStatuses = event.status === 'succeeded' ? ['pending', 'failed', 'cancelled'] : ['pending'];
+      const [updateResult] = await db.query(
+        'UPDATE payments SET status = ? WHERE id = ? AND status IN (?)',
+        [event.status, payment.id, fromStatuses]
+      );
+
+      const applied = updateResult.affectedRows > 0;
+
+      if (applied && event.status === 'succeeded') {
+        if (payment.order_id) {
+          await db.query(
+            "UPDATE orders SET payment_status = 'paid' WHERE id = ? AND payment_status = 'unpaid'",
+            [payment.order_id]
+          );
+        }
+        if (payment.booking_id) {
+          // Paid bookings are confirmed automatically
+          await db.query(
+            "UPDATE bookings SET status = 'confirmed' WHERE id = ? AND status = 'pending'",
+            [payment.booking_id]
+          );
+        }
+      }
+
+      await db.query('COMMIT');
+
+      const [updatedRows] = await db.query(
+        `SELECT ${PAYMENT_FIELDS} FROM payments WHERE id = ? LIMIT 1`,
+        [payment.id]
+      );
+
+      return { unknown: false, duplicate: false, payment: updatedRows[0], applied };
+    } catch (err) {
+      await db.query('ROLLBACK');
+      throw err;
+    }
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Verify, parse and apply a webhook delivery for a gateway
+ * Shared by the public webhook receiver and the local simulate endpoint
+ *
+ * @returns {Promise<{statusCode: number, body: object}>}
+ */
+async function processWebhook(gateway, rawBody, headers, body) {
+  const provider = getPaymentProvider(gateway);
+  if (!provider) {
+    return { statusCode: 404, body: { success: false, message: 'Unknown payment gateway' } };
+  }
+
+  if (!provider.verifyWebhook(rawBody, headers)) {
+    return { statusCode: 401, body: { success: false, message: 'Invalid webhook signature' } };
+  }
+
+  const event = provider.parseWebhookEvent(body);
+  if (!event) {
+    // Event types we don't handle are acknowledged so the gateway stops retrying
+    return { statusCode: 200, body: { success: true, message: 'Event ignored' } };
+  }
+
+  const result = await applyPaymentEvent(gateway, event, body);
+
+  if (result.unknown) {
+    // Non-2xx so the gateway retries once the payment has its transaction_id
+    return { statusCode: 404, body: { success: false, message: 'Unknown transaction' } };
+  }
+
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      data: {
+        duplicate: result.duplicate,
+        applied: result.applied,
+        payment: result.payment,
+      },
+      message: result.duplicate ? 'Event already processed' : 'Event processed',
+    },
+  };
+}
+
+/**
+ * Initiate (or retry) an online payment for a pending payment row
+ * Supports logged-in owners/admins and guests via tracking_token
+ * SEO-optimized: Single SELECT + conditional UPDATE, provider call outside any lock
+ */
+export async function initiatePayment(req, res) {
+  try {
+    const { id } = req.params;
+    const { tracking_token } = req.body;
+    const db = getDb();
+
+    const [paymentRows] = await db.query(
+      `SELECT ${PAYMENT_FIELDS} FROM payments WHERE id = ? LIMIT 1`,
+      [id]
+    );
+
+    if (paymentRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found',
+      });
+    }
+
+    const payment = paymentRows[0];
+
+    if (!canAccessPayment(req, payment, tracking_token)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    if (!['pending', 'failed'].includes(payment.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Payment is already ${payment.status}`,
+      });
+    }
+
+    const provider = getPaymentProvider(payment.gateway);
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported payment gateway',
+      });
+    }
+
+    const checkout = await provider.initiatePayment({
+      payment,
+      returnUrl: paymentConfig.returnUrl,
+    });
+
+    // Store the gateway reference; a failed payment becomes pending again for the retry
+    await db.query(
+      "UPDATE payments SET transaction_id = ?, status = 'pending' WHERE id = ? AND status IN ('pending', 'failed')",
+      [checkout.transaction_id, payment.id]
+    );
+
+    const [updatedRows] = await db.query(
+      `SELECT ${PAYMENT_FIELDS} FROM payments WHERE id = ? LIMIT 1`,
+      [payment.id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        payment: updatedRows[0],
+        checkout: {
+          redirect_url: checkout.redirect_url || null,
+          client_secret: checkout.client_secret || null,
+          instructions: checkout.instructions || null,
+        },
+      },
+      message: 'Payment initiated successfully',
+    });
+  } catch (err) {
+    console.error('Initiate payment error:', err);
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'Duplicate transaction reference, please retry',
+      });
+    }
+    return res.status(502).json({
+      success: false,
+      message: 'Failed to initiate payment',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Payment gateway webhook receiver
+ * Public endpoint - authenticated by the gateway's signature over the raw request body
+ * Idempotent by (gateway, event_id) and by payment status transitions per transaction_id
+ */
+export async function handlePaymentWebhook(req, res) {
+  try {
+    const { gateway } = req.params;
+    const result = await processWebhook(gateway, req.rawBody, req.headers, req.body);
+    return res.status(result.statusCode).json(result.body);
+  } catch (err) {
+    console.error('Payment webhook error:', err);
+    // Non-2xx makes the gateway retry later
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook',
+    });
+  }
+}
+
+/**
+ * Simulate a local gateway payment outcome
+ * Development/testing only (LOCAL_GATEWAY_ENABLED=true) - builds and signs a webhook exactly like the fake gateway would,
+ * then runs it through the same verification and processing path as real webhooks
+ */
+export async function simulateLocalPayment(req, res) {
+  try {
+    if (!paymentConfig.localGateway.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Not found',
+      });
+    }
+
+    if (!paymentConfig.localGateway.webhookSecret) {
+      return res.status(503).json({
+        success: false,
+        message: 'LOCAL_GATEWAY_WEBHOOK_SECRET is not configured',
+      });
+    }
+
+    const { transaction_id, outcome = 'succeeded' } = req.body;
+
+    if (!transaction_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'transaction_id is required',
+      });
+    }
+
+    if (!['succeeded', 'failed'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: 'outcome must be either "succeeded" or "failed"',
+      });
+    }
+
+    const body = {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type: `payment.${outcome}`,
+      transaction_id,
+    };
+    const rawBody = JSON.stringify(body);
+    const headers = { 'x-local-gateway-signature': signLocalGatewayPayload(rawBody) };
+
+    const result = await processWebhook('local_gateway', rawBody, headers, body);
+    return res.status(result.statusCode).json(result.body);
+  } catch (err) {
+    console.error('Simulate payment error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to simulate payment',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  }
+}
+
+/**
+ * Refund a payment (full or partial)
+ * Admin only - requires authentication
+ *
+ * Flow:
+ * 1. Validate amount against the remaining refundable balance (amount - refunded_amount)
+ * 2. Validate optional restock lines against what is still restockable per order line
+ * 3. Issue the refund through the gateway and record it (see issueRefund)
+ * All in one transaction with the payment and order lines locked, so concurrent refunds can't
+ * over-refund or restock a line twice.
+ */
+export async function createRefund(req, res) {
+  const db = await getDb().getConnection();
+
+  try {
+    const { id } = req.params;
+    const { amount, reason, restock = false, items } = req.body;
+
+    await db.query('START TRANSACTION');
+
+    let result;
+    let payment;
+    const restockLines = [];
+
+    try {
+      // Locked for the whole refund so concurrent refunds see each other's balance and restocked lines
+      const [paymentRows] = await db.query(
+        `SELECT ${PAYMENT_FIELDS}, refunded_amount FROM payments WHERE id = ? LIMIT 1 FOR UPDATE`,
+        [id]
+      );
+
+      if (paymentRows.length === 0) {
+        await db.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found',
+        });
+      }
+
+      payment = paymentRows[0];
+
+      if (payment.status !== 'succeeded') {
+        await db.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: `Only succeeded payments can be refunded (current status: ${payment.status})`,
+        });
+      }
+
+      const paymentAmount = parseFloat(payment.amount) || 0;
+      const refundedAmount = parseFloat(payment.refunded_amount) || 0;
+      const refundableAmount = parseFloat((paymentAmount - refundedAmount).toFixed(2));
+
+      // Default to the full remaining balance
+      const refundAmount = amount !== undefined
+        ? parseFloat(parseFloat(amount).toFixed(2))
+        : refundableAmount;
+
+      if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+        await db.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: 'amount must be greater than 0',
+        });
+      }
+
+      if (refundAmount > refundableAmount) {
+        await db.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: `Refund amount exceeds refundable balance of ${refundableAmount}`,
+          refundable_amount: refundableAmount,
+        });
+      }
+
+      // Validate restock lines (only for order payments)
+      if (restock) {
+        if (!payment.order_id) {
+          await db.query('ROLLBACK');
+          return res.status(400).json({
+            success: false,
+            message: 'restock is only available for order payments',
+          });
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+          await db.query('ROLLBACK');
+          return res.status(400).json({
+            success: false,
+            message: 'items [{ order_item_id, quantity }] are required when restock is true',
+          });
+        }
+
+        // Cancelling an order already restocks every line
+        const [orderRows] = await db.query(
+          'SELECT order_status FROM orders WHERE id = ? LIMIT 1',
+          [payment.order_id]
+        );
+        if (orderRows.length > 0 && orderRows[0].order_status === 'cancelled') {
+          await db.query('ROLLBACK');
+          return res.status(400).json({
+            success: false,
+            message: 'Cancelled orders have already been restocked',
+          });
+        }
+
+        const [orderItemRows] = await db.query(
+          `SELECT 
+            oi.id, oi.product_id, oi.quantity,
+            COALESCE((SELECT SUM(pri.quantity) FROM payment_refund_items pri WHERE pri.order_item_id = oi.id), 0) as restocked_quantity
+          FROM order_items oi
+          WHERE oi.order_id = ? AND oi.product_id IS NOT NULL
+          FOR UPDATE`,
+          [payment.order_id]
+        );
+
+        const orderItemsMap = {};
+        orderItemRows.forEach(item => {
+          orderItemsMap[item.id] = item;
+        });
+
+        for (const line of items) {
+          const orderItem = orderItemsMap[line.order_item_id];
+          const quantity = parseInt(line.quantity);
+
+          if (!orderItem) {
+            await db.query('ROLLBACK');
+            return res.status(400).json({
+              success: false,
+              message: `order_item_id ${line.order_item_id} is not a product line of this order`,
+            });
+          }
+
+          const remaining = orderItem.quantity - parseInt(orderItem.restocked_quantity);
+          if (!quantity || quantity < 1 || quantity > remaining) {
+            await db.query('ROLLBACK');
+            return res.status(400).json({
+              success: false,
+              message: `quantity for order_item_id ${orderItem.id} must be between 1 and ${remaining}`,
+            });
+          }
+
+          restockLines.push({ order_item_id: orderItem.id, product_id: orderItem.product_id, quantity });
+        }
+      }
+
+      result = await issueRefund(db, payment, {
+        amount: refundAmount,
+        reason: reason?.trim() || null,
+        restockLines,
+        createdBy: req.user.id,
+      });
+
+      if (result.error) {
+        await db.query('ROLLBACK');
+        return res.status(result.error.statusCode).json({
+          success: false,
+          message: result.error.message,
+          error: process.env.NODE_ENV !== 'production' ? result.error.detail : undefined,
+        });
+      }
+
+      await db.query('COMMIT');
+    } catch (err) {
+      await db.query('ROLLBACK');
+      throw err;
+    }
+
+    const { refundId, isFullRefund } = result;
+
+    const [refundRows] = await db.query(
+      'SELECT * FROM payment_refunds WHERE id = ? LIMIT 1',
+      [refundId]
+    );
+
+    const [updatedPaymentRows] = await db.query(
+      `SELECT ${PAYMENT_FIELDS}, refunded_amount FROM payments WHERE id = ? LIMIT 1`,
+      [payment.id]
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        refund: { ...refundRows[0], items: restockLines },
+        payment: updatedPaymentRows[0],
+      },
+      message: isFullRefund ? 'Payment fully refunded' : 'Partial refund recorded',
+    });
+  } catch (err) {
+    console.error('Create refund error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create refund',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Get refunds for a payment
+ * Admin only - requires authentication
+ * SEO-optimized: One query for refunds, one for all restocked lines
+ */
+export async function getPaymentRefunds(req, res) {
+  try {
+    const { id } = req.params;
+    const db = getDb();
+
+    const [paymentRows] = await db.query(
+      `SELECT ${PAYMENT_FIELDS}, refunded_amount FROM payments WHERE id = ? LIMIT 1`,
+      [id]
+    );
+
+    if (paymentRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found',
+      });
+    }
+
+    const [refundRows] = await db.query(
+      `SELECT pr.*, u.full_name as created_by_name
+       FROM payment_refunds pr
+       LEFT JOIN users u ON pr.created_by = u.id
+       WHERE pr.payment_id = ?
+       ORDER BY pr.created_at ASC, pr.id ASC`,
+      [id]
+    );
+
+    const itemsMap = {};
+    const refundIds = refundRows.map(refund => refund.id);
+    if (refundIds.length > 0) {
+      const placeholders = refundIds.map(() => '?').join(',');
+      const [itemRows] = await db.query(
+        `SELECT pri.refund_id, pri.order_item_id, pri.quantity, oi.product_id, p.name as product_name
+         FROM payment_refund_items pri
+         INNER JOIN order_items oi ON pri.order_item_id = oi.id
+         LEFT JOIN products p ON oi.product_id = p.id
+         WHERE pri.refund_id IN (${placeholders})`,
+        refundIds
+      );
+
+      itemRows.forEach(item => {
+        if (!itemsMap[item.refund_id]) {
+          itemsMap[item.refund_id] = [];
+        }
+        itemsMap[item.refund_id].push(item);
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        payment: paymentRows[0],
+        refunds: refundRows.map(refund => ({ ...refund, items: itemsMap[refund.id] || [] })),
+      },
+    });
+  } catch (err) {
+    console.error('Get payment refunds error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds',
+    });
+  }
+}
+
+/**
+ * Refund ledger for reconciliation
+ * Admin only - requires authentication
+ * Filters: gateway, date_from, date_to
+ */
+export async function getAllRefunds(req, res) {
+  try {
+    const { gateway, date_from, date_to, limit = 50, offset = 0 } = req.query;
+    const db = getDb();
+
+    const conditions = [];
+    const values = [];
+
+    if (gateway) {
+      conditions.push('p.gateway = ?');
+      values.push(gateway);
+    }
+    if (date_from) {
+      conditions.push('pr.created_at >= ?');
+      values.push(date_from);
+    }
+    if (date_to) {
+      // Inclusive end date: include the whole day
+      conditions.push('pr.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      values.push(date_to);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows] = await db.query(
+      `SELECT 
+        pr.*,
+        p.gateway,
+        p.transaction_id,
+        p.order_id,
+        p.booking_id,
+        p.amount as payment_amount
+      FROM payment_refunds pr
+      INNER JOIN payments p ON pr.payment_id = p.id
+      ${whereClause}
+      ORDER BY pr.created_at DESC, pr.id DESC
+      LIMIT ? OFFSET ?`,
+      [...values, parseInt(limit), parseInt(offset)]
+    );
+
+    const [totals] = await db.query(
+      `SELECT COUNT(*) as total, COALESCE(SUM(pr.amount), 0) as total_amount
+       FROM payment_refunds pr
+       INNER JOIN payments p ON pr.payment_id = p.id
+       ${whereClause}`,
+      values
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        refunds: rows,
+        total: totals[0].total,
+        total_amount: parseFloat(totals[0].total_amount),
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (err) {
+    console.error('Get refunds error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds',
+    });
+  }
+}
@@ -1,5 +1,6 @@
 import { getDb } from '../config/db.config.js';
 import { slugify, generateUniqueSlug } from '../utils/slugify.js';
+import { adjustStock, recordStockMovement } from '../utils/inventory.js';
 
 /**
  * Get all products with optional filtering
@@ -261,6 +262,7 @@ export async function createProduct(req, res) {
       price,
       discount_percentage,
       stock_quantity,
+      reorder_threshold,
       short_description,
       long_description,
       specifications,
@@ -314,6 +316,14 @@ export async function createProduct(req, res) {
       });
     }
 
+    // Validate reorder_threshold (null = use the LOW_STOCK_THRESHOLD default)
+    if (reorder_threshold !== undefined && reorder_threshold !== null && reorder_threshold < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'reorder_threshold cannot be negative',
+      });
+    }
+
     // Validate category_id if provided
     if (category_id) {
       const db = getDb();
@@ -383,10 +393,10 @@ export async function createProduct(req, res) {
       // Single optimized INSERT query for product
       const [result] = await db.query(
         `INSERT INTO products (
-          category_id, name, slug, sku, \`condition\`, price, discount_percentage, stock_quantity,
+          category_id, name, slug, sku, \`condition\`, price, discount_percentage, stock_quantity, reorder_threshold,
           short_description, long_description, specifications, warranty_info, 
           seo_title, meta_description, is_active, section
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           category_id || null,
           name.trim(),
@@ -396,6 +406,7 @@ export async function createProduct(req, res) {
           price,
           discount_percentage !== undefined ? discount_percentage : 0.00,
           stock_quantity !== undefined ? stock_quantity : 0,
+          reorder_threshold ?? null,
           short_description?.trim() || null,
           long_description?.trim() || null,
           specificationsJson,
@@ -409,6 +420,16 @@ export async function createProduct(req, res) {
 
       const productId = result.insertId;
 
+      // Opening balance of the stock ledger
+      if (stock_quantity > 0) {
+        await recordStockMovement(db, {
+          productId,
+          quantityChange: stock_quantity,
+          reason: 'initial_stock',
+          createdBy: req.user.id,
+        });
+      }
+
       // Insert images if provided
       if (images && Array.isArray(images) && images.length > 0) {
         for (const img of images) {
@@ -431,7 +452,7 @@ export async function createProduct(req, res) {
       // Fetch the created product with images
       const [rows] = await db.query(
         `SELECT 
-          id, category_id, name, slug, sku, \`condition\`, price, discount_percentage, stock_quantity,
+          id, category_id, name, slug, sku, \`condition\`, price, discount_percentage, stock_quantity, reorder_threshold,
           short_description, long_description, specifications, average_rating, review_count, 
           warranty_info, seo_title, meta_description, is_active, section
         FROM products WHERE id = ? LIMIT 1`,
@@ -518,6 +539,8 @@ export async function createProduct(req, res) {
  * SEO-optimized: Handles slug updates, JSON specifications, all field types properly
  */
 export async function updateProduct(req, res) {
+  const db = await getDb().getConnection();
+
   try {
     const { id } = req.params;
     const {
@@ -529,6 +552,7 @@ export async function updateProduct(req, res) {
       price,
       discount_percentage,
       stock_quantity,
+      reorder_threshold,
       short_description,
       long_description,
       specifications,
@@ -540,8 +564,6 @@ export async function updateProduct(req, res) {
       images, // Array of { id?, image_url, alt_text, display_order } - id for update, no id for new
     } = req.body;
 
-    const db = getDb();
-
     // Check if product exists
     const [existingRows] = await db.query(
       'SELECT id, slug, sku FROM products WHERE id = ? LIMIT 1',
@@ -589,6 +611,14 @@ export async function updateProduct(req, res) {
       });
     }
 
+    // Validate reorder_threshold (null = use the LOW_STOCK_THRESHOLD default)
+    if (reorder_threshold !== undefined && reorder_threshold !== null && reorder_threshold < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'reorder_threshold cannot be negative',
+      });
+    }
+
     // Check SKU uniqueness if SKU is being updated
     if (sku !== undefined && sku.trim() !== existingRows[0].sku) {
       const [skuCheck] = await db.query(
@@ -645,9 +675,9 @@ export async function updateProduct(req, res) {
       updates.push('discount_percentage = ?');
       values.push(discount_percentage);
     }
-    if (stock_quantity !== undefined) {
-      updates.push('stock_quantity = ?');
-      values.push(stock_quantity);
+    if (reorder_threshold !== undefined) {
+      updates.push('reorder_threshold = ?');
+      values.push(reorder_threshold ?? null);
     }
     // Images are handled separately in product_images table
     if (short_description !== undefined) {
@@ -700,17 +730,17 @@ export async function updateProduct(req, res) {
       values.push(section?.trim() || null);
     }
 
-    if (updates.length === 0 && images === undefined) {
+    if (updates.length === 0 && stock_quantity === undefined && images === undefined) {
       return res.status(400).json({
         success: false,
         message: 'No fields to update',
       });
     }
 
-    // Start transaction for product and images
-    await db.query('START TRANSACTION');
-
     try {
+      // Start transaction for product and images
+      await db.query('START TRANSACTION');
+
       // Single optimized UPDATE query for product
       if (updates.length > 0) {
         values.push(id);
@@ -720,6 +750,23 @@ export async function updateProduct(req, res) {
         );
       }
 
+      // Setting stock_quantity goes through the ledger as an admin adjustment of the difference,
+      // read under a row lock so a sale landing meanwhile isn't overwritten
+      if (stock_quantity !== undefined) {
+        const [stockRows] = await db.query(
+          'SELECT stock_quantity FROM products WHERE id = ? FOR UPDATE',
+          [id]
+        );
+        const stockChange = stock_quantity - stockRows[0].stock_quantity;
+        if (stockChange !== 0) {
+          await adjustStock(db, id, stockChange, {
+            reason: 'admin_adjustment',
+            createdBy: req.user.id,
+            note: 'Stock set via product update',
+          });
+        }
+      }
+
       // Handle images if provided
       if (images !== undefined && Array.isArray(images)) {
         // Get existing images
@@ -777,7 +824,7 @@ export async function updateProduct(req, res) {
       // Fetch updated product
       const [rows] = await db.query(
         `SELECT 
-          id, category_id, name, slug, sku, \`condition\`, price, discount_percentage, stock_quantity,
+          id, category_id, name, slug, sku, \`condition\`, price, discount_percentage, stock_quantity, reorder_threshold,
           short_description, long_description, specifications, average_rating, review_count, 
           warranty_info, seo_title, meta_description, is_active, section
         FROM products WHERE id = ? LIMIT 1`,
@@ -855,6 +902,8 @@ export async function updateProduct(req, res) {
       message: 'Failed to update product',
       error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
     });
+  } finally {
+    db.release();
   }
 }
 
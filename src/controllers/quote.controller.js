@@ -0,0 +1,544 @@
+import { getDb } from '../config/db.config.js';
+import { verifyTrackingToken } from '../utils/tracking.js';
+import { getEnabledPaymentGateways } from '../utils/paymentProviders.js';
+
+/**
+ * How long a quote can be accepted (days)
+ * Environment variable: QUOTE_VALIDITY_DAYS (default: 7)
+ */
+function getQuoteValidityDays() {
+  return Number(process.env.QUOTE_VALIDITY_DAYS || 7);
+}
+
+const BOOKING_FIELDS = `b.id, b.user_id, b.guest_id, b.technician_id, b.status, b.quoted_amount, b.total_amount,
+  s.name as service_name, s.price_type`;
+
+/**
+ * Staff who may quote a booking: admin, or the technician assigned to it
+ */
+function canQuoteBooking(req, booking) {
+  return req.user?.role === 'admin' ||
+    (req.user?.role === 'technician' && booking.technician_id === req.user.id);
+}
+
+/**
+ * Customer side of a booking: owner, or guest with the tracking token returned at booking creation
+ * Staff who can quote it may also view its quotes
+ */
+function canViewQuotes(req, booking, trackingToken) {
+  if (req.user) {
+    return canQuoteBooking(req, booking) || booking.user_id === req.user.id;
+  }
+
+  if (!trackingToken || !booking.guest_id) {
+    return false;
+  }
+
+  const tracking = verifyTrackingToken('booking', trackingToken);
+  return !!tracking && tracking.id === booking.id && tracking.guest_id === booking.guest_id;
+}
+
+/**
+ * Only the customer can accept or reject
+ */
+function isBookingCustomer(req, booking, trackingToken) {
+  if (req.user) {
+    return booking.user_id === req.user.id;
+  }
+  return canViewQuotes(req, booking, trackingToken);
+}
+
+async function getBookingForQuote(db, bookingId) {
+  const [rows] = await db.query(
+    `SELECT ${BOOKING_FIELDS}
+     FROM bookings b
+     INNER JOIN services s ON b.service_id = s.id
+     WHERE b.id = ? LIMIT 1`,
+    [bookingId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Fetch quotes of a booking with their lines
+ * SEO-optimized: One query for quotes, one for all their items
+ */
+async function getQuotesWithItems(db, bookingId, quoteId = null) {
+  const [quotes] = await db.query(
+    `SELECT
+      q.id, q.booking_id, q.status, q.parts_total, q.labour_total, q.subtotal, q.notes,
+      q.valid_until, q.created_by, u.full_name as created_by_name, q.responded_at, q.rejection_reason, q.created_at
+    FROM booking_quotes q
+    LEFT JOIN users u ON q.created_by = u.id
+    WHERE q.booking_id = ?${quoteId ? ' AND q.id = ?' : ''}
+    ORDER BY q.created_at DESC, q.id DESC`,
+    quoteId ? [bookingId, quoteId] : [bookingId]
+  );
+
+  if (quotes.length === 0) return [];
+
+  const [items] = await db.query(
+    `SELECT id, quote_id, item_type, description, quantity, unit_price, line_total
+     FROM booking_quote_items
+     WHERE quote_id IN (?)
+     ORDER BY id ASC`,
+    [quotes.map(quote => quote.id)]
+  );
+
+  return quotes.map(quote => ({
+    ...quote,
+    items: items.filter(item => item.quote_id === quote.id),
+  }));
+}
+
+/**
+ * Issue an itemised quote for a variable-price booking
+ * Admin, or the technician assigned to the booking
+ * Body: { items: [{ item_type: 'part'|'labour', description, quantity, unit_price }], notes? }
+ * Any quote still awaiting an answer is superseded by the new one
+ */
+export async function createQuote(req, res) {
+  const db = await getDb().getConnection();
+
+  try {
+    const { id } = req.params;
+    const { items, notes } = req.body;
+
+    const booking = await getBookingForQuote(db, id);
+
+    if (!booking || !canQuoteBooking(req, booking)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    if (booking.price_type !== 'variable') {
+      return res.status(400).json({
+        success: false,
+        message: 'Quotes are only issued for variable-price services',
+      });
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot quote a ${booking.status} booking`,
+      });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'items must be a non-empty array',
+      });
+    }
+
+    // Validate lines and calculate totals
+    const lines = [];
+    let partsTotal = 0;
+    let labourTotal = 0;
+
+    for (const item of items) {
+      const quantity = parseFloat(item.quantity ?? 1);
+      const unitPrice = parseFloat(item.unit_price);
+
+      if (!['part', 'labour'].includes(item.item_type) || !item.description?.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each item requires item_type ("part" or "labour") and description',
+        });
+      }
+
+      if (!Number.isFinite(quantity) || quantity <= 0 || !Number.isFinite(unitPrice) || unitPrice < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each item requires a quantity greater than 0 and a non-negative unit_price',
+        });
+      }
+
+      const lineTotal = parseFloat((quantity * unitPrice).toFixed(2));
+      if (item.item_type === 'part') {
+        partsTotal += lineTotal;
+      } else {
+        labourTotal += lineTotal;
+      }
+
+      lines.push({
+        item_type: item.item_type,
+        description: item.description.trim(),
+        quantity,
+        unit_price: unitPrice,
+        line_total: lineTotal,
+      });
+    }
+
+    partsTotal = parseFloat(partsTotal.toFixed(2));
+    labourTotal = parseFloat(labourTotal.toFixed(2));
+    const subtotal = parseFloat((partsTotal + labourTotal).toFixed(2));
+
+    if (subtotal <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quote total must be greater than 0',
+      });
+    }
+
+    const [acceptedRows] = await db.query(
+      "SELECT id FROM booking_quotes WHERE booking_id = ? AND status = 'accepted' LIMIT 1",
+      [id]
+    );
+
+    if (acceptedRows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'A quote for this booking has already been accepted',
+      });
+    }
+
+    await db.query('START TRANSACTION');
+
+    let quoteId;
+    try {
+      await db.query(
+        "UPDATE booking_quotes SET status = 'superseded' WHERE booking_id = ? AND status = 'sent'",
+        [id]
+      );
+
+      const [quoteResult] = await db.query(
+        `INSERT INTO booking_quotes (booking_id, status, parts_total, labour_total, subtotal, notes, valid_until, created_by)
+         VALUES (?, 'sent', ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), ?)`,
+        [id, partsTotal, labourTotal, subtotal, notes?.trim() || null, getQuoteValidityDays(), req.user.id]
+      );
+
+      quoteId = quoteResult.insertId;
+
+      for (const line of lines) {
+        await db.query(
+          `INSERT INTO booking_quote_items (quote_id, item_type, description, quantity, unit_price, line_total)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [quoteId, line.item_type, line.description, line.quantity, line.unit_price, line.line_total]
+        );
+      }
+
+      await db.query('COMMIT');
+    } catch (err) {
+      await db.query('ROLLBACK');
+      throw err;
+    }
+
+    const [quote] = await getQuotesWithItems(db, id, quoteId);
+
+    return res.status(201).json({
+      success: true,
+      data: quote,
+      message: 'Quote sent successfully',
+    });
+  } catch (err) {
+    console.error('Create quote error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create quote',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Get quotes of a booking, newest first
+ * Owner, admin, assigned technician, or guest with X-Tracking-Token header (optionalAuth)
+ */
+export async function getBookingQuotes(req, res) {
+  try {
+    const { id } = req.params;
+    const db = getDb();
+
+    const booking = await getBookingForQuote(db, id);
+    const trackingToken = req.headers['x-tracking-token'] || null;
+
+    if (!booking || !canViewQuotes(req, booking, trackingToken)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    const quotes = await getQuotesWithItems(db, id);
+
+    return res.status(200).json({
+      success: true,
+      data: quotes,
+    });
+  } catch (err) {
+    console.error('Get quotes error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quotes',
+    });
+  }
+}
+
+/**
+ * Accept a quote
+ * Booking owner, or guest with tracking_token (optionalAuth)
+ * Body: { coupon_code?, payment_gateway, tracking_token? } - payment_gateway must be an enabled gateway
+ *
+ * Flow:
+ * 1. Quote must be awaiting an answer and not expired; booking still pending/confirmed
+ * 2. Validate and apply the promo code against the quote subtotal
+ * 3. Mark quote accepted (conditional - no double acceptance), fill booking amounts,
+ *    count the promo code use and create the pending payment
+ */
+export async function acceptQuote(req, res) {
+  const db = await getDb().getConnection();
+
+  try {
+    const { id, quoteId } = req.params;
+    const { coupon_code, payment_gateway, tracking_token } = req.body || {};
+
+    const booking = await getBookingForQuote(db, id);
+
+    if (!booking || !isBookingCustomer(req, booking, tracking_token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot accept a quote for a ${booking.status} booking`,
+      });
+    }
+
+    const [quoteRows] = await db.query(
+      'SELECT id, status, subtotal, valid_until FROM booking_quotes WHERE id = ? AND booking_id = ? LIMIT 1',
+      [quoteId, id]
+    );
+
+    if (quoteRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found',
+      });
+    }
+
+    const quote = quoteRows[0];
+
+    if (quote.status !== 'sent') {
+      return res.status(409).json({
+        success: false,
+        message: `Quote has already been ${quote.status}`,
+      });
+    }
+
+    if (quote.valid_until && new Date(quote.valid_until) < new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Quote has expired, please ask for a new quote',
+      });
+    }
+
+    const enabledGateways = getEnabledPaymentGateways();
+    if (!enabledGateways.includes(payment_gateway)) {
+      return res.status(400).json({
+        success: false,
+        message: `payment_gateway must be one of: ${enabledGateways.join(', ')}`,
+      });
+    }
+
+    const quotedAmount = parseFloat(quote.subtotal) || 0;
+    let discountAmount = 0.00;
+    let finalCouponCode = null;
+    let promoCodeId = null;
+
+    // Validate and apply promo code if provided
+    if (coupon_code) {
+      const [promoRows] = await db.query(
+        `SELECT
+          id, code, discount_type, discount_value, min_order_amount,
+          usage_limit, used_count, expires_at, is_active
+        FROM promo_codes
+        WHERE code = ? AND is_active = 1
+        LIMIT 1`,
+        [coupon_code.toUpperCase().trim()]
+      );
+
+      if (promoRows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or inactive promo code',
+        });
+      }
+
+      const promoCode = promoRows[0];
+
+      if (promoCode.expires_at && new Date(promoCode.expires_at) < new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Promo code has expired',
+        });
+      }
+
+      if (promoCode.usage_limit !== null && promoCode.used_count >= promoCode.usage_limit) {
+        return res.status(400).json({
+          success: false,
+          message: 'Promo code usage limit reached',
+        });
+      }
+
+      if (quotedAmount < promoCode.min_order_amount) {
+        return res.status(400).json({
+          success: false,
+          message: `Minimum order amount of ${promoCode.min_order_amount} required`,
+          min_order_amount: promoCode.min_order_amount,
+        });
+      }
+
+      discountAmount = promoCode.discount_type === 'percentage'
+        ? quotedAmount * (promoCode.discount_value / 100)
+        : parseFloat(promoCode.discount_value);
+      // Ensure discount doesn't exceed quoted amount
+      discountAmount = parseFloat(Math.min(discountAmount, quotedAmount).toFixed(2));
+
+      finalCouponCode = promoCode.code;
+      promoCodeId = promoCode.id;
+    }
+
+    const totalAmount = parseFloat((quotedAmount - discountAmount).toFixed(2));
+
+    let paymentId;
+    try {
+      await db.query('START TRANSACTION');
+
+      const [acceptResult] = await db.query(
+        "UPDATE booking_quotes SET status = 'accepted', responded_at = NOW() WHERE id = ? AND status = 'sent'",
+        [quote.id]
+      );
+
+      if (acceptResult.affectedRows === 0) {
+        await db.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'Quote was answered by another request, please reload',
+        });
+      }
+
+      // The booking may have been cancelled or completed since it was read
+      const [bookingResult] = await db.query(
+        `UPDATE bookings SET quoted_amount = ?, discount_amount = ?, total_amount = ?, coupon_code = ?
+         WHERE id = ? AND status IN ('pending', 'confirmed')`,
+        [quotedAmount, discountAmount, totalAmount, finalCouponCode, booking.id]
+      );
+
+      if (bookingResult.affectedRows === 0) {
+        await db.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'Booking is no longer pending or confirmed',
+        });
+      }
+
+      if (promoCodeId) {
+        await db.query(
+          'UPDATE promo_codes SET used_count = used_count + 1 WHERE id = ?',
+          [promoCodeId]
+        );
+      }
+
+      const [paymentResult] = await db.query(
+        `INSERT INTO payments (user_id, guest_id, booking_id, amount, gateway, status)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [booking.user_id, booking.guest_id, booking.id, totalAmount, payment_gateway, 'pending']
+      );
+
+      paymentId = paymentResult.insertId;
+
+      await db.query('COMMIT');
+    } catch (err) {
+      await db.query('ROLLBACK');
+      throw err;
+    }
+
+    const [bookingRows] = await db.query(
+      `SELECT id, service_id, quoted_amount, discount_amount, total_amount, coupon_code, booking_date, booking_time, status
+       FROM bookings WHERE id = ? LIMIT 1`,
+      [booking.id]
+    );
+
+    const [paymentRows] = await db.query(
+      'SELECT id, user_id, guest_id, booking_id, amount, gateway, transaction_id, status, created_at FROM payments WHERE id = ? LIMIT 1',
+      [paymentId]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        booking: bookingRows[0],
+        payment: paymentRows[0],
+      },
+      message: 'Quote accepted successfully',
+    });
+  } catch (err) {
+    console.error('Accept quote error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to accept quote',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Reject a quote
+ * Booking owner, or guest with tracking_token (optionalAuth)
+ * Body: { reason?, tracking_token? } - staff can then send a revised quote
+ */
+export async function rejectQuote(req, res) {
+  try {
+    const { id, quoteId } = req.params;
+    const { reason, tracking_token } = req.body || {};
+    const db = getDb();
+
+    const booking = await getBookingForQuote(db, id);
+
+    if (!booking || !isBookingCustomer(req, booking, tracking_token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    const [result] = await db.query(
+      `UPDATE booking_quotes SET status = 'rejected', responded_at = NOW(), rejection_reason = ?
+       WHERE id = ? AND booking_id = ? AND status = 'sent'`,
+      [reason?.trim() || null, quoteId, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Quote not found or already answered',
+      });
+    }
+
+    const [quote] = await getQuotesWithItems(db, id, quoteId);
+
+    return res.status(200).json({
+      success: true,
+      data: quote,
+      message: 'Quote rejected',
+    });
+  } catch (err) {
+    console.error('Reject quote error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reject quote',
+    });
+  }
+}
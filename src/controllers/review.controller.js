@@ -1,14 +1,105 @@
 import { getDb } from '../config/db.config.js';
+import { refreshRatingStats, getReviewMaxImages, getRatingSummary } from '../utils/reviews.js';
+import { deleteFile, extractKeyFromUrl, isUploadThingUrl } from '../utils/uploadthing.js';
+import { findReviewInvitation } from '../utils/reviewInvitations.js';
+
+// Listing sort options (?sort=)
+const REVIEW_SORTS = {
+  newest: 'r.created_at DESC',
+  oldest: 'r.created_at ASC',
+  most_helpful: 'r.helpful_count DESC, r.created_at DESC',
+  highest: 'r.rating DESC, r.created_at DESC',
+  lowest: 'r.rating ASC, r.created_at DESC',
+};
+
+/**
+ * Attach photos and the staff reply to a list of reviews (one query each)
+ */
+async function attachReviewDetails(db, reviews) {
+  if (reviews.length === 0) return reviews;
+
+  const reviewIds = reviews.map(review => review.id);
+  const placeholders = reviewIds.map(() => '?').join(',');
+
+  const [imageRows] = await db.query(
+    `SELECT id, review_id, image_url, alt_text, display_order
+     FROM review_images
+     WHERE review_id IN (${placeholders})
+     ORDER BY review_id, display_order ASC`,
+    reviewIds
+  );
+
+  const [replyRows] = await db.query(
+    `SELECT rr.review_id, rr.message, rr.created_at, rr.updated_at, u.full_name as staff_name
+     FROM review_replies rr
+     LEFT JOIN users u ON rr.staff_id = u.id
+     WHERE rr.review_id IN (${placeholders})`,
+    reviewIds
+  );
+
+  return reviews.map(review => ({
+    ...review,
+    images: imageRows
+      .filter(img => img.review_id === review.id)
+      .map(({ review_id, ...img }) => img),
+    reply: replyRows.find(reply => reply.review_id === review.id) || null,
+  }));
+}
+
+/**
+ * Validate photos submitted with a review (URLs from the UploadThing client upload)
+ * Only UploadThing CDN URLs are accepted, so reviews can't embed arbitrary third-party images
+ * @returns {string|null} - Error message
+ */
+function validateReviewImages(images) {
+  if (images === undefined || images === null) return null;
+  if (!Array.isArray(images)) return 'images must be an array';
+
+  const maxImages = getReviewMaxImages();
+  if (images.length > maxImages) return `Maximum ${maxImages} images allowed`;
+
+  for (const img of images) {
+    const url = img?.url ?? img?.image_url;
+    if (typeof url !== 'string' || !url.trim()) return 'Each image requires image_url';
+    if (url.trim().length > 1024 || !isUploadThingUrl(url.trim())) {
+      return 'image_url must be an UploadThing file URL';
+    }
+    if (img.alt_text !== undefined && img.alt_text !== null
+      && (typeof img.alt_text !== 'string' || img.alt_text.length > 255)) {
+      return 'alt_text must be a string of at most 255 characters';
+    }
+  }
+
+  return null;
+}
+
+async function insertReviewImages(db, reviewId, images) {
+  if (!Array.isArray(images) || images.length === 0) return;
+
+  const imageValues = images.map((img, index) => [
+    reviewId,
+    (img.url ?? img.image_url).trim(),
+    img.alt_text?.trim() || null,
+    index,
+  ]);
+
+  await db.query(
+    'INSERT INTO review_images (review_id, image_url, alt_text, display_order) VALUES ?',
+    [imageValues]
+  );
+}
 
 /**
  * Get all reviews for a service
  * Public endpoint - SEO-critical for service review listings
  * SEO-optimized: Single SELECT query with JOIN for user info
+ * Filters: rating (1-5), verified=true; sort: newest, oldest, most_helpful, highest, lowest
+ * Includes the rating summary (histogram, verified ratio, AggregateRating JSON-LD fields)
  */
 export async function getServiceReviews(req, res) {
   try {
     const { service_id } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
+    const { limit = 50, offset = 0, sort = 'newest', rating, verified } = req.query;
     const db = getDb();
 
     // Validate service_id
@@ -32,6 +123,19 @@ export async function getServiceReviews(req, res) {
       });
     }
 
+    const conditions = ['r.service_id = ?', 'r.is_approved = 1'];
+    const values = [service_id];
+
+    if (rating) {
+      conditions.push('r.rating = ?');
+      values.push(parseInt(rating));
+    }
+    if (verified === 'true' || verified === '1') {
+      conditions.push('r.is_verified_purchase = 1');
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
     // SEO-optimized: Single query with LEFT JOIN for user/guest info, only approved reviews
     const [reviews] = await db.query(
       `SELECT 
@@ -40,30 +144,34 @@ export async function getServiceReviews(req, res) {
         r.title,
         r.comment,
         r.is_verified_purchase,
+        r.helpful_count,
+        r.not_helpful_count,
         r.created_at,
         COALESCE(u.full_name, r.guest_name) as full_name,
         u.id as user_id,
         r.guest_email
       FROM reviews r
       LEFT JOIN users u ON r.user_id = u.id
-      WHERE r.service_id = ? AND r.is_approved = 1
-      ORDER BY r.created_at DESC
+      ${whereClause}
+      ORDER BY ${REVIEW_SORTS[sort] || REVIEW_SORTS.newest}
       LIMIT ? OFFSET ?`,
-      [service_id, parseInt(limit), parseInt(offset)]
+      [...values, parseInt(limit), parseInt(offset)]
     );
 
-    // Get total count for pagination
+    // Get total count for pagination (with the same filters)
     const [countResult] = await db.query(
-      'SELECT COUNT(*) as total FROM reviews WHERE service_id = ? AND is_approved = 1',
-      [service_id]
+      `SELECT COUNT(*) as total FROM reviews r ${whereClause}`,
+      values
     );
 
     const total = countResult[0].total;
+    const summary = await getRatingSummary(db, { service_id });
 
     return res.status(200).json({
       success: true,
       data: {
-        reviews,
+        reviews: await attachReviewDetails(db, reviews),
+        summary,
         total,
         limit: parseInt(limit),
         offset: parseInt(offset),
@@ -82,11 +190,13 @@ export async function getServiceReviews(req, res) {
  * Get all reviews for a product
  * Public endpoint - SEO-critical for product review listings
  * SEO-optimized: Single SELECT query with JOIN for user info
+ * Filters: rating (1-5), verified=true; sort: newest, oldest, most_helpful, highest, lowest
+ * Includes the rating summary (histogram, verified ratio, AggregateRating JSON-LD fields)
  */
 export async function getProductReviews(req, res) {
   try {
     const { product_id } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
+    const { limit = 50, offset = 0, sort = 'newest', rating, verified } = req.query;
     const db = getDb();
 
     // Validate product_id
@@ -110,6 +220,19 @@ export async function getProductReviews(req, res) {
       });
     }
 
+    const conditions = ['r.product_id = ?', 'r.is_approved = 1'];
+    const values = [product_id];
+
+    if (rating) {
+      conditions.push('r.rating = ?');
+      values.push(parseInt(rating));
+    }
+    if (verified === 'true' || verified === '1') {
+      conditions.push('r.is_verified_purchase = 1');
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
     // SEO-optimized: Single query with LEFT JOIN for user/guest info, only approved reviews
     const [reviews] = await db.query(
       `SELECT 
@@ -118,30 +241,34 @@ export async function getProductReviews(req, res) {
         r.title,
         r.comment,
         r.is_verified_purchase,
+        r.helpful_count,
+        r.not_helpful_count,
         r.created_at,
         COALESCE(u.full_name, r.guest_name) as full_name,
         u.id as user_id,
         r.guest_email
       FROM reviews r
       LEFT JOIN users u ON r.user_id = u.id
-      WHERE r.product_id = ? AND r.is_approved = 1
-      ORDER BY r.created_at DESC
+      ${whereClause}
+      ORDER BY ${REVIEW_SORTS[sort] || REVIEW_SORTS.newest}
       LIMIT ? OFFSET ?`,
-      [product_id, parseInt(limit), parseInt(offset)]
+      [...values, parseInt(limit), parseInt(offset)]
     );
 
-    // Get total count for pagination
+    // Get total count for pagination (with the same filters)
     const [countResult] = await db.query(
-      'SELECT COUNT(*) as total FROM reviews WHERE product_id = ? AND is_approved = 1',
-      [product_id]
+      `SELECT COUNT(*) as total FROM reviews r ${whereClause}`,
+      values
     );
 
     const total = countResult[0].total;
+    const summary = await getRatingSummary(db, { product_id });
 
     return res.status(200).json({
       success: true,
       data: {
-        reviews,
+        reviews: await attachReviewDetails(db, reviews),
+        summary,
         total,
         limit: parseInt(limit),
         offset: parseInt(offset),
@@ -169,7 +296,7 @@ export async function createServiceReview(req, res) {
 
   try {
     const { service_id } = req.params;
-    const { rating, title, comment, guest_email, guest_name } = req.body;
+    const { rating, title, comment, guest_email, guest_name, images } = req.body;
     const userId = req.user?.id;
     const isGuest = !userId;
 
@@ -212,6 +339,15 @@ export async function createServiceReview(req, res) {
       });
     }
 
+    const imagesError = validateReviewImages(images);
+    if (imagesError) {
+      await db.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: imagesError,
+      });
+    }
+
     // Check if service exists
     const [serviceCheck] = await db.query(
       'SELECT id, name FROM services WHERE id = ? AND is_active = 1 LIMIT 1',
@@ -314,8 +450,8 @@ export async function createServiceReview(req, res) {
     // Create review (auto-approve for verified purchases)
     const [reviewResult] = await db.query(
       `INSERT INTO reviews (
-        user_id, guest_email, guest_name, service_id, rating, title, comment, is_verified_purchase, is_approved
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        user_id, guest_email, guest_name, service_id, rating, title, comment, is_verified_purchase, is_approved, moderation_status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         isGuest ? null : userId,
         isGuest ? emailToCheck : null,
@@ -324,31 +460,18 @@ export async function createServiceReview(req, res) {
         rating,
         title?.trim() || null,
         comment?.trim() || null,
-        hasPurchase ? 1 : 0,
-        hasPurchase ? 1 : 0, // Auto-approve verified purchases
+        isVerifiedPurchase ? 1 : 0,
+        isVerifiedPurchase ? 1 : 0, // Auto-approve verified purchases
+        isVerifiedPurchase ? 'approved' : 'pending',
       ]
     );
 
     const reviewId = reviewResult.insertId;
 
-    // Update service rating aggregation
-    const [ratingStats] = await db.query(
-      `SELECT 
-        AVG(rating) as average_rating,
-        COUNT(*) as review_count
-      FROM reviews 
-      WHERE service_id = ? AND is_approved = 1`,
-      [service_id]
-    );
+    await insertReviewImages(db, reviewId, images);
 
-    const averageRating = parseFloat(ratingStats[0].average_rating || 0).toFixed(2);
-    const reviewCount = parseInt(ratingStats[0].review_count || 0);
-
-    // Update service with new rating stats
-    await db.query(
-      'UPDATE services SET average_rating = ?, review_count = ? WHERE id = ?',
-      [averageRating, reviewCount, service_id]
-    );
+    // Update service rating aggregation
+    const ratingStats = await refreshRatingStats(db, { service_id });
 
     await db.query('COMMIT');
 
@@ -392,11 +515,8 @@ export async function createServiceReview(req, res) {
     return res.status(201).json({
       success: true,
       data: {
-        review: newReview[0],
-        service: {
-          average_rating: parseFloat(averageRating),
-          review_count: reviewCount,
-        },
+        review: (await attachReviewDetails(db, newReview))[0],
+        service: ratingStats,
       },
       message: 'Review posted successfully',
     });
@@ -413,7 +533,10 @@ export async function createServiceReview(req, res) {
 
 /**
  * Create a review for a product
- * Supports both authenticated users and guests (via email)
+ * Supports both authenticated users and guests (via email, or review_token from the delivery invitation)
+ * Eligible: the product is in a delivered order of the user, or of a guest with the same email
+ * Verified purchase (auto-approved): proven by the login or the invitation token - a typed guest email
+ * proves nothing, so those reviews wait in the moderation queue
  * SEO-optimized: Transaction-based, updates rating aggregation
  */
 export async function createProductReview(req, res) {
@@ -424,12 +547,26 @@ export async function createProductReview(req, res) {
 
   try {
     const { product_id } = req.params;
-    const { rating, title, comment, guest_email, guest_name } = req.body;
+    const { rating, title, comment, guest_email, guest_name, images, review_token } = req.body;
     const userId = req.user?.id;
     const isGuest = !userId;
 
+    // Guests invited after delivery are identified by the invitation token instead of a typed email
+    let invitation = null;
+    if (isGuest && review_token) {
+      invitation = await findReviewInvitation(db, review_token);
+
+      if (!invitation) {
+        await db.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired review invitation',
+        });
+      }
+    }
+
     // For guests, email and name are required
-    if (isGuest) {
+    if (isGuest && !invitation) {
       if (!guest_email || !guest_name) {
         await db.query('ROLLBACK');
         return res.status(400).json({
@@ -467,6 +604,15 @@ export async function createProductReview(req, res) {
       });
     }
 
+    const imagesError = validateReviewImages(images);
+    if (imagesError) {
+      await db.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: imagesError,
+      });
+    }
+
     // Check if product exists
     const [productCheck] = await db.query(
       'SELECT id, name FROM products WHERE id = ? AND is_active = 1 LIMIT 1',
@@ -483,9 +629,20 @@ export async function createProductReview(req, res) {
 
     // Verify purchase: Check if user/guest has a delivered order with this product
     let hasPurchase = false;
+    let isVerifiedPurchase = false;
     let emailToCheck = null;
 
-    if (isGuest) {
+    if (invitation) {
+      // Invited guest: the product must be in the invited (delivered) order
+      emailToCheck = invitation.email;
+      const [invitedItemCheck] = await db.query(
+        'SELECT id FROM order_items WHERE order_id = ? AND product_id = ? LIMIT 1',
+        [invitation.order_id, product_id]
+      );
+
+      hasPurchase = invitedItemCheck.length > 0;
+      isVerifiedPurchase = hasPurchase;
+    } else if (isGuest) {
       // Guest: Check by email directly
       emailToCheck = guest_email.trim().toLowerCase();
       const [guestOrderCheck] = await db.query(
@@ -515,11 +672,13 @@ export async function createProductReview(req, res) {
       );
 
       hasPurchase = orderCheck.length > 0;
+      isVerifiedPurchase = hasPurchase;
 
       // Also check for guest orders via email match (user may have ordered as guest before registering)
+      // Only a verified email proves those guest orders belong to this user
       if (!hasPurchase) {
         const [userEmail] = await db.query(
-          'SELECT email FROM users WHERE id = ? LIMIT 1',
+          'SELECT email FROM users WHERE id = ? AND email_verified = 1 LIMIT 1',
           [userId]
         );
 
@@ -538,6 +697,7 @@ export async function createProductReview(req, res) {
           );
 
           hasPurchase = guestOrderCheck.length > 0;
+          isVerifiedPurchase = hasPurchase;
         }
       }
     }
@@ -575,41 +735,28 @@ export async function createProductReview(req, res) {
     // Create review (auto-approve for verified purchases)
     const [reviewResult] = await db.query(
       `INSERT INTO reviews (
-        user_id, guest_email, guest_name, product_id, rating, title, comment, is_verified_purchase, is_approved
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        user_id, guest_email, guest_name, product_id, rating, title, comment, is_verified_purchase, is_approved, moderation_status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         isGuest ? null : userId,
         isGuest ? emailToCheck : null,
-        isGuest ? guest_name.trim() : null,
+        isGuest ? (guest_name?.trim() || invitation.full_name) : null,
         product_id,
         rating,
         title?.trim() || null,
         comment?.trim() || null,
-        hasPurchase ? 1 : 0,
-        hasPurchase ? 1 : 0, // Auto-approve verified purchases
+        isVerifiedPurchase ? 1 : 0,
+        isVerifiedPurchase ? 1 : 0, // Auto-approve verified purchases
+        isVerifiedPurchase ? 'approved' : 'pending',
       ]
     );
 
     const reviewId = reviewResult.insertId;
 
-    // Update product rating aggregation
-    const [ratingStats] = await db.query(
-      `SELECT 
-        AVG(rating) as average_rating,
-        COUNT(*) as review_count
-      FROM reviews 
-      WHERE product_id = ? AND is_approved = 1`,
-      [product_id]
-    );
-
-    const averageRating = parseFloat(ratingStats[0].average_rating || 0).toFixed(2);
-    const reviewCount = parseInt(ratingStats[0].review_count || 0);
+    await insertReviewImages(db, reviewId, images);
 
-    // Update product with new rating stats
-    await db.query(
-      'UPDATE products SET average_rating = ?, review_count = ? WHERE id = ?',
-      [averageRating, reviewCount, product_id]
-    );
+    // Update product rating aggregation
+    const ratingStats = await refreshRatingStats(db, { product_id });
 
     await db.query('COMMIT');
 
@@ -653,13 +800,12 @@ export async function createProductReview(req, res) {
     return res.status(201).json({
       success: true,
       data: {
-        review: newReview[0],
-        product: {
-          average_rating: parseFloat(averageRating),
-          review_count: reviewCount,
-        },
+        review: (await attachReviewDetails(db, newReview))[0],
+        product: ratingStats,
       },
-      message: 'Review posted successfully',
+      message: isVerifiedPurchase
+        ? 'Review posted successfully'
+        : 'Review submitted and awaiting moderation',
     });
   } catch (err) {
     await db.query('ROLLBACK');
@@ -672,3 +818,469 @@ export async function createProductReview(req, res) {
   }
 }
 
+
+// Moderation actions: resulting status, public visibility and the statuses they apply to
+const MODERATION_ACTIONS = {
+  approve: { status: 'approved', isApproved: 1, from: ['pending', 'rejected', 'hidden'] },
+  reject: { status: 'rejected', isApproved: 0, from: ['pending'] },
+  hide: { status: 'hidden', isApproved: 0, from: ['approved'] },
+};
+
+/**
+ * Get reviews for moderation
+ * Admin only - requires authentication
+ * Filters: status (default: pending), type ('product'|'service'), rating, limit, offset
+ */
+export async function getModerationQueue(req, res) {
+  try {
+    const { status = 'pending', type, rating, limit = 50, offset = 0 } = req.query;
+    const db = getDb();
+
+    const conditions = ['r.moderation_status = ?'];
+    const values = [status];
+
+    if (type === 'product') {
+      conditions.push('r.product_id IS NOT NULL');
+    } else if (type === 'service') {
+      conditions.push('r.service_id IS NOT NULL');
+    }
+    if (rating) {
+      conditions.push('r.rating = ?');
+      values.push(parseInt(rating));
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    // Oldest first so the queue is worked in arrival order
+    const [reviews] = await db.query(
+      `SELECT 
+        r.id,
+        r.rating,
+        r.title,
+        r.comment,
+        r.is_verified_purchase,
+        r.moderation_status,
+        r.moderation_reason,
+        r.moderated_at,
+        r.created_at,
+        COALESCE(u.full_name, r.guest_name) as full_name,
+        u.id as user_id,
+        COALESCE(u.email, r.guest_email) as email,
+        r.product_id,
+        p.name as product_name,
+        r.service_id,
+        s.name as service_name
+      FROM reviews r
+      LEFT JOIN users u ON r.user_id = u.id
+      LEFT JOIN products p ON r.product_id = p.id
+      LEFT JOIN services s ON r.service_id = s.id
+      ${whereClause}
+      ORDER BY r.created_at ASC
+      LIMIT ? OFFSET ?`,
+      [...values, parseInt(limit), parseInt(offset)]
+    );
+
+    const [countResult] = await db.query(
+      `SELECT COUNT(*) as total FROM reviews r ${whereClause}`,
+      values
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        reviews,
+        total: countResult[0].total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (err) {
+    console.error('Get review moderation queue error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews for moderation',
+    });
+  }
+}
+
+/**
+ * Approve, reject or hide reviews in bulk
+ * Admin only - requires authentication
+ * Body: { review_ids: number[], action: 'approve'|'reject'|'hide', reason? } (reason required for reject/hide)
+ * - approve: pending/rejected/hidden -> approved (public)
+ * - reject: pending -> rejected
+ * - hide: approved -> hidden (removed from public listing)
+ * Reviews not in an applicable status are skipped. Ratings of affected products/services are recomputed.
+ */
+export async function moderateReviews(req, res) {
+  const db = await getDb().getConnection();
+
+  try {
+    const { review_ids, action, reason } = req.body;
+    const moderation = MODERATION_ACTIONS[action];
+
+    if (!moderation) {
+      return res.status(400).json({
+        success: false,
+        message: `action must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}`,
+      });
+    }
+
+    if (!Array.isArray(review_ids) || review_ids.length === 0 || review_ids.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'review_ids must be a non-empty array (max 100)',
+      });
+    }
+
+    if (action !== 'approve' && !reason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: `reason is required to ${action} reviews`,
+      });
+    }
+
+    const ids = [...new Set(review_ids.map(Number))];
+    const placeholders = ids.map(() => '?').join(',');
+
+    const [reviewRows] = await db.query(
+      `SELECT id, product_id, service_id, moderation_status FROM reviews WHERE id IN (${placeholders})`,
+      ids
+    );
+
+    const applicable = reviewRows.filter(row => moderation.from.includes(row.moderation_status));
+    const skipped = ids
+      .filter(id => !applicable.some(row => row.id === id))
+      .map(id => ({
+        id,
+        moderation_status: reviewRows.find(row => row.id === id)?.moderation_status || null,
+      }));
+
+    const moderated = [];
+    const targets = new Map();
+
+    await db.query('START TRANSACTION');
+
+    try {
+      for (const review of applicable) {
+        // Conditional: skip reviews another moderator changed meanwhile
+        const fromPlaceholders = moderation.from.map(() => '?').join(',');
+        const [result] = await db.query(
+          `UPDATE reviews
+           SET moderation_status = ?, is_approved = ?, moderation_reason = ?, moderated_by = ?, moderated_at = NOW()
+           WHERE id = ? AND moderation_status IN (${fromPlaceholders})`,
+          [moderation.status, moderation.isApproved, reason?.trim() || null, req.user.id, review.id, ...moderation.from]
+        );
+
+        if (result.affectedRows === 0) {
+          skipped.push({ id: review.id, moderation_status: null });
+          continue;
+        }
+
+        moderated.push(review.id);
+        const key = review.product_id ? `product:${review.product_id}` : `service:${review.service_id}`;
+        targets.set(key, { product_id: review.product_id, service_id: review.service_id });
+      }
+
+      for (const target of targets.values()) {
+        await refreshRatingStats(db, target);
+      }
+
+      await db.query('COMMIT');
+    } catch (err) {
+      await db.query('ROLLBACK');
+      throw err;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        action,
+        moderated,
+        skipped,
+      },
+      message: `${moderated.length} review(s) ${moderation.status}`,
+    });
+  } catch (err) {
+    console.error('Moderate reviews error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to moderate reviews',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Vote whether a review was helpful
+ * Public endpoint (optionalAuth) - one vote per user, or per X-Session-Id for guests
+ * Body: { is_helpful: boolean } - voting again changes the vote
+ */
+export async function voteOnReview(req, res) {
+  try {
+    const { review_id } = req.params;
+    const { is_helpful } = req.body;
+    const userId = req.user?.id || null;
+    const sessionId = req.headers['x-session-id'] || req.cookies?.session_id || null;
+    const db = getDb();
+
+    if (typeof is_helpful !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'is_helpful must be true or false',
+      });
+    }
+
+    if (!userId && !sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Login or X-Session-Id header is required to vote',
+      });
+    }
+
+    const [reviewRows] = await db.query(
+      'SELECT id, user_id FROM reviews WHERE id = ? AND is_approved = 1 LIMIT 1',
+      [review_id]
+    );
+
+    if (reviewRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    if (userId && reviewRows[0].user_id === userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot vote on your own review',
+      });
+    }
+
+    // Unique (review_id, user_id) / (review_id, session_id) keeps one vote per voter
+    await db.query(
+      `INSERT INTO review_votes (review_id, user_id, session_id, is_helpful)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE is_helpful = VALUES(is_helpful)`,
+      [review_id, userId, userId ? null : sessionId, is_helpful ? 1 : 0]
+    );
+
+    // Recount rather than increment so changed votes stay consistent
+    await db.query(
+      `UPDATE reviews SET
+        helpful_count = (SELECT COUNT(*) FROM review_votes WHERE review_id = ? AND is_helpful = 1),
+        not_helpful_count = (SELECT COUNT(*) FROM review_votes WHERE review_id = ? AND is_helpful = 0)
+       WHERE id = ?`,
+      [review_id, review_id, review_id]
+    );
+
+    const [rows] = await db.query(
+      'SELECT id, helpful_count, not_helpful_count FROM reviews WHERE id = ? LIMIT 1',
+      [review_id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: rows[0],
+      message: 'Thanks for your feedback',
+    });
+  } catch (err) {
+    console.error('Vote on review error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to record vote',
+    });
+  }
+}
+
+/**
+ * Add or edit the staff reply shown under a review
+ * Admin only - requires authentication
+ * Body: { message }
+ */
+export async function upsertReviewReply(req, res) {
+  try {
+    const { review_id } = req.params;
+    const { message } = req.body;
+    const db = getDb();
+
+    if (!message?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'message is required',
+      });
+    }
+
+    const [reviewRows] = await db.query('SELECT id FROM reviews WHERE id = ? LIMIT 1', [review_id]);
+
+    if (reviewRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    await db.query(
+      `INSERT INTO review_replies (review_id, staff_id, message)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE staff_id = VALUES(staff_id), message = VALUES(message)`,
+      [review_id, req.user.id, message.trim()]
+    );
+
+    const [rows] = await db.query(
+      `SELECT rr.review_id, rr.message, rr.created_at, rr.updated_at, u.full_name as staff_name
+       FROM review_replies rr
+       LEFT JOIN users u ON rr.staff_id = u.id
+       WHERE rr.review_id = ? LIMIT 1`,
+      [review_id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: rows[0],
+      message: 'Reply saved successfully',
+    });
+  } catch (err) {
+    console.error('Save review reply error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save reply',
+    });
+  }
+}
+
+/**
+ * Remove the staff reply of a review
+ * Admin only - requires authentication
+ */
+export async function deleteReviewReply(req, res) {
+  try {
+    const { review_id } = req.params;
+    const db = getDb();
+
+    const [result] = await db.query('DELETE FROM review_replies WHERE review_id = ?', [review_id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reply not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Reply deleted successfully',
+    });
+  } catch (err) {
+    console.error('Delete review reply error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete reply',
+    });
+  }
+}
+
+/**
+ * Remove a photo from a review (moderation)
+ * Admin only - requires authentication
+ */
+export async function deleteReviewImage(req, res) {
+  try {
+    const { review_id, image_id } = req.params;
+    const db = getDb();
+
+    const [imageRows] = await db.query(
+      'SELECT image_url FROM review_images WHERE id = ? AND review_id = ? LIMIT 1',
+      [image_id, review_id]
+    );
+
+    if (imageRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review image not found',
+      });
+    }
+
+    await db.query('DELETE FROM review_images WHERE id = ?', [image_id]);
+
+    // Try to delete from UploadThing (non-blocking, log errors but don't fail)
+    const imageUrl = imageRows[0].image_url;
+    if (isUploadThingUrl(imageUrl)) {
+      try {
+        const fileKey = extractKeyFromUrl(imageUrl);
+        if (fileKey) {
+          await deleteFile(fileKey);
+        }
+      } catch (deleteError) {
+        console.error('UploadThing review image cleanup error:', deleteError);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Review image deleted successfully',
+    });
+  } catch (err) {
+    console.error('Delete review image error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete review image',
+    });
+  }
+}
+
+/**
+ * Resolve a review invitation for the review page
+ * Public endpoint - token from the delivery email in the X-Review-Token header
+ * Returns the order's products and whether each was already reviewed with the invited email
+ */
+export async function getReviewInvitation(req, res) {
+  try {
+    const token = req.headers['x-review-token'] || null;
+    const db = getDb();
+
+    const invitation = await findReviewInvitation(db, token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid or expired review invitation',
+      });
+    }
+
+    const [products] = await db.query(
+      `SELECT DISTINCT
+        p.id,
+        p.name,
+        p.slug,
+        (SELECT image_url FROM product_images pi
+         WHERE pi.product_id = p.id ORDER BY pi.display_order ASC LIMIT 1) as image_url,
+        EXISTS(
+          SELECT 1 FROM reviews r
+          LEFT JOIN users u ON r.user_id = u.id
+          WHERE r.product_id = p.id AND (LOWER(r.guest_email) = ? OR LOWER(u.email) = ?)
+        ) as already_reviewed
+      FROM order_items oi
+      INNER JOIN products p ON oi.product_id = p.id
+      WHERE oi.order_id = ?`,
+      [invitation.email, invitation.email, invitation.order_id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        order_id: invitation.order_id,
+        full_name: invitation.full_name,
+        products: products.map(product => ({ ...product, already_reviewed: !!product.already_reviewed })),
+      },
+    });
+  } catch (err) {
+    console.error('Get review invitation error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load review invitation',
+    });
+  }
+}
@@ -0,0 +1,762 @@
+import { getDb } from '../config/db.config.js';
+import { slugify, generateUniqueSlug } from '../utils/slugify.js';
+import { restockProduct } from '../utils/inventory.js';
+
+// Stages where the request is still being handled (admins may reject)
+const OPEN_STATUSES = ['submitted', 'estimated', 'inspection_pending', 'offer_made'];
+
+// Marketplace section used by the used laptops/PCs listings
+const USED_MARKET_SECTION = 'used_laptop_pcs_market';
+
+const SELL_REQUEST_SQL = `SELECT
+    sr.id, sr.user_id, u.full_name as customer_name, u.email as customer_email,
+    sr.request_type, sr.device_type, sr.brand, sr.model, sr.specifications, sr.condition_notes,
+    sr.user_requested_price, sr.estimated_price, sr.estimated_price_low, sr.estimated_price_high,
+    sr.estimate_source, sr.final_offer_price,
+    sr.address_id, sr.contact_number, sr.status, sr.admin_notes, sr.pickup_scheduled_at,
+    sr.estimated_at, sr.offer_made_at, sr.responded_at, sr.status_reason, sr.product_id,
+    sr.created_at, sr.updated_at
+  FROM sell_requests sr
+  INNER JOIN users u ON sr.user_id = u.id`;
+
+// Format a Date for MySQL DATETIME (YYYY-MM-DD HH:MM:SS, UTC)
+function toMysqlDateTime(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// JSON columns may come back as strings depending on the driver/column type
+function parseJsonField(value, fallback) {
+  if (!value) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Load a sell request with its images and pickup address
+ * @returns {Promise<object|null>}
+ */
+async function loadSellRequest(db, id) {
+  const [rows] = await db.query(`${SELL_REQUEST_SQL} WHERE sr.id = ? LIMIT 1`, [id]);
+  if (rows.length === 0) return null;
+
+  const sellRequest = rows[0];
+  sellRequest.specifications = parseJsonField(sellRequest.specifications, {});
+  sellRequest.condition_notes = parseJsonField(sellRequest.condition_notes, null);
+
+  const [imageRows] = await db.query(
+    `SELECT id, image_url, alt_text, display_order
+     FROM sell_request_images
+     WHERE sell_request_id = ?
+     ORDER BY display_order ASC`,
+    [sellRequest.id]
+  );
+  sellRequest.images = imageRows;
+
+  sellRequest.address = null;
+  if (sellRequest.address_id) {
+    const [addressRows] = await db.query(
+      'SELECT id, label, line_1, line_2, city, state, postal_code FROM addresses WHERE id = ? LIMIT 1',
+      [sellRequest.address_id]
+    );
+    sellRequest.address = addressRows[0] || null;
+  }
+
+  return sellRequest;
+}
+
+/**
+ * Apply a pipeline step with a conditional UPDATE (only from the given statuses)
+ * @returns {Promise<boolean>} - false if the request moved on meanwhile
+ */
+async function updateIfStatus(db, id, fromStatuses, setSql, values) {
+  const placeholders = fromStatuses.map(() => '?').join(',');
+  const [result] = await db.query(
+    `UPDATE sell_requests SET ${setSql} WHERE id = ? AND status IN (${placeholders})`,
+    [...values, id, ...fromStatuses]
+  );
+  return result.affectedRows > 0;
+}
+
+function invalidStatusResponse(res, sellRequest, action) {
+  return res.status(409).json({
+    success: false,
+    message: `Cannot ${action} a sell request with status "${sellRequest.status}"`,
+  });
+}
+
+/**
+ * Get all sell requests (inspection console)
+ * Admin only - requires authentication
+ * Filters: status, request_type, search (brand/model/device/customer email), date_from, date_to
+ */
+export async function getAllSellRequests(req, res) {
+  try {
+    const { status, request_type, search, date_from, date_to, limit = 50, offset = 0 } = req.query;
+    const db = getDb();
+
+    const conditions = [];
+    const values = [];
+
+    if (status) {
+      conditions.push('sr.status = ?');
+      values.push(status);
+    }
+    if (request_type) {
+      conditions.push('sr.request_type = ?');
+      values.push(request_type);
+    }
+    if (search) {
+      conditions.push('(sr.brand LIKE ? OR sr.model LIKE ? OR sr.device_type LIKE ? OR u.email LIKE ?)');
+      const searchTerm = `%${search}%`;
+      values.push(searchTerm, searchTerm, searchTerm, searchTerm);
+    }
+    if (date_from) {
+      conditions.push('sr.created_at >= ?');
+      values.push(date_from);
+    }
+    if (date_to) {
+      // Inclusive end date: include the whole day
+      conditions.push('sr.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      values.push(date_to);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows] = await db.query(
+      `SELECT
+        sr.id, sr.user_id, u.full_name as customer_name, u.email as customer_email,
+        sr.request_type, sr.device_type, sr.brand, sr.model,
+        sr.user_requested_price, sr.estimated_price, sr.estimate_source, sr.final_offer_price,
+        sr.status, sr.pickup_scheduled_at, sr.product_id, sr.created_at,
+        (SELECT COUNT(*) FROM sell_request_images sri WHERE sri.sell_request_id = sr.id) as image_count
+      FROM sell_requests sr
+      INNER JOIN users u ON sr.user_id = u.id
+      ${whereClause}
+      ORDER BY sr.created_at DESC
+      LIMIT ? OFFSET ?`,
+      [...values, parseInt(limit), parseInt(offset)]
+    );
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) as total
+       FROM sell_requests sr
+       INNER JOIN users u ON sr.user_id = u.id
+       ${whereClause}`,
+      values
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        sell_requests: rows,
+        total: countRows[0].total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (err) {
+    console.error('Get sell requests error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sell requests',
+    });
+  }
+}
+
+/**
+ * Get the authenticated customer's sell requests
+ */
+export async function getMySellRequests(req, res) {
+  try {
+    const { status, limit = 20, offset = 0 } = req.query;
+    const db = getDb();
+
+    const conditions = ['sr.user_id = ?'];
+    const values = [req.user.id];
+
+    if (status) {
+      conditions.push('sr.status = ?');
+      values.push(status);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const [rows] = await db.query(
+      `SELECT
+        sr.id, sr.request_type, sr.device_type, sr.brand, sr.model,
+        sr.user_requested_price, sr.estimated_price, sr.estimated_price_low, sr.estimated_price_high,
+        sr.final_offer_price, sr.status, sr.pickup_scheduled_at, sr.offer_made_at, sr.created_at,
+        (SELECT image_url FROM sell_request_images sri
+         WHERE sri.sell_request_id = sr.id ORDER BY sri.display_order ASC LIMIT 1) as image_url
+      FROM sell_requests sr
+      ${whereClause}
+      ORDER BY sr.created_at DESC
+      LIMIT ? OFFSET ?`,
+      [...values, parseInt(limit), parseInt(offset)]
+    );
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) as total FROM sell_requests sr ${whereClause}`,
+      values
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        sell_requests: rows,
+        total: countRows[0].total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (err) {
+    console.error('Get my sell requests error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sell requests',
+    });
+  }
+}
+
+/**
+ * Get a sell request with images and pickup address
+ * Owner or admin
+ */
+export async function getSellRequestById(req, res) {
+  try {
+    const { id } = req.params;
+    const db = getDb();
+
+    const sellRequest = await loadSellRequest(db, id);
+
+    // Same 404 for missing and foreign requests so IDs can't be probed
+    if (!sellRequest || (req.user.role !== 'admin' && sellRequest.user_id !== req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sell request not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: sellRequest,
+    });
+  } catch (err) {
+    console.error('Get sell request error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sell request',
+    });
+  }
+}
+
+/**
+ * Set the estimated price after reviewing details and images
+ * Admin only - requires authentication
+ * Body: { estimated_price, admin_notes? }
+ * Answers check_price requests; for sell_item it precedes pickup
+ */
+export async function setSellRequestEstimate(req, res) {
+  try {
+    const { id } = req.params;
+    const { estimated_price, admin_notes } = req.body;
+    const db = getDb();
+
+    const price = parseFloat(estimated_price);
+    if (!Number.isFinite(price) || price < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'estimated_price must be a non-negative number',
+      });
+    }
+
+    const sellRequest = await loadSellRequest(db, id);
+    if (!sellRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sell request not found',
+      });
+    }
+
+    const fromStatuses = ['submitted', 'estimated'];
+    if (!fromStatuses.includes(sellRequest.status)) {
+      return invalidStatusResponse(res, sellRequest, 'estimate');
+    }
+
+    const updated = await updateIfStatus(
+      db,
+      id,
+      fromStatuses,
+      `status = 'estimated', estimated_price = ?, estimated_price_low = NULL, estimated_price_high = NULL,
+       estimate_source = 'admin', estimated_at = NOW(), admin_notes = COALESCE(?, admin_notes)`,
+      [price, admin_notes?.trim() || null]
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Sell request was updated by another request, please reload and retry',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await loadSellRequest(db, id),
+      message: 'Estimate saved successfully',
+    });
+  } catch (err) {
+    console.error('Set sell request estimate error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save estimate',
+    });
+  }
+}
+
+/**
+ * Schedule (or reschedule) pickup for inspection at the request's address
+ * Admin only - requires authentication
+ * Body: { pickup_scheduled_at, admin_notes? }
+ */
+export async function scheduleSellRequestPickup(req, res) {
+  try {
+    const { id } = req.params;
+    const { pickup_scheduled_at, admin_notes } = req.body;
+    const db = getDb();
+
+    const pickupAt = new Date(pickup_scheduled_at);
+    if (!pickup_scheduled_at || isNaN(pickupAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'pickup_scheduled_at must be a valid date/time',
+      });
+    }
+
+    if (pickupAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'pickup_scheduled_at must be in the future',
+      });
+    }
+
+    const sellRequest = await loadSellRequest(db, id);
+    if (!sellRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sell request not found',
+      });
+    }
+
+    if (sellRequest.request_type !== 'sell_item') {
+      return res.status(400).json({
+        success: false,
+        message: 'Pickup can only be scheduled for sell_item requests',
+      });
+    }
+
+    // Pickup goes to the address stored with the request
+    if (!sellRequest.address) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sell request has no pickup address',
+      });
+    }
+
+    const fromStatuses = ['submitted', 'estimated', 'inspection_pending'];
+    if (!fromStatuses.includes(sellRequest.status)) {
+      return invalidStatusResponse(res, sellRequest, 'schedule pickup for');
+    }
+
+    const updated = await updateIfStatus(
+      db,
+      id,
+      fromStatuses,
+      "status = 'inspection_pending', pickup_scheduled_at = ?, admin_notes = COALESCE(?, admin_notes)",
+      [toMysqlDateTime(pickupAt), admin_notes?.trim() || null]
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Sell request was updated by another request, please reload and retry',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await loadSellRequest(db, id),
+      message: 'Pickup scheduled successfully',
+    });
+  } catch (err) {
+    console.error('Schedule sell request pickup error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to schedule pickup',
+    });
+  }
+}
+
+/**
+ * Issue the final offer after inspection
+ * Admin only - requires authentication
+ * Body: { final_offer_price, admin_notes? }
+ * A pending offer can be revised until the customer responds
+ */
+export async function makeSellRequestOffer(req, res) {
+  try {
+    const { id } = req.params;
+    const { final_offer_price, admin_notes } = req.body;
+    const db = getDb();
+
+    const price = parseFloat(final_offer_price);
+    if (!Number.isFinite(price) || price <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'final_offer_price must be a positive number',
+      });
+    }
+
+    const sellRequest = await loadSellRequest(db, id);
+    if (!sellRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sell request not found',
+      });
+    }
+
+    const fromStatuses = ['inspection_pending', 'offer_made'];
+    if (!fromStatuses.includes(sellRequest.status)) {
+      return invalidStatusResponse(res, sellRequest, 'make an offer on');
+    }
+
+    const updated = await updateIfStatus(
+      db,
+      id,
+      fromStatuses,
+      "status = 'offer_made', final_offer_price = ?, offer_made_at = NOW(), admin_notes = COALESCE(?, admin_notes)",
+      [price, admin_notes?.trim() || null]
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Sell request was updated by another request, please reload and retry',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await loadSellRequest(db, id),
+      message: 'Offer sent to customer',
+    });
+  } catch (err) {
+    console.error('Make sell request offer error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to make offer',
+    });
+  }
+}
+
+/**
+ * Reject a sell request at any open stage
+ * Admin only - requires authentication
+ * Body: { reason }
+ */
+export async function rejectSellRequest(req, res) {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const db = getDb();
+
+    if (!reason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'reason is required',
+      });
+    }
+
+    const sellRequest = await loadSellRequest(db, id);
+    if (!sellRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sell request not found',
+      });
+    }
+
+    if (!OPEN_STATUSES.includes(sellRequest.status)) {
+      return invalidStatusResponse(res, sellRequest, 'reject');
+    }
+
+    const updated = await updateIfStatus(
+      db,
+      id,
+      OPEN_STATUSES,
+      "status = 'rejected', status_reason = ?",
+      [reason.trim()]
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Sell request was updated by another request, please reload and retry',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await loadSellRequest(db, id),
+      message: 'Sell request rejected',
+    });
+  } catch (err) {
+    console.error('Reject sell request error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reject sell request',
+    });
+  }
+}
+
+/**
+ * Customer response to the final offer
+ * accept: offer_made -> purchased; decline: offer_made -> declined
+ * Body: { final_offer_price, reason? } - the offer price the customer is responding to
+ */
+function respondToOffer(action) {
+  const isAccept = action === 'accept';
+
+  return async function (req, res) {
+    try {
+      const { id } = req.params;
+      const { final_offer_price, reason } = req.body || {};
+      const db = getDb();
+
+      const offeredPrice = parseFloat(final_offer_price);
+      if (!Number.isFinite(offeredPrice) || offeredPrice <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'final_offer_price of the offer you are responding to is required',
+        });
+      }
+
+      const sellRequest = await loadSellRequest(db, id);
+      if (!sellRequest || sellRequest.user_id !== req.user.id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sell request not found',
+        });
+      }
+
+      if (sellRequest.status !== 'offer_made') {
+        return res.status(409).json({
+          success: false,
+          message: 'There is no pending offer on this sell request',
+        });
+      }
+
+      // Offer must still be the one the customer saw (not revised meanwhile)
+      const [result] = await db.query(
+        `UPDATE sell_requests SET status = ?, responded_at = NOW(), status_reason = ?
+         WHERE id = ? AND status = 'offer_made' AND final_offer_price = ?`,
+        [isAccept ? 'purchased' : 'declined', isAccept ? null : reason?.trim() || null, id, offeredPrice.toFixed(2)]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'The offer has changed, please review it again',
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: await loadSellRequest(db, id),
+        message: isAccept ? 'Offer accepted' : 'Offer declined',
+      });
+    } catch (err) {
+      console.error(`Sell request offer ${action} error:`, err);
+      return res.status(500).json({
+        success: false,
+        message: `Failed to ${action} offer`,
+      });
+    }
+  };
+}
+
+export const acceptSellRequestOffer = respondToOffer('accept');
+export const declineSellRequestOffer = respondToOffer('decline');
+
+/**
+ * List a purchased device in the used laptops/PCs marketplace
+ * Admin only - requires authentication
+ * Body: { sku, price, name?, category_id?, short_description?, long_description?, warranty_info?, is_active? }
+ * Creates a condition='used' product from the request's specs and images with one unit in stock
+ * (recorded as a used_laptop_intake stock movement). A request can be listed once.
+ */
+export async function createListingFromSellRequest(req, res) {
+  const { id } = req.params;
+  const {
+    sku,
+    price,
+    name,
+    category_id,
+    short_description,
+    long_description,
+    warranty_info,
+    is_active,
+  } = req.body;
+
+  if (!sku?.trim() || !price) {
+    return res.status(400).json({
+      success: false,
+      message: 'sku and price are required',
+    });
+  }
+
+  if (!Number.isFinite(parseFloat(price)) || parseFloat(price) <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'price must be a positive number',
+    });
+  }
+
+  const db = await getDb().getConnection();
+
+  try {
+    const sellRequest = await loadSellRequest(db, id);
+    if (!sellRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sell request not found',
+      });
+    }
+
+    if (sellRequest.status !== 'purchased') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only purchased devices can be listed',
+      });
+    }
+
+    if (sellRequest.product_id) {
+      return res.status(409).json({
+        success: false,
+        message: 'This device is already listed',
+        product_id: sellRequest.product_id,
+      });
+    }
+
+    const [skuCheck] = await db.query('SELECT id FROM products WHERE sku = ? LIMIT 1', [sku.trim()]);
+    if (skuCheck.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'SKU already exists',
+      });
+    }
+
+    const productName = name?.trim() ||
+      [sellRequest.brand, sellRequest.model].filter(Boolean).join(' ') ||
+      sellRequest.device_type;
+
+    const finalSlug = await generateUniqueSlug(slugify(`${productName} used`), async (slugToCheck) => {
+      const [existing] = await db.query('SELECT id FROM products WHERE slug = ? LIMIT 1', [slugToCheck]);
+      return existing.length > 0;
+    });
+
+    await db.query('START TRANSACTION');
+
+    try {
+      const [productResult] = await db.query(
+        `INSERT INTO products (
+          category_id, name, slug, sku, \`condition\`, price, stock_quantity,
+          short_description, long_description, specifications, warranty_info, is_active, section
+        ) VALUES (?, ?, ?, ?, 'used', ?, 0, ?, ?, ?, ?, ?, ?)`,
+        [
+          category_id || null,
+          productName,
+          finalSlug,
+          sku.trim(),
+          parseFloat(price),
+          short_description?.trim() || null,
+          long_description?.trim() || null,
+          JSON.stringify(sellRequest.specifications || {}),
+          warranty_info?.trim() || null,
+          is_active !== undefined ? (is_active ? 1 : 0) : 1,
+          USED_MARKET_SECTION,
+        ]
+      );
+
+      const productId = productResult.insertId;
+
+      // Claim the request - fails if another admin listed it meanwhile
+      const [claimResult] = await db.query(
+        "UPDATE sell_requests SET product_id = ? WHERE id = ? AND status = 'purchased' AND product_id IS NULL",
+        [productId, id]
+      );
+
+      if (claimResult.affectedRows === 0) {
+        await db.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'This device is already listed',
+        });
+      }
+
+      for (const image of sellRequest.images) {
+        await db.query(
+          'INSERT INTO product_images (product_id, image_url, alt_text, display_order) VALUES (?, ?, ?, ?)',
+          [productId, image.image_url, image.alt_text, image.display_order]
+        );
+      }
+
+      await restockProduct(db, productId, 1, {
+        reason: 'used_laptop_intake',
+        sellRequestId: sellRequest.id,
+        createdBy: req.user.id,
+      });
+
+      await db.query('COMMIT');
+
+      const [rows] = await db.query(
+        `SELECT
+          id, category_id, name, slug, sku, \`condition\`, price, stock_quantity,
+          short_description, long_description, specifications, warranty_info, is_active, section
+        FROM products WHERE id = ? LIMIT 1`,
+        [productId]
+      );
+
+      return res.status(201).json({
+        success: true,
+        data: {
+          product: rows[0],
+          sell_request_id: sellRequest.id,
+        },
+        message: 'Device listed in the used marketplace',
+      });
+    } catch (err) {
+      await db.query('ROLLBACK');
+      throw err;
+    }
+  } catch (err) {
+    console.error('Create listing from sell request error:', err);
+
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: err.message.includes('slug') ? 'Slug already exists' : 'SKU already exists',
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create listing',
+      error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+    });
+  } finally {
+    db.release();
+  }
+}
@@ -259,6 +259,7 @@ export async function createService(req, res) {
       price_type,
       price,
       discount_percentage,
+      slot_minutes,
       warranty_info,
       seo_title,
       meta_description,
@@ -308,6 +309,14 @@ export async function createService(req, res) {
       }
     }
 
+    // Validate slot_minutes (null = use the BOOKING_SLOT_MINUTES default)
+    if (slot_minutes !== undefined && slot_minutes !== null && (!Number.isInteger(slot_minutes) || slot_minutes <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'slot_minutes must be a positive integer',
+      });
+    }
+
     // Validate category_id if provided
     if (category_id) {
       const db = getDb();
@@ -366,9 +375,9 @@ export async function createService(req, res) {
       const [result] = await db.query(
         `INSERT INTO services (
           category_id, name, slug, short_description, long_description, 
-          specifications, service_type, price_type, price, discount_percentage, warranty_info, 
+          specifications, service_type, price_type, price, discount_percentage, slot_minutes, warranty_info, 
           seo_title, meta_description, is_active, section
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           category_id || null,
           name.trim(),
@@ -380,6 +389,7 @@ export async function createService(req, res) {
           price_type,
           price_type === 'fixed' ? price : null,
           discount_percentage !== undefined ? discount_percentage : 0.00,
+          slot_minutes ?? null,
           warranty_info?.trim() || null,
           seo_title?.trim() || null,
           meta_description?.trim() || null,
@@ -413,7 +423,7 @@ export async function createService(req, res) {
       const [rows] = await db.query(
         `SELECT 
           id, category_id, name, slug, short_description, long_description, 
-          specifications, service_type, price_type, price, discount_percentage, average_rating, review_count, 
+          specifications, service_type, price_type, price, discount_percentage, slot_minutes, average_rating, review_count, 
           warranty_info, seo_title, meta_description, is_active, section
         FROM services WHERE id = ? LIMIT 1`,
         [serviceId]
@@ -514,6 +524,7 @@ export async function updateService(req, res) {
       price_type,
       price,
       discount_percentage,
+      slot_minutes,
       warranty_info,
       seo_title,
       meta_description,
@@ -570,6 +581,14 @@ export async function updateService(req, res) {
       }
     }
 
+    // Validate slot_minutes (null = use the BOOKING_SLOT_MINUTES default)
+    if (slot_minutes !== undefined && slot_minutes !== null && (!Number.isInteger(slot_minutes) || slot_minutes <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'slot_minutes must be a positive integer',
+      });
+    }
+
     // Build dynamic UPDATE query
     const updates = [];
     const values = [];
@@ -649,6 +668,10 @@ export async function updateService(req, res) {
       updates.push('discount_percentage = ?');
       values.push(discount_percentage);
     }
+    if (slot_minutes !== undefined) {
+      updates.push('slot_minutes = ?');
+      values.push(slot_minutes ?? null);
+    }
     if (warranty_info !== undefined) {
       updates.push('warranty_info = ?');
       values.push(warranty_info?.trim() || null);
@@ -749,7 +772,7 @@ export async function updateService(req, res) {
       const [rows] = await db.query(
         `SELECT 
           id, category_id, name, slug, short_description, long_description, 
-          specifications, service_type, price_type, price, discount_percentage, average_rating, review_count, 
+          specifications, service_type, price_type, price, discount_percentage, slot_minutes, average_rating, review_count, 
           warranty_info, seo_title, meta_description, is_active, section
         FROM services WHERE id = ? LIMIT 1`,
         [id]
@@ -0,0 +1,292 @@
+import { getDb } from '../config/db.config.js';
+
+// Technician job state machine: each action moves the job from exactly one state
+const JOB_ACTIONS = {
+  accept: { from: 'assigned', to: 'accepted', timestamp: 'accepted_at', message: 'Job accepted' },
+  start: { from: 'accepted', to: 'in_progress', timestamp: 'started_at', message: 'Job started' },
+  complete: { from: 'in_progress', to: 'completed', timestamp: 'completed_at', message: 'Job completed' },
+};
+
+// Job fields shown to the assigned technician (customer contact from user or guest details)
+const JOB_SELECT_SQL = `SELECT 
+    b.id,
+    b.service_id,
+    s.name as service_name,
+    s.service_type,
+    b.booking_date,
+    b.booking_time,
+    b.status,
+    b.job_status,
+    b.admin_notes,
+    b.assigned_at,
+    b.accepted_at,
+    b.started_at,
+    b.completed_at,
+    COALESCE(u.full_name, gd.full_name) as customer_name,
+    COALESCE(u.phone_number, gd.phone_number) as customer_phone,
+    COALESCE(a.line_1, gd.address_line_1) as address_line_1,
+    COALESCE(a.line_2, gd.address_line_2) as address_line_2,
+    COALESCE(a.city, gd.city) as city,
+    COALESCE(a.state, gd.state) as state,
+    COALESCE(a.postal_code, gd.postal_code) as postal_code
+  FROM bookings b
+  INNER JOIN services s ON b.service_id = s.id
+  LEFT JOIN users u ON b.user_id = u.id
+  LEFT JOIN guest_details gd ON b.guest_id = gd.id
+  LEFT JOIN addresses a ON b.address_id = a.id`;
+
+/**
+ * Get the authenticated technician's job queue
+ * Technician only - requires authentication
+ * Filters: job_status, date_from, date_to. Completed jobs are excluded unless requested by job_status.
+ * SEO-optimized: Single SELECT with JOINs, soonest slot first
+ */
+export async function getMyJobs(req, res) {
+  try {
+    const { job_status, date_from, date_to, limit = 50, offset = 0 } = req.query;
+    const db = getDb();
+
+    const conditions = ['b.technician_id = ?'];
+    const values = [req.user.id];
+
+    if (job_status) {
+      conditions.push('b.job_status = ?');
+      values.push(job_status);
+    } else {
+      conditions.push("b.job_status IN ('assigned', 'accepted', 'in_progress')");
+      conditions.push("b.status <> 'cancelled'");
+    }
+    if (date_from) {
+      conditions.push('b.booking_date >= ?');
+      values.push(date_from);
+    }
+    if (date_to) {
+      conditions.push('b.booking_date <= ?');
+      values.push(date_to);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const [rows] = await db.query(
+      `${JOB_SELECT_SQL}
+      ${whereClause}
+      ORDER BY b.booking_date ASC, b.booking_time ASC
+      LIMIT ? OFFSET ?`,
+      [...values, parseInt(limit), parseInt(offset)]
+    );
+
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) as total FROM bookings b ${whereClause}`,
+      values
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        jobs: rows,
+        total: countRows[0].total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (err) {
+    console.error('Get technician jobs error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch jobs',
+    });
+  }
+}
+
+/**
+ * Get a single job assigned to the authenticated technician, with its notes
+ * Technician only - requires authentication
+ */
+export async function getJobById(req, res) {
+  try {
+    const { id } = req.params;
+    const db = getDb();
+
+    const [rows] = await db.query(
+      `${JOB_SELECT_SQL}
+      WHERE b.id = ? AND b.technician_id = ?
+      LIMIT 1`,
+      [id, req.user.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const [noteRows] = await db.query(
+      `SELECT n.id, n.note, n.author_id, u.full_name as author_name, n.created_at
+       FROM booking_job_notes n
+       LEFT JOIN users u ON n.author_id = u.id
+       WHERE n.booking_id = ?
+       ORDER BY n.created_at ASC, n.id ASC`,
+      [id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        job: rows[0],
+        notes: noteRows,
+      },
+    });
+  } catch (err) {
+    console.error('Get technician job error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job',
+    });
+  }
+}
+
+/**
+ * Build a handler that moves a job one step through JOB_ACTIONS
+ * Completing the job also marks the booking completed (unlocks verified service reviews)
+ * Optional body: { note } - stored as a job note alongside the transition
+ */
+function transitionJob(action) {
+  const { from, to, timestamp, message } = JOB_ACTIONS[action];
+
+  return async function (req, res) {
+    const db = await getDb().getConnection();
+
+    try {
+      // Start transaction for data integrity
+      await db.query('START TRANSACTION');
+
+      const { id } = req.params;
+      const { note } = req.body || {};
+
+      const [jobRows] = await db.query(
+        'SELECT id, job_status, status FROM bookings WHERE id = ? AND technician_id = ? LIMIT 1',
+        [id, req.user.id]
+      );
+
+      if (jobRows.length === 0) {
+        await db.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found',
+        });
+      }
+
+      if (jobRows[0].status === 'cancelled') {
+        await db.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'Booking has been cancelled',
+        });
+      }
+
+      // Conditional on the expected state so double submits/races can't skip a step
+      const [updateResult] = await db.query(
+        `UPDATE bookings
+         SET job_status = ?, ${timestamp} = NOW()${to === 'completed' ? ", status = 'completed'" : ''}
+         WHERE id = ? AND technician_id = ? AND job_status = ? AND status <> 'cancelled'`,
+        [to, id, req.user.id, from]
+      );
+
+      if (updateResult.affectedRows === 0) {
+        await db.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: `Cannot ${action} a job that is ${jobRows[0].job_status.replace('_', ' ')}`,
+          job_status: jobRows[0].job_status,
+        });
+      }
+
+      if (note?.trim()) {
+        await db.query(
+          'INSERT INTO booking_job_notes (booking_id, author_id, note) VALUES (?, ?, ?)',
+          [id, req.user.id, note.trim()]
+        );
+      }
+
+      await db.query('COMMIT');
+
+      const [rows] = await db.query(`${JOB_SELECT_SQL} WHERE b.id = ? LIMIT 1`, [id]);
+
+      return res.status(200).json({
+        success: true,
+        data: rows[0],
+        message: `${message} successfully`,
+      });
+    } catch (err) {
+      await db.query('ROLLBACK');
+      console.error(`Technician job ${action} error:`, err);
+      return res.status(500).json({
+        success: false,
+        message: `Failed to ${action} job`,
+        error: process.env.NODE_ENV !== 'production' ? err.message : undefined,
+      });
+    } finally {
+      db.release();
+    }
+  };
+}
+
+export const acceptJob = transitionJob('accept');
+export const startJob = transitionJob('start');
+export const completeJob = transitionJob('complete');
+
+/**
+ * Add a note to a job
+ * Technician only - requires authentication (must be the assigned technician)
+ * Body: { note }
+ */
+export async function addJobNote(req, res) {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    if (!note?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'note is required',
+      });
+    }
+
+    const db = getDb();
+
+    const [jobRows] = await db.query(
+      'SELECT id FROM bookings WHERE id = ? AND technician_id = ? LIMIT 1',
+      [id, req.user.id]
+    );
+
+    if (jobRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const [result] = await db.query(
+      'INSERT INTO booking_job_notes (booking_id, author_id, note) VALUES (?, ?, ?)',
+      [id, req.user.id, note.trim()]
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        id: result.insertId,
+        booking_id: Number(id),
+        author_id: req.user.id,
+        note: note.trim(),
+      },
+      message: 'Note added successfully',
+    });
+  } catch (err) {
+    console.error('Add job note error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add note',
+    });
+  }
+}
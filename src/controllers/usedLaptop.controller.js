@@ -1,4 +1,5 @@
 import { getDb } from '../config/db.config.js';
+import { estimateDevicePrice } from '../utils/valuation.js';
 
 /**
  * Get all used laptops/PCs with optional filtering
@@ -340,6 +341,11 @@ export async function createSellRequest(req, res) {
 
     const db = getDb();
 
+    // Price checks get an instant estimate from the valuation rules (null = left for manual review)
+    const valuation = request_type === 'check_price'
+      ? await estimateDevicePrice(db, { device_type, brand, model, specifications, condition_notes })
+      : null;
+
     // Begin transaction for address handling
     await db.query('START TRANSACTION');
 
@@ -406,8 +412,13 @@ export async function createSellRequest(req, res) {
           user_requested_price,
           address_id,
           contact_number,
+          estimated_price,
+          estimated_price_low,
+          estimated_price_high,
+          estimate_source,
+          estimated_at,
           status
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'submitted')`,
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${valuation ? 'NOW()' : 'NULL'}, ?)`,
         [
           userId,
           request_type,
@@ -419,6 +430,11 @@ export async function createSellRequest(req, res) {
           user_requested_price || null,
           finalAddressId,
           contact_number?.trim() || null,
+          valuation?.estimate ?? null,
+          valuation?.low ?? null,
+          valuation?.high ?? null,
+          valuation ? 'auto' : null,
+          valuation ? 'estimated' : 'submitted',
         ]
       );
 
@@ -496,11 +512,20 @@ export async function createSellRequest(req, res) {
         }));
       }
 
+      if (sellRequest) {
+        sellRequest.valuation = valuation;
+      }
+
+      let message = 'Sell request submitted successfully';
+      if (request_type === 'check_price') {
+        message = valuation
+          ? 'Estimated price range calculated successfully'
+          : 'Price estimation request submitted successfully';
+      }
+
       return res.status(201).json({
         success: true,
-        message: request_type === 'check_price' 
-          ? 'Price estimation request submitted successfully'
-          : 'Sell request submitted successfully',
+        message,
         data: sellRequest,
       });
     } catch (innerErr) {
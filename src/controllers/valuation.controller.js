@@ -0,0 +1,500 @@
+import { getDb } from '../config/db.config.js';
+
+const BASE_PRICE_SELECT = `SELECT
+    id, device_type, brand, model, base_price, release_year, annual_depreciation_pct, min_value_pct,
+    is_active, created_at, updated_at
+  FROM valuation_base_prices`;
+
+const DEDUCTION_SELECT = `SELECT
+    id, flag_key, label, deduction_type, amount, is_active, created_at, updated_at
+  FROM valuation_condition_deductions`;
+
+const isPercentage = (value) => Number.isFinite(Number(value)) && Number(value) >= 0 && Number(value) <= 100;
+
+/**
+ * Validate base price fields (only those provided)
+ * @returns {string|null} - Error message
+ */
+function validateBasePriceFields({ base_price, release_year, annual_depreciation_pct, min_value_pct }) {
+  if (base_price !== undefined && !(Number(base_price) > 0)) {
+    return 'base_price must be greater than 0';
+  }
+  if (release_year !== undefined && release_year !== null &&
+      (!Number.isInteger(Number(release_year)) || Number(release_year) < 1990 || Number(release_year) > new Date().getFullYear() + 1)) {
+    return 'release_year must be a valid year';
+  }
+  if (annual_depreciation_pct !== undefined && !isPercentage(annual_depreciation_pct)) {
+    return 'annual_depreciation_pct must be between 0 and 100';
+  }
+  if (min_value_pct !== undefined && !isPercentage(min_value_pct)) {
+    return 'min_value_pct must be between 0 and 100';
+  }
+  return null;
+}
+
+/**
+ * Get all valuation base prices
+ * Admin only - requires authentication
+ * Filters: brand, is_active
+ */
+export async function getBasePrices(req, res) {
+  try {
+    const { brand, is_active } = req.query;
+    const db = getDb();
+
+    const conditions = [];
+    const values = [];
+
+    if (brand) {
+      conditions.push('brand = ?');
+      values.push(brand);
+    }
+    if (is_active !== undefined) {
+      conditions.push('is_active = ?');
+      values.push(is_active === 'true' || is_active === '1' ? 1 : 0);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows] = await db.query(
+      `${BASE_PRICE_SELECT} ${whereClause} ORDER BY brand ASC, model IS NULL, model ASC`,
+      values
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: rows,
+    });
+  } catch (err) {
+    console.error('Get valuation base prices error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch base prices',
+    });
+  }
+}
+
+/**
+ * Create a valuation base price
+ * Admin only - requires authentication
+ * Body: { brand, base_price, model?, device_type?, release_year?, annual_depreciation_pct?, min_value_pct?, is_active? }
+ * model/device_type left empty match any model/device type of the brand
+ */
+export async function createBasePrice(req, res) {
+  try {
+    const {
+      device_type,
+      brand,
+      model,
+      base_price,
+      release_year,
+      annual_depreciation_pct,
+      min_value_pct,
+      is_active,
+    } = req.body;
+
+    if (!brand?.trim() || base_price === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'brand and base_price are required',
+      });
+    }
+
+    const validationError = validateBasePriceFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const db = getDb();
+
+    const [result] = await db.query(
+      `INSERT INTO valuation_base_prices (
+        device_type, brand, model, base_price, release_year, annual_depreciation_pct, min_value_pct, is_active
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        device_type?.trim() || null,
+        brand.trim(),
+        model?.trim() || null,
+        base_price,
+        release_year ?? null,
+        annual_depreciation_pct ?? 15,
+        min_value_pct ?? 20,
+        is_active !== undefined ? (is_active ? 1 : 0) : 1,
+      ]
+    );
+
+    const [rows] = await db.query(`${BASE_PRICE_SELECT} WHERE id = ? LIMIT 1`, [result.insertId]);
+
+    return res.status(201).json({
+      success: true,
+      data: rows[0],
+      message: 'Base price created successfully',
+    });
+  } catch (err) {
+    console.error('Create valuation base price error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create base price',
+    });
+  }
+}
+
+/**
+ * Update a valuation base price
+ * Admin only - requires authentication
+ */
+export async function updateBasePrice(req, res) {
+  try {
+    const { id } = req.params;
+    const {
+      device_type,
+      brand,
+      model,
+      base_price,
+      release_year,
+      annual_depreciation_pct,
+      min_value_pct,
+      is_active,
+    } = req.body;
+    const db = getDb();
+
+    const [existingRows] = await db.query('SELECT id FROM valuation_base_prices WHERE id = ? LIMIT 1', [id]);
+
+    if (existingRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Base price not found',
+      });
+    }
+
+    if (brand !== undefined && !brand?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'brand cannot be empty',
+      });
+    }
+
+    const validationError = validateBasePriceFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    // Build dynamic UPDATE query
+    const updates = [];
+    const values = [];
+
+    if (device_type !== undefined) {
+      updates.push('device_type = ?');
+      values.push(device_type?.trim() || null);
+    }
+    if (brand !== undefined) {
+      updates.push('brand = ?');
+      values.push(brand.trim());
+    }
+    if (model !== undefined) {
+      updates.push('model = ?');
+      values.push(model?.trim() || null);
+    }
+    if (base_price !== undefined) {
+      updates.push('base_price = ?');
+      values.push(base_price);
+    }
+    if (release_year !== undefined) {
+      updates.push('release_year = ?');
+      values.push(release_year);
+    }
+    if (annual_depreciation_pct !== undefined) {
+      updates.push('annual_depreciation_pct = ?');
+      values.push(annual_depreciation_pct);
+    }
+    if (min_value_pct !== undefined) {
+      updates.push('min_value_pct = ?');
+      values.push(min_value_pct);
+    }
+    if (is_active !== undefined) {
+      updates.push('is_active = ?');
+      values.push(is_active ? 1 : 0);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update',
+      });
+    }
+
+    values.push(id);
+    await db.query(`UPDATE valuation_base_prices SET ${updates.join(', ')} WHERE id = ?`, values);
+
+    const [rows] = await db.query(`${BASE_PRICE_SELECT} WHERE id = ? LIMIT 1`, [id]);
+
+    return res.status(200).json({
+      success: true,
+      data: rows[0],
+      message: 'Base price updated successfully',
+    });
+  } catch (err) {
+    console.error('Update valuation base price error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update base price',
+    });
+  }
+}
+
+/**
+ * Delete a valuation base price
+ * Admin only - requires authentication
+ */
+export async function deleteBasePrice(req, res) {
+  try {
+    const { id } = req.params;
+    const db = getDb();
+
+    const [result] = await db.query('DELETE FROM valuation_base_prices WHERE id = ?', [id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Base price not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Base price deleted successfully',
+    });
+  } catch (err) {
+    console.error('Delete valuation base price error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete base price',
+    });
+  }
+}
+
+/**
+ * Get all condition deductions
+ * Admin only - requires authentication
+ */
+export async function getConditionDeductions(req, res) {
+  try {
+    const db = getDb();
+
+    const [rows] = await db.query(`${DEDUCTION_SELECT} ORDER BY flag_key ASC`);
+
+    return res.status(200).json({
+      success: true,
+      data: rows,
+    });
+  } catch (err) {
+    console.error('Get condition deductions error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch condition deductions',
+    });
+  }
+}
+
+/**
+ * Create a condition deduction
+ * Admin only - requires authentication
+ * Body: { flag_key, label, deduction_type: 'percentage'|'fixed_amount', amount, is_active? }
+ * flag_key is matched (case-insensitively) against the flags in sell_requests.condition_notes
+ */
+export async function createConditionDeduction(req, res) {
+  try {
+    const { flag_key, label, deduction_type, amount, is_active } = req.body;
+
+    if (!flag_key?.trim() || !label?.trim() || !deduction_type || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'flag_key, label, deduction_type, and amount are required',
+      });
+    }
+
+    if (!['percentage', 'fixed_amount'].includes(deduction_type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'deduction_type must be either "percentage" or "fixed_amount"',
+      });
+    }
+
+    if (!(Number(amount) > 0) || (deduction_type === 'percentage' && Number(amount) > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'amount must be greater than 0 (and at most 100 for percentage)',
+      });
+    }
+
+    const db = getDb();
+
+    const [result] = await db.query(
+      `INSERT INTO valuation_condition_deductions (flag_key, label, deduction_type, amount, is_active)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        flag_key.trim().toLowerCase(),
+        label.trim(),
+        deduction_type,
+        amount,
+        is_active !== undefined ? (is_active ? 1 : 0) : 1,
+      ]
+    );
+
+    const [rows] = await db.query(`${DEDUCTION_SELECT} WHERE id = ? LIMIT 1`, [result.insertId]);
+
+    return res.status(201).json({
+      success: true,
+      data: rows[0],
+      message: 'Condition deduction created successfully',
+    });
+  } catch (err) {
+    console.error('Create condition deduction error:', err);
+
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'A deduction for this flag_key already exists',
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create condition deduction',
+    });
+  }
+}
+
+/**
+ * Update a condition deduction
+ * Admin only - requires authentication
+ */
+export async function updateConditionDeduction(req, res) {
+  try {
+    const { id } = req.params;
+    const { flag_key, label, deduction_type, amount, is_active } = req.body;
+    const db = getDb();
+
+    const [existingRows] = await db.query(
+      'SELECT id, deduction_type, amount FROM valuation_condition_deductions WHERE id = ? LIMIT 1',
+      [id]
+    );
+
+    if (existingRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Condition deduction not found',
+      });
+    }
+
+    if (deduction_type !== undefined && !['percentage', 'fixed_amount'].includes(deduction_type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'deduction_type must be either "percentage" or "fixed_amount"',
+      });
+    }
+
+    const finalType = deduction_type || existingRows[0].deduction_type;
+    const finalAmount = Number(amount ?? existingRows[0].amount);
+    if (!(finalAmount > 0) || (finalType === 'percentage' && finalAmount > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'amount must be greater than 0 (and at most 100 for percentage)',
+      });
+    }
+
+    // Build dynamic UPDATE query
+    const updates = [];
+    const values = [];
+
+    if (flag_key !== undefined) {
+      updates.push('flag_key = ?');
+      values.push(flag_key.trim().toLowerCase());
+    }
+    if (label !== undefined) {
+      updates.push('label = ?');
+      values.push(label.trim());
+    }
+    if (deduction_type !== undefined) {
+      updates.push('deduction_type = ?');
+      values.push(deduction_type);
+    }
+    if (amount !== undefined) {
+      updates.push('amount = ?');
+      values.push(amount);
+    }
+    if (is_active !== undefined) {
+      updates.push('is_active = ?');
+      values.push(is_active ? 1 : 0);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update',
+      });
+    }
+
+    values.push(id);
+    await db.query(`UPDATE valuation_condition_deductions SET ${updates.join(', ')} WHERE id = ?`, values);
+
+    const [rows] = await db.query(`${DEDUCTION_SELECT} WHERE id = ? LIMIT 1`, [id]);
+
+    return res.status(200).json({
+      success: true,
+      data: rows[0],
+      message: 'Condition deduction updated successfully',
+    });
+  } catch (err) {
+    console.error('Update condition deduction error:', err);
+
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'A deduction for this flag_key already exists',
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update condition deduction',
+    });
+  }
+}
+
+/**
+ * Delete a condition deduction
+ * Admin only - requires authentication
+ */
+export async function deleteConditionDeduction(req, res) {
+  try {
+    const { id } = req.params;
+    const db = getDb();
+
+    const [result] = await db.query('DELETE FROM valuation_condition_deductions WHERE id = ?', [id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Condition deduction not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Condition deduction deleted successfully',
+    });
+  } catch (err) {
+    console.error('Delete condition deduction error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete condition deduction',
+    });
+  }
+}
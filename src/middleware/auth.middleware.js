@@ -1,6 +1,8 @@
-import jwt from 'jsonwebtoken';
+import { getDb } from '../config/db.config.js';
+import { authenticateAccessToken } from '../utils/authSessions.js';
+import { isTwoFactorRequired } from '../utils/twoFactor.js';
 
-export function isAuth(req, res, next) {
+async function authenticate(req, res, next, enforceTwoFactorPolicy) {
   try {
     const authHeader = req.headers.authorization || '';
     const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
@@ -9,18 +11,24 @@ export function isAuth(req, res, next) {
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
 
-    const secret = process.env.JWT_SECRET;
-    if (!secret) {
+    if (!process.env.JWT_SECRET) {
       return res.status(500).json({ success: false, message: 'JWT secret not configured' });
     }
 
-    const payload = jwt.verify(token, secret);
-    req.user = {
-      id: payload.id,
-      role: payload.role,
-      full_name: payload.full_name,
-      email: payload.email,
-    };
+    const user = await authenticateAccessToken(getDb(), token);
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Session has expired or been revoked' });
+    }
+
+    if (enforceTwoFactorPolicy && !user.two_factor_enabled && isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be set up for this account',
+        two_factor_setup_required: true,
+      });
+    }
+
+    req.user = user;
 
     return next();
   } catch (err) {
@@ -28,12 +36,30 @@ export function isAuth(req, res, next) {
   }
 }
 
+/**
+ * Authentication middleware
+ * Verifies the access token and that its session hasn't been revoked (logout, password reset).
+ * req.user carries the user's current role, not the one in the token.
+ * Users whose role requires 2FA (TWO_FACTOR_REQUIRED_ROLES) are refused until they set it up.
+ */
+export function isAuth(req, res, next) {
+  return authenticate(req, res, next, true);
+}
+
+/**
+ * Same as isAuth, but lets users who still have to set up required 2FA through
+ * Only for the routes they need to do that (2FA setup, logout)
+ */
+export function isAuthPendingTwoFactor(req, res, next) {
+  return authenticate(req, res, next, false);
+}
+
 /**
  * Optional authentication middleware
  * Sets req.user if token is valid, but doesn't fail if token is missing
  * Useful for public endpoints that can optionally use user context
  */
-export function optionalAuth(req, res, next) {
+export async function optionalAuth(req, res, next) {
   try {
     const authHeader = req.headers.authorization || '';
     const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
@@ -43,20 +69,16 @@ export function optionalAuth(req, res, next) {
       return next();
     }
 
-    const secret = process.env.JWT_SECRET;
-    if (!secret) {
+    if (!process.env.JWT_SECRET) {
       // JWT secret not configured - continue without setting req.user
       return next();
     }
 
     try {
-      const payload = jwt.verify(token, secret);
-      req.user = {
-        id: payload.id,
-        role: payload.role,
-        full_name: payload.full_name,
-        email: payload.email,
-      };
+      const user = await authenticateAccessToken(getDb(), token);
+      if (user) {
+        req.user = user;
+      }
     } catch (err) {
       // Invalid or expired token - continue without setting req.user
       // Don't fail the request, just proceed without authentication
@@ -68,5 +90,3 @@ export function optionalAuth(req, res, next) {
     return next();
   }
 }
-
-
@@ -0,0 +1,65 @@
+import { rateLimitConfig, RATE_LIMIT_POLICIES } from '../config/rateLimit.config.js';
+import { consumeRateLimit, normalizeIdentifier } from '../utils/rateLimiter.js';
+
+function sendTooManyRequests(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: 'Too many requests, please try again later',
+    retry_after: retryAfter,
+  });
+}
+
+/**
+ * Rate limit middleware for a policy in RATE_LIMIT_POLICIES
+ * Counts the request against the per-IP limit and, when the policy has one and the request carries
+ * an identifier (e.g. the email in the body), against the per-identifier limit. Over either limit
+ * answers 429 with Retry-After.
+ * @param {string} policyName
+ * @param {object} options
+ * @param {Function} options.identifier - req => identifier or null (default: req.body.email)
+ * @param {Function} options.skip - req => true to skip limiting (e.g. logged-in users)
+ */
+export function rateLimit(policyName, { identifier = req => req.body?.email, skip } = {}) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy "${policyName}"`);
+  }
+
+  return async (req, res, next) => {
+    if (!rateLimitConfig.enabled || (skip && skip(req))) {
+      return next();
+    }
+
+    try {
+      const checks = [];
+      if (policy.ip) {
+        checks.push(consumeRateLimit(`${policyName}:ip:${req.ip}`, policy.ip));
+      }
+
+      const id = policy.identifier ? identifier(req) : null;
+      if (id) {
+        checks.push(consumeRateLimit(`${policyName}:id:${normalizeIdentifier(id)}`, policy.identifier));
+      }
+
+      const results = await Promise.all(checks);
+
+      // Headers describe the tightest limit
+      const tightest = results.reduce((min, result) => (result.remaining < min.remaining ? result : min));
+      res.set('RateLimit-Limit', String(tightest.limit));
+      res.set('RateLimit-Remaining', String(tightest.remaining));
+      res.set('RateLimit-Reset', String(tightest.retry_after));
+
+      const blocked = results.filter(result => !result.allowed);
+      if (blocked.length > 0) {
+        return sendTooManyRequests(res, Math.max(...blocked.map(result => result.retry_after)));
+      }
+
+      return next();
+    } catch (err) {
+      // A broken store shouldn't take the endpoints down with it
+      console.error('Rate limit error:', err);
+      return next();
+    }
+  };
+}
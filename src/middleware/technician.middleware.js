@@ -0,0 +1,15 @@
+/**
+ * Middleware to check if user is a technician
+ * Must be used after isAuth middleware
+ */
+export function isTechnician(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  if (req.user.role !== 'technician') {
+    return res.status(403).json({ success: false, message: 'Technician access required' });
+  }
+
+  return next();
+}
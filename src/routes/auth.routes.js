@@ -1,13 +1,64 @@
 import { Router } from 'express';
 import passport from 'passport';
-import { register, registerB2B, login, googleCallbackHandler, googleCredentialAuth } from '../controllers/auth.controller.js';
+import {
+  register,
+  registerB2B,
+  login,
+  verifyLoginTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateTwoFactorRecoveryCodes,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshSession,
+  logout,
+  logoutAll,
+  getMyIdentities,
+  linkGoogleIdentity,
+  linkLocalIdentity,
+  unlinkIdentity,
+  googleCallbackHandler,
+  exchangeGoogleSignInCode,
+  googleCredentialAuth,
+} from '../controllers/auth.controller.js';
+import { isAuth, isAuthPendingTwoFactor, optionalAuth } from '../middleware/auth.middleware.js';
+import { rateLimit } from '../middleware/rateLimit.middleware.js';
 
 const router = Router();
 
 // Local auth
-router.post('/register', register);
-router.post('/register/b2b', registerB2B);
-router.post('/login', login);
+router.post('/register', rateLimit('register'), register);
+router.post('/register/b2b', rateLimit('register'), registerB2B);
+router.post('/login', rateLimit('login'), login);
+router.post('/login/2fa', rateLimit('login_two_factor'), verifyLoginTwoFactor);
+
+// Two-factor authentication - reachable before required 2FA is set up
+router.get('/2fa', isAuthPendingTwoFactor, getTwoFactorStatus);
+router.post('/2fa/setup', isAuthPendingTwoFactor, setupTwoFactor);
+router.post('/2fa/enable', isAuthPendingTwoFactor, enableTwoFactor);
+router.post('/2fa/disable', isAuth, disableTwoFactor);
+router.post('/2fa/recovery-codes', isAuth, regenerateTwoFactorRecoveryCodes);
+
+// Sessions
+router.post('/refresh', refreshSession);
+router.post('/logout', optionalAuth, logout);
+router.post('/logout-all', isAuthPendingTwoFactor, logoutAll);
+
+// Sign-in methods (identities) of the logged-in user
+router.get('/identities', isAuth, getMyIdentities);
+router.post('/identities/google', isAuth, linkGoogleIdentity);
+router.post('/identities/local', isAuth, linkLocalIdentity);
+router.delete('/identities/:provider', isAuth, unlinkIdentity);
+
+// Password reset & email verification
+router.post('/forgot-password', rateLimit('password_reset'), forgotPassword);
+router.post('/reset-password', rateLimit('password_reset'), resetPassword);
+router.post('/verify-email', rateLimit('email_verification'), verifyEmail);
+router.post('/verify-email/resend', isAuth, rateLimit('email_verification'), resendVerificationEmail);
 
 // Google OAuth
 router.get(
@@ -24,8 +75,11 @@ router.get(
   googleCallbackHandler   
 );
 
+// Trade the single-use code from the callback redirect for a session
+router.post('/google/exchange', rateLimit('login'), exchangeGoogleSignInCode);
+
 // New Google Identity Services endpoint (credential-based)
-router.post('/google', googleCredentialAuth);
+router.post('/google', rateLimit('login'), googleCredentialAuth);
 
 export default router;
 
@@ -1,21 +1,66 @@
 import { Router } from 'express';
 import { isAuth, optionalAuth } from '../middleware/auth.middleware.js';
+import { isAdmin } from '../middleware/admin.middleware.js';
 import {
   createBooking,
   getMyBookings,
   getBookingById,
   getMyAddresses,
+  trackBooking,
+  rescheduleBooking,
+  cancelBooking,
+  assignTechnician,
 } from '../controllers/booking.controller.js';
+import {
+  getAvailability,
+  getBusinessHours,
+  updateBusinessHours,
+  getBlackoutDates,
+  createBlackoutDate,
+  deleteBlackoutDate,
+} from '../controllers/availability.controller.js';
+import {
+  createQuote,
+  getBookingQuotes,
+  acceptQuote,
+  rejectQuote,
+} from '../controllers/quote.controller.js';
 
 const router = Router();
 
 // Public endpoint with optional auth - guests can book, logged-in users will have user_id set
 router.post('/', optionalAuth, createBooking);
 
+// Public availability - booking calendar (declared before /:id)
+router.get('/availability', getAvailability);
+router.get('/business-hours', getBusinessHours);
+router.get('/blackout-dates', getBlackoutDates);
+
+// Admin availability settings - require authentication and admin role
+router.put('/business-hours', isAuth, isAdmin, updateBusinessHours);
+router.post('/blackout-dates', isAuth, isAdmin, createBlackoutDate);
+router.delete('/blackout-dates/:id', isAuth, isAdmin, deleteBlackoutDate);
+
+// Public guest tracking - reference + email or tracking token in body (keeps email out of URLs)
+router.post('/track', trackBooking);
+
 // Authenticated endpoints - users can manage their own bookings
 router.get('/me', isAuth, getMyBookings);
 router.get('/addresses', isAuth, getMyAddresses);
 router.get('/:id', isAuth, getBookingById);
 
+// Owner/admin, or guest with tracking_token - subject to the change cut-off window
+router.put('/:id/reschedule', optionalAuth, rescheduleBooking);
+router.post('/:id/cancel', optionalAuth, cancelBooking);
+
+// Quotes for variable-price services - issued by admin/assigned technician, answered by the customer
+router.post('/:id/quotes', isAuth, createQuote);
+router.get('/:id/quotes', optionalAuth, getBookingQuotes);
+router.post('/:id/quotes/:quoteId/accept', optionalAuth, acceptQuote);
+router.post('/:id/quotes/:quoteId/reject', optionalAuth, rejectQuote);
+
+// Admin endpoints - require authentication and admin role
+router.put('/:id/technician', isAuth, isAdmin, assignTechnician);
+
 export default router;
 
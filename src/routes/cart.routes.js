@@ -9,6 +9,8 @@ import {
   applyPromoCode,
   removePromoCode,
   clearCart,
+  reserveCart,
+  releaseCartReservation,
 } from '../controllers/cart.controller.js';
 
 const router = Router();
@@ -23,5 +25,9 @@ router.post('/promo-code', optionalAuth, applyPromoCode);
 router.delete('/promo-code', optionalAuth, removePromoCode);
 router.delete('/', optionalAuth, clearCart);
 
+// Checkout stock hold (TTL-based reservation)
+router.post('/reserve', optionalAuth, reserveCart);
+router.delete('/reserve', optionalAuth, releaseCartReservation);
+
 export default router;
 
@@ -1,17 +1,27 @@
 import { Router } from 'express';
 import { isAuth, optionalAuth } from '../middleware/auth.middleware.js';
+import { isAdmin } from '../middleware/admin.middleware.js';
+import { rateLimit } from '../middleware/rateLimit.middleware.js';
 import {
   createConsultation,
   getMyConsultations,
   getConsultationById,
   updateConsultation,
   deleteConsultation,
+  getAllConsultations,
+  scheduleConsultation,
+  completeConsultation,
 } from '../controllers/consultation.controller.js';
 
 const router = Router();
 
 // Public endpoint with optional auth - guests can book, logged-in users will have user_id set
-router.post('/', optionalAuth, createConsultation);
+router.post('/', optionalAuth, rateLimit('public_form'), createConsultation);
+
+// Admin console - require authentication and admin role
+router.get('/', isAuth, isAdmin, getAllConsultations);
+router.put('/:id/schedule', isAuth, isAdmin, scheduleConsultation);
+router.put('/:id/complete', isAuth, isAdmin, completeConsultation);
 
 // Authenticated endpoints - users can manage their own consultations
 router.get('/me', isAuth, getMyConsultations);
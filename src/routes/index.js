@@ -15,6 +15,10 @@ import orderRoutes from './order.routes.js';
 import pcBuilderRoutes from './pcBuilder.routes.js';
 import reviewRoutes from './review.routes.js';
 import onlineQueryRoutes from './onlineQuery.routes.js';
+import paymentRoutes from './payment.routes.js';
+import inventoryRoutes from './inventory.routes.js';
+import technicianRoutes from './technician.routes.js';
+import valuationRoutes from './valuation.routes.js';
 
 const router = Router();
 
@@ -34,6 +38,10 @@ router.use('/orders', orderRoutes);
 router.use('/pc-builder', pcBuilderRoutes);
 router.use('/reviews', reviewRoutes);
 router.use('/online-queries', onlineQueryRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/inventory', inventoryRoutes);
+router.use('/technician', technicianRoutes);
+router.use('/valuation', valuationRoutes);
 
 export default router;
 
@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import { isAuth } from '../middleware/auth.middleware.js';
+import { isAdmin } from '../middleware/admin.middleware.js';
+import {
+  adjustProductStock,
+  getStockMovements,
+  getLowStockProducts,
+} from '../controllers/inventory.controller.js';
+
+const router = Router();
+
+// Admin endpoints - require authentication and admin role
+router.get('/low-stock', isAuth, isAdmin, getLowStockProducts);
+router.get('/products/:sku/movements', isAuth, isAdmin, getStockMovements);
+router.post('/products/:sku/adjustments', isAuth, isAdmin, adjustProductStock);
+
+export default router;
@@ -1,11 +1,30 @@
 import { Router } from 'express';
-import { createOnlineQuery } from '../controllers/onlineQuery.controller.js';
+import { isAuth, optionalAuth } from '../middleware/auth.middleware.js';
+import { isAdmin } from '../middleware/admin.middleware.js';
+import { rateLimit } from '../middleware/rateLimit.middleware.js';
+import {
+  createOnlineQuery,
+  getAllOnlineQueries,
+  getMyOnlineQueries,
+  getOnlineQueryById,
+  assignOnlineQuery,
+  updateOnlineQueryStatus,
+  replyToOnlineQuery,
+} from '../controllers/onlineQuery.controller.js';
 
 const router = Router();
 
 // Public endpoint – accepts guest and logged-in user submissions
-router.post('/', createOnlineQuery);
+router.post('/', optionalAuth, rateLimit('public_form'), createOnlineQuery);
 
-export default router;
+// Helpdesk console - require authentication and admin role
+router.get('/', isAuth, isAdmin, getAllOnlineQueries);
+router.put('/:id/assign', isAuth, isAdmin, assignOnlineQuery);
+router.put('/:id/status', isAuth, isAdmin, updateOnlineQueryStatus);
 
+// Customer endpoints - own tickets (guests use the tracking token from submission)
+router.get('/me', isAuth, getMyOnlineQueries);
+router.get('/:id', optionalAuth, getOnlineQueryById);
+router.post('/:id/replies', optionalAuth, replyToOnlineQuery);
 
+export default router;
@@ -1,8 +1,13 @@
 import { Router } from 'express';
 import { isAuth, optionalAuth } from '../middleware/auth.middleware.js';
+import { isAdmin } from '../middleware/admin.middleware.js';
 import {
   createOrder,
   getOrderById,
+  getMyOrders,
+  trackOrder,
+  getAllOrders,
+  updateOrderStatus,
 } from '../controllers/order.controller.js';
 
 const router = Router();
@@ -10,8 +15,17 @@ const router = Router();
 // Create order from cart - supports both logged-in and guest users
 router.post('/', optionalAuth, createOrder);
 
+// Public guest tracking - reference + email or tracking token in body (keeps email out of URLs)
+router.post('/track', trackOrder);
+
+// Authenticated endpoint - user's own orders (including earlier guest orders with same email)
+router.get('/me', isAuth, getMyOrders);
+
+// Admin endpoints - require authentication and admin role
+router.get('/', isAuth, isAdmin, getAllOrders);
+router.put('/:id/status', isAuth, isAdmin, updateOrderStatus);
+
 // Get order by ID - requires authentication (user can only view their own)
 router.get('/:id', isAuth, getOrderById);
 
 export default router;
-
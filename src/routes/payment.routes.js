@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import { isAuth, optionalAuth } from '../middleware/auth.middleware.js';
+import { isAdmin } from '../middleware/admin.middleware.js';
+import {
+  initiatePayment,
+  handlePaymentWebhook,
+  simulateLocalPayment,
+  createRefund,
+  getPaymentRefunds,
+  getAllRefunds,
+} from '../controllers/payment.controller.js';
+
+const router = Router();
+
+// Gateway webhooks - public, verified by signature over the raw body
+router.post('/webhooks/:gateway', handlePaymentWebhook);
+
+// Local fake gateway - development/testing only (requires LOCAL_GATEWAY_ENABLED=true)
+router.post('/local-gateway/simulate', simulateLocalPayment);
+
+// Admin refund ledger - require authentication and admin role
+router.get('/refunds', isAuth, isAdmin, getAllRefunds);
+router.get('/:id/refunds', isAuth, isAdmin, getPaymentRefunds);
+router.post('/:id/refunds', isAuth, isAdmin, createRefund);
+
+// Initiate payment - owner/admin, or guest with tracking_token
+router.post('/:id/initiate', optionalAuth, initiatePayment);
+
+export default router;
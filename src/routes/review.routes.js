@@ -1,10 +1,19 @@
 import { Router } from 'express';
-import { optionalAuth } from '../middleware/auth.middleware.js';
+import { isAuth, optionalAuth } from '../middleware/auth.middleware.js';
+import { isAdmin } from '../middleware/admin.middleware.js';
+import { rateLimit } from '../middleware/rateLimit.middleware.js';
 import {
   getServiceReviews,
   getProductReviews,
   createServiceReview,
   createProductReview,
+  getModerationQueue,
+  moderateReviews,
+  voteOnReview,
+  upsertReviewReply,
+  deleteReviewReply,
+  deleteReviewImage,
+  getReviewInvitation,
 } from '../controllers/review.controller.js';
 
 const router = Router();
@@ -13,10 +22,27 @@ const router = Router();
 router.get('/services/:service_id', getServiceReviews);
 router.get('/products/:product_id', getProductReviews);
 
+// Public endpoint - review invitation sent after delivery (X-Review-Token header)
+router.get('/invitation', getReviewInvitation);
+
 // Review creation endpoints - support both authenticated users and guests
-// Uses optionalAuth to allow guests to post reviews via email
-router.post('/services/:service_id', optionalAuth, createServiceReview);
-router.post('/products/:product_id', optionalAuth, createProductReview);
+// Uses optionalAuth to allow guests to post reviews via email; only guests are rate limited
+const guestReviewLimit = rateLimit('public_form', {
+  identifier: req => req.body?.guest_email,
+  skip: req => !!req.user,
+});
+router.post('/services/:service_id', optionalAuth, guestReviewLimit, createServiceReview);
+router.post('/products/:product_id', optionalAuth, guestReviewLimit, createProductReview);
+
+// Helpful votes - one per logged-in user or guest session (X-Session-Id)
+router.post('/:review_id/votes', optionalAuth, voteOnReview);
+
+// Admin endpoints - require authentication and admin role
+router.get('/moderation', isAuth, isAdmin, getModerationQueue);
+router.post('/moderation', isAuth, isAdmin, moderateReviews);
+router.put('/:review_id/reply', isAuth, isAdmin, upsertReviewReply);
+router.delete('/:review_id/reply', isAuth, isAdmin, deleteReviewReply);
+router.delete('/:review_id/images/:image_id', isAuth, isAdmin, deleteReviewImage);
 
 export default router;
 
@@ -0,0 +1,23 @@
+import { Router } from 'express';
+import { isAuth } from '../middleware/auth.middleware.js';
+import { isTechnician } from '../middleware/technician.middleware.js';
+import {
+  getMyJobs,
+  getJobById,
+  acceptJob,
+  startJob,
+  completeJob,
+  addJobNote,
+} from '../controllers/technician.controller.js';
+
+const router = Router();
+
+// Technician endpoints - require authentication and technician role, only own jobs
+router.get('/jobs', isAuth, isTechnician, getMyJobs);
+router.get('/jobs/:id', isAuth, isTechnician, getJobById);
+router.post('/jobs/:id/accept', isAuth, isTechnician, acceptJob);
+router.post('/jobs/:id/start', isAuth, isTechnician, startJob);
+router.post('/jobs/:id/complete', isAuth, isTechnician, completeJob);
+router.post('/jobs/:id/notes', isAuth, isTechnician, addJobNote);
+
+export default router;
@@ -1,19 +1,49 @@
 import { Router } from 'express';
 import { isAuth } from '../middleware/auth.middleware.js';
+import { isAdmin } from '../middleware/admin.middleware.js';
 import {
   getAllUsedLaptops,
   getUsedLaptopBySlug,
   createSellRequest,
 } from '../controllers/usedLaptop.controller.js';
+import {
+  getAllSellRequests,
+  getMySellRequests,
+  getSellRequestById,
+  setSellRequestEstimate,
+  scheduleSellRequestPickup,
+  makeSellRequestOffer,
+  rejectSellRequest,
+  acceptSellRequestOffer,
+  declineSellRequestOffer,
+  createListingFromSellRequest,
+} from '../controllers/sellRequest.controller.js';
 
 const router = Router();
 
+// Protected endpoints - require authentication
+router.post('/sell-request', isAuth, createSellRequest);
+
+// Sell request pipeline (declared before /:slug)
+// Customer endpoints - own requests and offer response
+router.get('/sell-requests/me', isAuth, getMySellRequests);
+router.post('/sell-requests/:id/accept', isAuth, acceptSellRequestOffer);
+router.post('/sell-requests/:id/decline', isAuth, declineSellRequestOffer);
+
+// Admin endpoints - require authentication and admin role
+router.get('/sell-requests', isAuth, isAdmin, getAllSellRequests);
+router.put('/sell-requests/:id/estimate', isAuth, isAdmin, setSellRequestEstimate);
+router.put('/sell-requests/:id/pickup', isAuth, isAdmin, scheduleSellRequestPickup);
+router.put('/sell-requests/:id/offer', isAuth, isAdmin, makeSellRequestOffer);
+router.put('/sell-requests/:id/reject', isAuth, isAdmin, rejectSellRequest);
+router.post('/sell-requests/:id/listing', isAuth, isAdmin, createListingFromSellRequest);
+
+// Owner or admin
+router.get('/sell-requests/:id', isAuth, getSellRequestById);
+
 // Public endpoints - SEO-critical for marketplace listings and detail pages
 router.get('/', getAllUsedLaptops);
 router.get('/:slug', getUsedLaptopBySlug);
 
-// Protected endpoints - require authentication
-router.post('/sell-request', isAuth, createSellRequest);
-
 export default router;
 
@@ -0,0 +1,28 @@
+import { Router } from 'express';
+import { isAuth } from '../middleware/auth.middleware.js';
+import { isAdmin } from '../middleware/admin.middleware.js';
+import {
+  getBasePrices,
+  createBasePrice,
+  updateBasePrice,
+  deleteBasePrice,
+  getConditionDeductions,
+  createConditionDeduction,
+  updateConditionDeduction,
+  deleteConditionDeduction,
+} from '../controllers/valuation.controller.js';
+
+const router = Router();
+
+// Admin endpoints - require authentication and admin role
+router.get('/base-prices', isAuth, isAdmin, getBasePrices);
+router.post('/base-prices', isAuth, isAdmin, createBasePrice);
+router.put('/base-prices/:id', isAuth, isAdmin, updateBasePrice);
+router.delete('/base-prices/:id', isAuth, isAdmin, deleteBasePrice);
+
+router.get('/condition-deductions', isAuth, isAdmin, getConditionDeductions);
+router.post('/condition-deductions', isAuth, isAdmin, createConditionDeduction);
+router.put('/condition-deductions/:id', isAuth, isAdmin, updateConditionDeduction);
+router.delete('/condition-deductions/:id', isAuth, isAdmin, deleteConditionDeduction);
+
+export default router;
@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { hashToken } from './authTokens.js';
+
+/**
+ * Login sessions
+ * Every login creates an auth_sessions row. The client gets a short-lived access token (JWT carrying
+ * the session id as `sid`) and an opaque refresh token whose hash is stored on the session.
+ * Refreshing rotates the refresh token; presenting the previous one again means it was copied, so
+ * the whole session is revoked. Revoking a session (logout) also kills its access tokens, because
+ * isAuth checks the session on every request.
+ */
+
+/**
+ * Access token lifetime (minutes)
+ * Environment variable: ACCESS_TOKEN_TTL_MINUTES (default: 15)
+ */
+export function getAccessTokenTtlMinutes() {
+  return Number(process.env.ACCESS_TOKEN_TTL_MINUTES || 15);
+}
+
+/**
+ * Refresh token lifetime (days) - extended on every refresh
+ * Environment variable: REFRESH_TOKEN_TTL_DAYS (default: 30)
+ */
+export function getRefreshTokenTtlDays() {
+  return Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+}
+
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT secret not configured');
+  }
+  return secret;
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user.id,
+      role: user.role,
+      full_name: user.full_name,
+      email: user.email,
+      sid: sessionId,
+    },
+    getJwtSecret(),
+    { expiresIn: getAccessTokenTtlMinutes() * 60 }
+  );
+}
+
+function tokenResponse(user, sessionId, refreshToken) {
+  return {
+    token: signAccessToken(user, sessionId),
+    refresh_token: refreshToken,
+    expires_in: getAccessTokenTtlMinutes() * 60,
+  };
+}
+
+/**
+ * Start a session for a user and issue its first token pair
+ * @param {object} db
+ * @param {{id, role, full_name, email}} user
+ * @param {object} req - Used to record user agent and IP
+ * @returns {Promise<{token: string, refresh_token: string, expires_in: number}>}
+ */
+export async function createSession(db, user, req) {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+
+  const [result] = await db.query(
+    `INSERT INTO auth_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [
+      user.id,
+      hashToken(refreshToken),
+      req?.headers?.['user-agent']?.slice(0, 255) || null,
+      req?.ip || null,
+      getRefreshTokenTtlDays(),
+    ]
+  );
+
+  return tokenResponse(user, result.insertId, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * The access token is signed with the user's current role, so role changes apply on refresh.
+ * @param {object} db
+ * @param {string} refreshToken
+ * @returns {Promise<{user, tokens}|{reused: true}|null>} - null if invalid, revoked or expired
+ */
+export async function rotateSession(db, refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+
+  const tokenHash = hashToken(refreshToken);
+  const [rows] = await db.query(
+    `SELECT id, user_id, refresh_token_hash, revoked_at, expires_at <= NOW() as is_expired
+     FROM auth_sessions
+     WHERE refresh_token_hash = ? OR previous_token_hash = ?
+     LIMIT 1`,
+    [tokenHash, tokenHash]
+  );
+
+  if (rows.length === 0) return null;
+
+  const session = rows[0];
+  if (session.revoked_at || session.is_expired) return null;
+
+  if (session.refresh_token_hash !== tokenHash) {
+    await revokeSession(db, session.id);
+    return { reused: true };
+  }
+
+  const newRefreshToken = crypto.randomBytes(32).toString('hex');
+  const [result] = await db.query(
+    `UPDATE auth_sessions
+     SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?,
+         last_used_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+     WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+    [hashToken(newRefreshToken), getRefreshTokenTtlDays(), session.id, tokenHash]
+  );
+
+  // Lost a race with another refresh using the same token
+  if (result.affectedRows === 0) return null;
+
+  const [userRows] = await db.query(
+    'SELECT id, full_name, email, role FROM users WHERE id = ? LIMIT 1',
+    [session.user_id]
+  );
+
+  if (userRows.length === 0) return null;
+
+  return { user: userRows[0], tokens: tokenResponse(userRows[0], session.id, newRefreshToken) };
+}
+
+/**
+ * Find the session a refresh token belongs to
+ * @returns {Promise<number|null>} - Session ID
+ */
+export async function findSessionIdByRefreshToken(db, refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+
+  const [rows] = await db.query(
+    'SELECT id FROM auth_sessions WHERE refresh_token_hash = ? LIMIT 1',
+    [hashToken(refreshToken)]
+  );
+  return rows[0]?.id || null;
+}
+
+export async function revokeSession(db, sessionId) {
+  await db.query('UPDATE auth_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [sessionId]);
+}
+
+/**
+ * Revoke every session of a user (logout everywhere, password reset)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export async function revokeAllSessions(db, userId) {
+  const [result] = await db.query(
+    'UPDATE auth_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Verify an access token and check its session is still live
+ * Returns the user as currently stored, so role changes take effect immediately.
+ * @param {object} db
+ * @param {string} token
+ * @returns {Promise<{id, role, full_name, email, email_verified, two_factor_enabled, session_id}|null>}
+ */
+export async function authenticateAccessToken(db, token) {
+  const payload = jwt.verify(token, getJwtSecret());
+
+  // Only access tokens - never tracking tokens or 2FA challenges, which carry other ids
+  if (payload.typ || payload.purpose || payload.aud) return null;
+
+  // Tokens issued before sessions existed can't be revoked - make them log in again
+  if (!payload.sid) return null;
+
+  const [rows] = await db.query(
+    `SELECT u.id, u.role, u.full_name, u.email, u.email_verified, u.two_factor_enabled
+     FROM auth_sessions s
+     INNER JOIN users u ON s.user_id = u.id
+     WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+     LIMIT 1`,
+    [payload.sid, payload.id]
+  );
+
+  if (rows.length === 0) return null;
+
+  return {
+    ...rows[0],
+    email_verified: !!rows[0].email_verified,
+    two_factor_enabled: !!rows[0].two_factor_enabled,
+    session_id: payload.sid,
+  };
+}
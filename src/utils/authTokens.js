@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+
+/**
+ * One-time auth tokens (password reset, email verification, Google sign-in codes)
+ * The raw token only travels in the email link (or the Google redirect); auth_tokens stores its SHA-256 hash.
+ * A token is single-use and expires; issuing a new one invalidates earlier unused ones.
+ */
+
+/**
+ * Token lifetime per purpose (minutes)
+ * Environment variables: PASSWORD_RESET_TTL_MINUTES (default: 60),
+ * EMAIL_VERIFICATION_TTL_MINUTES (default: 2880 = 48h), GOOGLE_SIGN_IN_CODE_TTL_MINUTES (default: 2)
+ */
+export function getAuthTokenTtlMinutes(purpose) {
+  if (purpose === 'password_reset') {
+    return Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+  }
+  if (purpose === 'google_sign_in') {
+    return Number(process.env.GOOGLE_SIGN_IN_CODE_TTL_MINUTES || 2);
+  }
+  return Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES || 2880);
+}
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a token for a user
+ * @param {object} db
+ * @param {number} userId
+ * @param {'password_reset'|'email_verification'|'google_sign_in'} purpose
+ * @returns {Promise<string>} - Raw token (send it, never store it)
+ */
+export async function createAuthToken(db, userId, purpose) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // Only the latest link works
+  await db.query(
+    'UPDATE auth_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  await db.query(
+    `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+    [userId, purpose, hashToken(token), getAuthTokenTtlMinutes(purpose)]
+  );
+
+  return token;
+}
+
+/**
+ * Redeem a token - marks it used with a conditional UPDATE, so it works exactly once
+ * @param {object} db
+ * @param {string} token
+ * @param {'password_reset'|'email_verification'|'google_sign_in'} purpose
+ * @returns {Promise<number|null>} - user_id, or null if invalid, expired or already used
+ */
+export async function consumeAuthToken(db, token, purpose) {
+  if (!token || typeof token !== 'string') return null;
+
+  const tokenHash = hashToken(token);
+  const [result] = await db.query(
+    `UPDATE auth_tokens SET used_at = NOW()
+     WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()`,
+    [tokenHash, purpose]
+  );
+
+  if (result.affectedRows === 0) return null;
+
+  const [rows] = await db.query('SELECT user_id FROM auth_tokens WHERE token_hash = ? LIMIT 1', [tokenHash]);
+  return rows[0]?.user_id || null;
+}
@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Google ID token verification
+ * The credential from Google Identity Services is a JWT signed by one of Google's rotating keys.
+ * It is verified against the key set (signature, audience = our client ID, issuer = Google, expiry)
+ * and the user's identity is read from its claims - never from the request body.
+ *
+ * Key sets are objects with getKey(kid) => Promise<KeyObject|null>. The remote key set caches the
+ * keys for as long as Google's Cache-Control allows; tests can inject a static key set built from
+ * a locally generated key pair with setGoogleKeySet(createStaticKeySet(jwks)).
+ */
+
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+/**
+ * Where Google publishes its signing keys
+ * Environment variable: GOOGLE_JWKS_URL (default: https://www.googleapis.com/oauth2/v3/certs)
+ */
+function getGoogleJwksUrl() {
+  return process.env.GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs';
+}
+
+/**
+ * Accepted audiences - our OAuth client IDs
+ * Environment variable: GOOGLE_CLIENT_ID (comma-separated if there are several clients)
+ */
+function getGoogleClientIds() {
+  return (process.env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+function keysFromJwks(jwks) {
+  const keys = new Map();
+  (jwks?.keys || []).forEach(jwk => {
+    if (jwk.kid && jwk.kty === 'RSA') {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+  });
+  return keys;
+}
+
+/**
+ * Key set from a fixed JWKS object (offline use and tests)
+ * @param {{keys: object[]}} jwks
+ */
+export function createStaticKeySet(jwks) {
+  const keys = keysFromJwks(jwks);
+  return {
+    async getKey(kid) {
+      return keys.get(kid) || null;
+    },
+  };
+}
+
+/**
+ * Key set fetched from a JWKS URL and cached
+ * An unknown kid triggers a refetch (Google rotated its keys), at most once per minute.
+ * @param {string} url
+ * @param {object} options
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @param {number} options.defaultMaxAgeSeconds - Cache lifetime when the response has no max-age
+ */
+export function createRemoteKeySet(url, { fetch: fetchImpl = fetch, defaultMaxAgeSeconds = 3600 } = {}) {
+  let keys = new Map();
+  let expiresAt = 0;
+  let lastFetchAt = 0;
+  let pending = null;
+
+  async function refresh() {
+    const response = await fetchImpl(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch Google signing keys (HTTP ${response.status})`);
+    }
+
+    const maxAge = (response.headers.get('cache-control') || '').match(/max-age=(\d+)/);
+    keys = keysFromJwks(await response.json());
+    lastFetchAt = Date.now();
+    expiresAt = lastFetchAt + (maxAge ? Number(maxAge[1]) : defaultMaxAgeSeconds) * 1000;
+  }
+
+  // Concurrent requests share one fetch
+  function load() {
+    if (!pending) {
+      pending = refresh().finally(() => {
+        pending = null;
+      });
+    }
+    return pending;
+  }
+
+  return {
+    async getKey(kid) {
+      if (Date.now() >= expiresAt || (!keys.has(kid) && Date.now() - lastFetchAt > 60 * 1000)) {
+        await load();
+      }
+      return keys.get(kid) || null;
+    },
+  };
+}
+
+let googleKeySet = null;
+
+/**
+ * Replace the key set used to verify Google ID tokens (e.g. a static key set in tests)
+ */
+export function setGoogleKeySet(keySet) {
+  googleKeySet = keySet;
+}
+
+function getGoogleKeySet() {
+  if (!googleKeySet) {
+    googleKeySet = createRemoteKeySet(getGoogleJwksUrl());
+  }
+  return googleKeySet;
+}
+
+/**
+ * Verify a Google ID token (credential)
+ * Throws if the key set can't be loaded or no client ID is configured (server problems).
+ * @param {string} credential
+ * @returns {Promise<{sub, email, name, picture, issued_at}|null>} - null if the token is invalid or the email isn't verified
+ *   issued_at is the token's iat (seconds since epoch)
+ */
+export async function verifyGoogleIdToken(credential) {
+  if (!credential || typeof credential !== 'string') return null;
+
+  const clientIds = getGoogleClientIds();
+  if (clientIds.length === 0) {
+    throw new Error('GOOGLE_CLIENT_ID not configured');
+  }
+
+  const decoded = jwt.decode(credential, { complete: true });
+  if (!decoded?.header?.kid) return null;
+
+  const key = await getGoogleKeySet().getKey(decoded.header.kid);
+  if (!key) return null;
+
+  let claims;
+  try {
+    claims = jwt.verify(credential, key, {
+      algorithms: ['RS256'],
+      audience: clientIds,
+      issuer: GOOGLE_ISSUERS,
+    });
+  } catch (err) {
+    return null;
+  }
+
+  // Google sends email_verified as a boolean, older tokens as a string
+  if (!claims.sub || !claims.email || !(claims.email_verified === true || claims.email_verified === 'true')) {
+    return null;
+  }
+
+  return {
+    sub: claims.sub,
+    email: claims.email,
+    name: claims.name || null,
+    picture: claims.picture || null,
+    issued_at: claims.iat,
+  };
+}
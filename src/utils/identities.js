@@ -0,0 +1,77 @@
+/**
+ * Sign-in identities
+ * A user can sign in with any of their user_identities rows: 'local' (email + users.password_hash)
+ * and/or 'google' (Google account `sub`). Identities are added and removed explicitly by the
+ * logged-in user; an account always keeps at least one.
+ */
+
+export const IDENTITY_PROVIDERS = ['local', 'google'];
+
+/**
+ * Find the user owning a provider identity
+ * @param {object} db
+ * @param {'google'} provider
+ * @param {string} providerUserId - e.g. Google `sub`
+ * @returns {Promise<{id, full_name, email, role}|null>}
+ */
+export async function findUserByIdentity(db, provider, providerUserId) {
+  const [rows] = await db.query(
+    `SELECT u.id, u.full_name, u.email, u.role
+     FROM user_identities i
+     INNER JOIN users u ON i.user_id = u.id
+     WHERE i.provider = ? AND i.provider_user_id = ?
+     LIMIT 1`,
+    [provider, providerUserId]
+  );
+
+  if (rows.length > 0) {
+    await db.query(
+      'UPDATE user_identities SET last_used_at = NOW() WHERE provider = ? AND provider_user_id = ?',
+      [provider, providerUserId]
+    );
+  }
+
+  return rows[0] || null;
+}
+
+/**
+ * Check whether a user has an identity of a provider
+ */
+export async function hasIdentity(db, userId, provider) {
+  const [rows] = await db.query(
+    'SELECT id FROM user_identities WHERE user_id = ? AND provider = ? LIMIT 1',
+    [userId, provider]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Attach an identity to a user
+ * Throws ER_DUP_ENTRY if the user already has this provider or the provider account belongs to someone else.
+ * @param {object} db
+ * @param {number} userId
+ * @param {'local'|'google'} provider
+ * @param {string|null} providerUserId - null for local
+ * @param {string|null} email - Email reported by the provider
+ */
+export async function addIdentity(db, userId, provider, providerUserId = null, email = null) {
+  await db.query(
+    'INSERT INTO user_identities (user_id, provider, provider_user_id, email) VALUES (?, ?, ?, ?)',
+    [userId, provider, providerUserId, email]
+  );
+}
+
+/**
+ * List a user's identities
+ * @returns {Promise<Array<{provider, email, created_at, last_used_at}>>}
+ */
+export async function getUserIdentities(db, userId) {
+  const [rows] = await db.query(
+    `SELECT provider, email, created_at, last_used_at
+     FROM user_identities
+     WHERE user_id = ?
+     ORDER BY created_at ASC`,
+    [userId]
+  );
+  return rows;
+}
@@ -0,0 +1,260 @@
+/**
+ * Inventory reservation and stock ledger utilities
+ * A cart can hold stock for a short TTL while the customer checks out. Active, unexpired
+ * reservations held by OTHER carts are subtracted from stock_quantity when checking availability.
+ * Every change to stock_quantity is recorded in stock_movements with its reason and actor.
+ *
+ * All functions take the db/connection to run on, so callers can use them inside their transaction.
+ */
+
+/**
+ * How long a checkout reservation holds stock (minutes)
+ * Environment variable: STOCK_RESERVATION_TTL_MINUTES (default: 15)
+ */
+export function getReservationTtlMinutes() {
+  return Number(process.env.STOCK_RESERVATION_TTL_MINUTES || 15);
+}
+
+/**
+ * Default low-stock level for products without their own reorder_threshold
+ * Environment variable: LOW_STOCK_THRESHOLD (default: 5)
+ */
+export function getDefaultReorderThreshold() {
+  return Number(process.env.LOW_STOCK_THRESHOLD || 5);
+}
+
+export const STOCK_MOVEMENT_REASONS = [
+  'initial_stock',
+  'admin_adjustment',
+  'sale',
+  'cancellation_restock',
+  'refund_restock',
+  'used_laptop_intake',
+];
+
+// Quantity held by other carts for a product (correlated on the outer products row `p`)
+const RESERVED_BY_OTHERS_SQL = `(
+  SELECT COALESCE(SUM(sr.quantity), 0)
+  FROM stock_reservations sr
+  WHERE sr.product_id = p.id
+    AND sr.status = 'active'
+    AND sr.expires_at > NOW()
+    AND (sr.cart_id IS NULL OR sr.cart_id <> ?)
+)`;
+
+/**
+ * Mark lapsed reservations as expired (they already stop counting once expires_at passes)
+ */
+export async function expireStaleReservations(db) {
+  await db.query(
+    "UPDATE stock_reservations SET status = 'expired' WHERE status = 'active' AND expires_at <= NOW()"
+  );
+}
+
+/**
+ * Get sellable quantity per product for a cart (stock minus what other carts hold)
+ * @param {object} db
+ * @param {number[]} productIds
+ * @param {number|null} cartId - Cart whose own reservations should not count against it
+ * @returns {Promise<Object<number, {name: string, stock_quantity: number, available: number}>>}
+ */
+export async function getAvailableStock(db, productIds, cartId = null) {
+  if (productIds.length === 0) return {};
+
+  const placeholders = productIds.map(() => '?').join(',');
+  const [rows] = await db.query(
+    `SELECT
+      p.id,
+      p.name,
+      p.stock_quantity,
+      p.stock_quantity - ${RESERVED_BY_OTHERS_SQL} as available
+    FROM products p
+    WHERE p.id IN (${placeholders})`,
+    [cartId || 0, ...productIds]
+  );
+
+  const availability = {};
+  rows.forEach(row => {
+    availability[row.id] = {
+      name: row.name,
+      stock_quantity: row.stock_quantity,
+      available: Math.max(0, parseInt(row.available)),
+    };
+  });
+  return availability;
+}
+
+/**
+ * Find requested lines that exceed sellable stock
+ * @param {Array<{product_id: number, quantity: number}>} items
+ * @param {object} availability - Result of getAvailableStock
+ * @returns {Array<{product_id, product_name, requested, available}>}
+ */
+export function findShortItems(items, availability) {
+  return items
+    .filter(item => (availability[item.product_id]?.available ?? 0) < item.quantity)
+    .map(item => ({
+      product_id: item.product_id,
+      product_name: availability[item.product_id]?.name || null,
+      requested: item.quantity,
+      available: availability[item.product_id]?.available ?? 0,
+    }));
+}
+
+/**
+ * Hold stock for all product lines of a cart for the reservation TTL
+ * Replaces the cart's previous reservation. The product rows are locked first (FOR UPDATE, in id
+ * order), then each line is inserted with a conditional INSERT ... SELECT, so two carts cannot both
+ * reserve the last unit. Run on a dedicated connection inside a transaction, as its first read.
+ *
+ * @param {object} db
+ * @param {number} cartId
+ * @param {Array<{product_id: number, quantity: number}>} items
+ * @returns {Promise<{shortItems: Array, expiresAt: Date|null}>}
+ */
+export async function reserveCartStock(db, cartId, items) {
+  const productIds = [...new Set(items.map(item => item.product_id))].sort((a, b) => a - b);
+  await db.query(
+    `SELECT id, stock_quantity FROM products WHERE id IN (${productIds.map(() => '?').join(',')}) ORDER BY id FOR UPDATE`,
+    productIds
+  );
+
+  await expireStaleReservations(db);
+  await releaseCartReservations(db, cartId);
+
+  const shortItems = [];
+
+  for (const item of items) {
+    const [result] = await db.query(
+      `INSERT INTO stock_reservations (cart_id, product_id, quantity, status, expires_at)
+       SELECT ?, p.id, ?, 'active', DATE_ADD(NOW(), INTERVAL ? MINUTE)
+       FROM products p
+       WHERE p.id = ? AND p.stock_quantity - ${RESERVED_BY_OTHERS_SQL} >= ?`,
+      [cartId, item.quantity, getReservationTtlMinutes(), item.product_id, cartId, item.quantity]
+    );
+
+    if (result.affectedRows === 0) {
+      shortItems.push(item);
+    }
+  }
+
+  if (shortItems.length > 0) {
+    // All-or-nothing: don't keep a partial hold
+    await releaseCartReservations(db, cartId);
+    const availability = await getAvailableStock(db, shortItems.map(item => item.product_id), cartId);
+    return { shortItems: findShortItems(shortItems, availability), expiresAt: null };
+  }
+
+  const [rows] = await db.query(
+    "SELECT MIN(expires_at) as expires_at FROM stock_reservations WHERE cart_id = ? AND status = 'active'",
+    [cartId]
+  );
+
+  return { shortItems: [], expiresAt: rows[0]?.expires_at || null };
+}
+
+/**
+ * Release a cart's active reservation (cart cleared, checkout abandoned)
+ */
+export async function releaseCartReservations(db, cartId) {
+  await db.query(
+    "UPDATE stock_reservations SET status = 'released' WHERE cart_id = ? AND status = 'active'",
+    [cartId]
+  );
+}
+
+/**
+ * Decrement stock for a sale, guarded against overselling
+ * Only succeeds if stock minus other carts' holds still covers the quantity.
+ * @returns {Promise<boolean>} - false if the product is short
+ */
+export async function decrementStock(db, productId, quantity, cartId = null) {
+  const [result] = await db.query(
+    `UPDATE products p
+     SET p.stock_quantity = p.stock_quantity - ?
+     WHERE p.id = ? AND p.stock_quantity - ${RESERVED_BY_OTHERS_SQL} >= ?`,
+    [quantity, productId, cartId || 0, quantity]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Mark a cart's reservation as consumed by an order (stock has been decremented)
+ */
+export async function consumeCartReservations(db, cartId, orderId) {
+  await db.query(
+    "UPDATE stock_reservations SET status = 'consumed', order_id = ? WHERE cart_id = ? AND status = 'active'",
+    [orderId, cartId]
+  );
+}
+
+/**
+ * Release the reservation bookkeeping of a cancelled order (stock is restocked by the caller)
+ */
+export async function releaseOrderReservations(db, orderId) {
+  await db.query(
+    "UPDATE stock_reservations SET status = 'released' WHERE order_id = ? AND status = 'consumed'",
+    [orderId]
+  );
+}
+
+/**
+ * Append a movement to the stock ledger
+ * Call after stock_quantity has been changed; quantity_after is read from the product row.
+ * @param {object} db
+ * @param {object} movement
+ * @param {number} movement.productId
+ * @param {number} movement.quantityChange - Signed change (negative for stock leaving)
+ * @param {string} movement.reason - One of STOCK_MOVEMENT_REASONS
+ * @param {number|null} [movement.createdBy] - Acting user (admin, or customer for sales)
+ * @param {number|null} [movement.orderId]
+ * @param {number|null} [movement.refundId]
+ * @param {number|null} [movement.sellRequestId]
+ * @param {string|null} [movement.note]
+ */
+export async function recordStockMovement(db, {
+  productId,
+  quantityChange,
+  reason,
+  createdBy = null,
+  orderId = null,
+  refundId = null,
+  sellRequestId = null,
+  note = null,
+}) {
+  await db.query(
+    `INSERT INTO stock_movements (
+      product_id, quantity_change, quantity_after, reason, order_id, refund_id, sell_request_id, note, created_by
+    )
+    SELECT id, ?, stock_quantity, ?, ?, ?, ?, ?, ?
+    FROM products WHERE id = ?`,
+    [quantityChange, reason, orderId, refundId, sellRequestId, note, createdBy, productId]
+  );
+}
+
+/**
+ * Put units back on the shelf (cancellation, refund, intake) and record the movement
+ */
+export async function restockProduct(db, productId, quantity, movement) {
+  await db.query(
+    'UPDATE products SET stock_quantity = stock_quantity + ? WHERE id = ?',
+    [quantity, productId]
+  );
+  await recordStockMovement(db, { ...movement, productId, quantityChange: quantity });
+}
+
+/**
+ * Apply a signed manual adjustment and record it
+ * Conditional, so a write-off can never drive stock below zero.
+ * @returns {Promise<boolean>} - false if the adjustment would make stock negative
+ */
+export async function adjustStock(db, productId, quantityChange, movement) {
+  const [result] = await db.query(
+    'UPDATE products SET stock_quantity = stock_quantity + ? WHERE id = ? AND stock_quantity + ? >= 0',
+    [quantityChange, productId, quantityChange]
+  );
+  if (result.affectedRows === 0) return false;
+
+  await recordStockMovement(db, { ...movement, productId, quantityChange });
+  return true;
+}
@@ -0,0 +1,108 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { mailConfig } from '../config/mail.config.js';
+
+/**
+ * Mail transport registry
+ * Each transport implements the same interface so controllers never talk to a mail service directly:
+ *
+ * - send({ from, to, subject, text, html? }) => Promise<{ message_id }>
+ *
+ * MAIL_TRANSPORT selects the transport; register a real one (SMTP, API) with registerMailTransport.
+ */
+
+/**
+ * Console transport - prints messages to stdout (local development)
+ */
+const consoleTransport = {
+  name: 'console',
+
+  async send(message) {
+    console.log(`[Mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { message_id: `console_${Date.now()}` };
+  },
+};
+
+/**
+ * File transport - appends messages as JSON lines to MAIL_FILE_PATH (local testing)
+ */
+const fileTransport = {
+  name: 'file',
+
+  async send(message) {
+    const messageId = `file_${Date.now()}`;
+    await fs.mkdir(path.dirname(mailConfig.filePath), { recursive: true });
+    await fs.appendFile(
+      mailConfig.filePath,
+      `${JSON.stringify({ message_id: messageId, sent_at: new Date().toISOString(), ...message })}\n`
+    );
+    return { message_id: messageId };
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+// Local-only transports - mail never reaches the customer
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Get transport by name
+ * @param {string} name
+ * @returns {object|null}
+ */
+export function getMailTransport(name = mailConfig.transport) {
+  return transports[name] || null;
+}
+
+/**
+ * Register or replace a transport (e.g. SMTP in production, a fake in tests)
+ * @param {string} name
+ * @param {object} transport
+ */
+export function registerMailTransport(name, transport) {
+  transports[name] = transport;
+}
+
+// Why mail can't be delivered with the current config, or null if it can
+function getMailTransportProblem() {
+  if (process.env.NODE_ENV === 'production'
+    && (!mailConfig.transport || LOCAL_TRANSPORTS.includes(mailConfig.transport))) {
+    return 'MAIL_TRANSPORT must name a real mail transport in production';
+  }
+  if (!getMailTransport()) {
+    return `Mail transport "${mailConfig.transport}" is not registered`;
+  }
+  return null;
+}
+
+/**
+ * Check the mail config at startup (non-blocking, warns if mail can't be delivered)
+ * Call after registering transports. Sending fails until the config is fixed - see sendMail.
+ * @returns {boolean}
+ */
+export function initMailTransport() {
+  const problem = getMailTransportProblem();
+  if (problem) {
+    console.warn(`[Mail] ${problem}, emails (password reset, verification) will fail`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Send a message through the configured transport
+ * Throws if no usable transport is configured (console/file are refused in production)
+ * @param {{to: string, subject: string, text: string, html?: string}} message
+ * @returns {Promise<{message_id: string}>}
+ */
+export async function sendMail(message) {
+  // Refuse rather than print reset links to production logs
+  const problem = getMailTransportProblem();
+  if (problem) {
+    throw new Error(problem);
+  }
+  return getMailTransport().send({ from: mailConfig.from, ...message });
+}
@@ -0,0 +1,281 @@
+import crypto from 'crypto';
+import { paymentConfig, PAYMENT_GATEWAYS } from '../config/payment.config.js';
+
+/**
+ * Payment provider registry
+ * Each provider implements the same interface so controllers never talk to a gateway directly:
+ *
+ * - initiatePayment({ payment, returnUrl }) => Promise<{ transaction_id, redirect_url?, client_secret?, instructions? }>
+ * - verifyWebhook(rawBody, headers) => boolean
+ * - parseWebhookEvent(body) => { event_id, transaction_id, payment_id?, status: 'succeeded'|'failed' } | null (ignored event)
+ *   payment_id is our payments.id when the gateway echoes it back (metadata), so an event can be matched
+ *   even if it arrives before initiatePayment stored the transaction_id
+ * - refundPayment({ payment, amount, reason }) => Promise<{ refund_id }> (throws if the gateway rejects it)
+ * - isEnabled() => boolean (optional, defaults to true) - whether checkout may offer this gateway
+ *
+ * Keys match the payments.gateway enum.
+ */
+
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+
+// Stripe rejects webhook timestamps older than this (replay protection)
+const STRIPE_WEBHOOK_TOLERANCE_SECONDS = 300;
+
+/**
+ * Constant-time comparison of two hex signatures
+ */
+function safeCompareHex(expected, received) {
+  if (!expected || !received || expected.length !== received.length) {
+    return false;
+  }
+  try {
+    return crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(received, 'hex'));
+  } catch {
+    return false;
+  }
+}
+
+function hmacSha256Hex(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Local fake gateway
+ * Fully offline: "initiating" only issues a transaction_id, and completion arrives as a
+ * webhook signed with LOCAL_GATEWAY_WEBHOOK_SECRET (see signLocalGatewayPayload)
+ */
+const localGatewayProvider = {
+  name: 'local_gateway',
+
+  isEnabled() {
+    return paymentConfig.localGateway.enabled;
+  },
+
+  async initiatePayment({ payment, returnUrl }) {
+    const transactionId = `lg_${crypto.randomBytes(12).toString('hex')}`;
+    return {
+      transaction_id: transactionId,
+      redirect_url: `${returnUrl}?payment_id=${payment.id}&transaction_id=${transactionId}`,
+    };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const secret = paymentConfig.localGateway.webhookSecret;
+    if (!paymentConfig.localGateway.enabled || !secret || !rawBody) return false;
+    const signature = headers['x-local-gateway-signature'];
+    return safeCompareHex(hmacSha256Hex(secret, rawBody), signature);
+  },
+
+  parseWebhookEvent(body) {
+    const statusMap = {
+      'payment.succeeded': 'succeeded',
+      'payment.failed': 'failed',
+    };
+    if (!body?.id || !body?.transaction_id || !statusMap[body.type]) {
+      return null;
+    }
+    return {
+      event_id: body.id,
+      transaction_id: body.transaction_id,
+      status: statusMap[body.type],
+    };
+  },
+
+  async refundPayment() {
+    return { refund_id: `lgr_${crypto.randomBytes(12).toString('hex')}` };
+  },
+};
+
+/**
+ * Stripe (PaymentIntents via REST API, no SDK)
+ */
+const stripeProvider = {
+  name: 'stripe',
+
+  isEnabled() {
+    return Boolean(paymentConfig.stripe.secretKey);
+  },
+
+  async initiatePayment({ payment }) {
+    if (!paymentConfig.stripe.secretKey) {
+      throw new Error('Stripe secret key not configured');
+    }
+
+    const params = new URLSearchParams({
+      amount: String(Math.round(parseFloat(payment.amount) * 100)),
+      currency: paymentConfig.currency,
+      'metadata[payment_id]': String(payment.id),
+      'automatic_payment_methods[enabled]': 'true',
+    });
+
+    const response = await fetch(`${STRIPE_API_URL}/payment_intents`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${paymentConfig.stripe.secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        // Same payment row never creates two intents (failed intents can be retried by Stripe)
+        'Idempotency-Key': `payment-${payment.id}`,
+      },
+      body: params.toString(),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Stripe initiate failed: ${error}`);
+    }
+
+    const intent = await response.json();
+    return {
+      transaction_id: intent.id,
+      client_secret: intent.client_secret,
+    };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const secret = paymentConfig.stripe.webhookSecret;
+    const header = headers['stripe-signature'];
+    if (!secret || !header || !rawBody) return false;
+
+    // Header format: t=timestamp,v1=signature[,v1=signature...]
+    const parts = header.split(',').map(part => part.split('='));
+    const timestamp = parts.find(([key]) => key === 't')?.[1];
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    if (!timestamp || signatures.length === 0) return false;
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+    if (!Number.isFinite(age) || age > STRIPE_WEBHOOK_TOLERANCE_SECONDS) return false;
+
+    const expected = hmacSha256Hex(secret, `${timestamp}.${rawBody}`);
+    return signatures.some(signature => safeCompareHex(expected, signature));
+  },
+
+  parseWebhookEvent(body) {
+    const statusMap = {
+      'payment_intent.succeeded': 'succeeded',
+      'payment_intent.payment_failed': 'failed',
+    };
+    const intent = body?.data?.object;
+    if (!body?.id || !intent?.id || !statusMap[body.type]) {
+      return null;
+    }
+    const paymentId = parseInt(intent.metadata?.payment_id, 10);
+    return {
+      event_id: body.id,
+      transaction_id: intent.id,
+      payment_id: Number.isInteger(paymentId) ? paymentId : null,
+      status: statusMap[body.type],
+    };
+  },
+
+  async refundPayment({ payment, amount, reason }) {
+    if (!paymentConfig.stripe.secretKey) {
+      throw new Error('Stripe secret key not configured');
+    }
+    if (!payment.transaction_id) {
+      throw new Error('Payment has no Stripe transaction_id');
+    }
+
+    const params = new URLSearchParams({
+      payment_intent: payment.transaction_id,
+      amount: String(Math.round(amount * 100)),
+    });
+    if (reason) {
+      params.append('metadata[reason]', reason);
+    }
+
+    const response = await fetch(`${STRIPE_API_URL}/refunds`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${paymentConfig.stripe.secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: params.toString(),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Stripe refund failed: ${error}`);
+    }
+
+    const refund = await response.json();
+    return { refund_id: refund.id };
+  },
+};
+
+/**
+ * Cash on delivery / at service
+ * No online flow and no webhooks - settled manually
+ */
+const cashProvider = {
+  name: 'cash',
+
+  async initiatePayment({ payment }) {
+    return {
+      transaction_id: `cash_${payment.id}`,
+      instructions: 'Pay in cash on delivery or when the service is completed',
+    };
+  },
+
+  verifyWebhook() {
+    return false;
+  },
+
+  parseWebhookEvent() {
+    return null;
+  },
+
+  async refundPayment({ payment }) {
+    // Cash is handed back in person; only the ledger entry is recorded
+    return { refund_id: `cash_refund_${payment.id}_${Date.now()}` };
+  },
+};
+
+const providers = {
+  local_gateway: localGatewayProvider,
+  stripe: stripeProvider,
+  cash: cashProvider,
+};
+
+/**
+ * Get provider for a gateway
+ * @param {string} gateway - payments.gateway value
+ * @returns {object|null}
+ */
+export function getPaymentProvider(gateway) {
+  return providers[gateway] || null;
+}
+
+/**
+ * Gateways a customer can pay with right now: known to the payments.gateway enum,
+ * registered, and enabled by config (the local fake gateway only with LOCAL_GATEWAY_ENABLED)
+ * @returns {string[]}
+ */
+export function getEnabledPaymentGateways() {
+  return PAYMENT_GATEWAYS.filter((gateway) => {
+    const provider = providers[gateway];
+    return Boolean(provider) && (provider.isEnabled ? provider.isEnabled() : true);
+  });
+}
+
+/**
+ * Register or replace a provider (e.g. a fake in tests)
+ * @param {string} gateway
+ * @param {object} provider
+ */
+export function registerPaymentProvider(gateway, provider) {
+  providers[gateway] = provider;
+}
+
+/**
+ * Sign a payload the way the local fake gateway does
+ * Used by the simulate endpoint and offline tests
+ * @param {string} rawBody - Exact JSON string sent as the webhook body
+ * @returns {string} - Hex signature for the x-local-gateway-signature header
+ */
+export function signLocalGatewayPayload(rawBody) {
+  const secret = paymentConfig.localGateway.webhookSecret;
+  if (!secret) {
+    throw new Error('Local gateway webhook secret not configured');
+  }
+  return hmacSha256Hex(secret, rawBody);
+}
@@ -0,0 +1,229 @@
+import { getDb } from '../config/db.config.js';
+import { rateLimitConfig } from '../config/rateLimit.config.js';
+
+/**
+ * Rate limiter (fixed windows)
+ * A bucket key (e.g. "login:ip:1.2.3.4") counts hits until its window ends, then starts over.
+ * Counters live in a store; every store implements the same interface:
+ *
+ * - hit(key, windowMs) => Promise<{ count, reset_in_ms }>  - count this hit (opens a window if none is active)
+ * - get(key) => Promise<{ count, reset_in_ms }|null>        - active window, without counting
+ * - reset(key) => Promise<void>
+ *
+ * RATE_LIMIT_STORE selects the store; register another one (e.g. Redis) with registerRateLimitStore.
+ */
+
+/**
+ * Memory store - per process, the default outside Vercel
+ * Not shared between serverless instances or cluster workers.
+ */
+export function createMemoryStore() {
+  const buckets = new Map();
+
+  function sweep(now) {
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= now) buckets.delete(key);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async hit(key, windowMs) {
+      const now = Date.now();
+      if (buckets.size > 10000) sweep(now);
+
+      let bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, bucket);
+      }
+      bucket.count += 1;
+
+      return { count: bucket.count, reset_in_ms: bucket.resetAt - now };
+    },
+
+    async get(key) {
+      const now = Date.now();
+      const bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= now) return null;
+      return { count: bucket.count, reset_in_ms: bucket.resetAt - now };
+    },
+
+    async reset(key) {
+      buckets.delete(key);
+    },
+  };
+}
+
+/**
+ * Database store - rate_limit_buckets table, shared by every instance
+ * Uses the database clock for windows so instances with skewed clocks agree.
+ */
+const databaseStore = {
+  name: 'database',
+
+  async hit(key, windowMs) {
+    const db = getDb();
+
+    // A single upsert either opens a new window or counts into the active one
+    await db.query(
+      `INSERT INTO rate_limit_buckets (bucket_key, hits, reset_at)
+       VALUES (?, 1, DATE_ADD(NOW(3), INTERVAL ? MICROSECOND))
+       ON DUPLICATE KEY UPDATE
+         hits = IF(reset_at <= NOW(3), 1, hits + 1),
+         reset_at = IF(reset_at <= NOW(3), DATE_ADD(NOW(3), INTERVAL ? MICROSECOND), reset_at)`,
+      [key, windowMs * 1000, windowMs * 1000]
+    );
+
+    // Expired buckets are only overwritten, so clear them out now and then
+    if (Math.random() < 0.01) {
+      db.query('DELETE FROM rate_limit_buckets WHERE reset_at < NOW(3)')
+        .catch(err => console.error('Rate limit cleanup error:', err));
+    }
+
+    const [rows] = await db.query(
+      `SELECT hits, TIMESTAMPDIFF(MICROSECOND, NOW(3), reset_at) DIV 1000 as reset_in_ms
+       FROM rate_limit_buckets WHERE bucket_key = ? LIMIT 1`,
+      [key]
+    );
+
+    return { count: rows[0].hits, reset_in_ms: Math.max(0, Number(rows[0].reset_in_ms)) };
+  },
+
+  async get(key) {
+    const [rows] = await getDb().query(
+      `SELECT hits, TIMESTAMPDIFF(MICROSECOND, NOW(3), reset_at) DIV 1000 as reset_in_ms
+       FROM rate_limit_buckets WHERE bucket_key = ? AND reset_at > NOW(3) LIMIT 1`,
+      [key]
+    );
+    return rows.length > 0 ? { count: rows[0].hits, reset_in_ms: Number(rows[0].reset_in_ms) } : null;
+  },
+
+  async reset(key) {
+    await getDb().query('DELETE FROM rate_limit_buckets WHERE bucket_key = ?', [key]);
+  },
+};
+
+const stores = {
+  memory: createMemoryStore(),
+  database: databaseStore,
+};
+
+/**
+ * Get store by name
+ * @param {string} name
+ * @returns {object|null}
+ */
+export function getRateLimitStore(name = rateLimitConfig.store) {
+  return stores[name] || null;
+}
+
+/**
+ * Register or replace a store (e.g. Redis, or a fresh memory store in tests)
+ * @param {string} name
+ * @param {object} store
+ */
+export function registerRateLimitStore(name, store) {
+  stores[name] = store;
+}
+
+function requireStore() {
+  const store = getRateLimitStore();
+  if (!store) {
+    throw new Error(`Rate limit store "${rateLimitConfig.store}" is not registered`);
+  }
+  return store;
+}
+
+/**
+ * Count a hit against a limit
+ * @param {string} key - Bucket key
+ * @param {{max: number, windowSeconds: number}} limit
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, retry_after: number}>}
+ *   retry_after is in whole seconds until the window resets
+ */
+export async function consumeRateLimit(key, { max, windowSeconds }) {
+  const { count, reset_in_ms: resetInMs } = await requireStore().hit(key, windowSeconds * 1000);
+
+  return {
+    allowed: count <= max,
+    limit: max,
+    remaining: Math.max(0, max - count),
+    retry_after: Math.max(1, Math.ceil(resetInMs / 1000)),
+  };
+}
+
+// Emails are compared case-insensitively so "A@x.com" and "a@x.com" share a bucket
+export function normalizeIdentifier(identifier) {
+  return String(identifier).trim().toLowerCase();
+}
+
+/**
+ * Seconds left on a login lockout for an identifier (email), or 0 if not locked
+ */
+export async function getLoginLockout(identifier) {
+  if (!rateLimitConfig.enabled || !identifier) return 0;
+
+  const lock = await requireStore().get(`login_lock:${normalizeIdentifier(identifier)}`);
+  return lock ? Math.max(1, Math.ceil(lock.reset_in_ms / 1000)) : 0;
+}
+
+/**
+ * Record a failed login
+ * From LOGIN_LOCKOUT_THRESHOLD failures on, every failure locks the identifier, each time twice as
+ * long as the last (LOGIN_LOCKOUT_BASE_SECONDS, 2x, 4x ... up to LOGIN_LOCKOUT_MAX_SECONDS).
+ * @returns {Promise<number>} - Lockout in seconds, 0 if not locked
+ */
+export async function recordLoginFailure(identifier) {
+  if (!rateLimitConfig.enabled || !identifier) return 0;
+
+  const { threshold, baseSeconds, maxSeconds, failureWindowSeconds } = rateLimitConfig.loginLockout;
+  const key = normalizeIdentifier(identifier);
+  const store = requireStore();
+
+  const { count } = await store.hit(`login_fail:${key}`, failureWindowSeconds * 1000);
+  if (count < threshold) return 0;
+
+  const lockSeconds = Math.min(maxSeconds, baseSeconds * 2 ** (count - threshold));
+  await store.reset(`login_lock:${key}`);
+  await store.hit(`login_lock:${key}`, lockSeconds * 1000);
+
+  return lockSeconds;
+}
+
+/**
+ * Forget failed logins after a successful one
+ */
+export async function clearLoginFailures(identifier) {
+  if (!rateLimitConfig.enabled || !identifier) return;
+
+  const key = normalizeIdentifier(identifier);
+  const store = requireStore();
+  await store.reset(`login_fail:${key}`);
+  await store.reset(`login_lock:${key}`);
+}
+
+/**
+ * Whether a 2FA login challenge has used up its attempts (TWO_FACTOR_MAX_ATTEMPTS)
+ */
+export async function isTwoFactorChallengeExhausted(challengeId) {
+  if (!rateLimitConfig.enabled) return false;
+
+  const failures = await requireStore().get(`two_factor_fail:${challengeId}`);
+  return !!failures && failures.count >= rateLimitConfig.twoFactorMaxAttempts;
+}
+
+/**
+ * Record a wrong code for a 2FA login challenge
+ * @returns {Promise<boolean>} - true once the challenge is invalidated
+ */
+export async function recordTwoFactorFailure(challengeId) {
+  if (!rateLimitConfig.enabled) return false;
+
+  const { count } = await requireStore().hit(
+    `two_factor_fail:${challengeId}`,
+    rateLimitConfig.loginLockout.failureWindowSeconds * 1000
+  );
+  return count >= rateLimitConfig.twoFactorMaxAttempts;
+}
@@ -0,0 +1,112 @@
+import { restockProduct } from './inventory.js';
+import { getPaymentProvider } from './paymentProviders.js';
+
+/**
+ * Refund a succeeded payment through its gateway and record it in the refund ledger
+ * Shared by the admin refund API and customer booking cancellation.
+ *
+ * Runs inside the caller's transaction on a dedicated connection (getDb().getConnection()):
+ * the payment row is locked FOR UPDATE, so concurrent refunds of the same payment run one at a time.
+ * The caller commits on success and rolls back when an error is returned.
+ *
+ * Flow:
+ * 1. Lock the payment and check the amount against its current refundable balance
+ * 2. Ask the gateway to refund (nothing is written if it refuses)
+ * 3. Add to refunded_amount, record the refund in the ledger, restock the given product lines
+ * 4. Full refund (refunded_amount reaches amount, over one or several refunds):
+ *    payments.status and orders.payment_status become 'refunded'
+ *
+ * The caller validates restockLines (locking the order lines FOR UPDATE in the same transaction).
+ *
+ * @param {object} db - Connection with an open transaction
+ * @param {object} payment - payments row (id, gateway, transaction_id, order_id, ...)
+ * @param {object} options
+ * @param {number} options.amount
+ * @param {string|null} [options.reason]
+ * @param {Array<{order_item_id, product_id, quantity}>} [options.restockLines]
+ * @param {number|null} [options.createdBy] - User issuing the refund
+ * @returns {Promise<{error: {statusCode: number, message: string, detail?: string}}|{refundId: number, isFullRefund: boolean}>}
+ */
+export async function issueRefund(db, payment, { amount, reason = null, restockLines = [], createdBy = null }) {
+  const provider = getPaymentProvider(payment.gateway);
+  if (!provider) {
+    return { error: { statusCode: 400, message: 'Unsupported payment gateway' } };
+  }
+
+  const [lockedRows] = await db.query(
+    'SELECT amount, refunded_amount, status FROM payments WHERE id = ? LIMIT 1 FOR UPDATE',
+    [payment.id]
+  );
+
+  const locked = lockedRows[0];
+  const paymentAmount = parseFloat(locked?.amount) || 0;
+  const newRefundedAmount = parseFloat(((parseFloat(locked?.refunded_amount) || 0) + amount).toFixed(2));
+
+  if (!locked || locked.status !== 'succeeded' || newRefundedAmount > paymentAmount) {
+    return { error: { statusCode: 409, message: 'Payment was refunded by another request, please reload and retry' } };
+  }
+
+  let gatewayRefund;
+  try {
+    gatewayRefund = await provider.refundPayment({ payment, amount, reason });
+  } catch (gatewayErr) {
+    console.error('Gateway refund error:', gatewayErr);
+    return { error: { statusCode: 502, message: 'Payment gateway rejected the refund', detail: gatewayErr.message } };
+  }
+
+  const isFullRefund = newRefundedAmount >= paymentAmount;
+
+  try {
+    await db.query(
+      'UPDATE payments SET refunded_amount = ? WHERE id = ?',
+      [newRefundedAmount, payment.id]
+    );
+
+    const [refundResult] = await db.query(
+      `INSERT INTO payment_refunds (payment_id, amount, reason, gateway_refund_id, restocked, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        payment.id,
+        amount,
+        reason,
+        gatewayRefund.refund_id,
+        restockLines.length > 0 ? 1 : 0,
+        createdBy,
+      ]
+    );
+
+    const refundId = refundResult.insertId;
+
+    for (const line of restockLines) {
+      await db.query(
+        'INSERT INTO payment_refund_items (refund_id, order_item_id, quantity) VALUES (?, ?, ?)',
+        [refundId, line.order_item_id, line.quantity]
+      );
+      await restockProduct(db, line.product_id, line.quantity, {
+        reason: 'refund_restock',
+        orderId: payment.order_id,
+        refundId,
+        createdBy,
+      });
+    }
+
+    if (isFullRefund) {
+      await db.query(
+        "UPDATE payments SET status = 'refunded' WHERE id = ?",
+        [payment.id]
+      );
+      if (payment.order_id) {
+        await db.query(
+          "UPDATE orders SET payment_status = 'refunded' WHERE id = ?",
+          [payment.order_id]
+        );
+      }
+    }
+
+    return { refundId, isFullRefund };
+  } catch (err) {
+    // Gateway already refunded - surface loudly so finance can reconcile by gateway_refund_id
+    console.error('Refund ledger error after gateway refund', gatewayRefund.refund_id, err);
+    throw err;
+  }
+}
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import { sendMail } from './mailTransports.js';
+
+/**
+ * Review invitation utilities
+ * When an order is delivered the customer gets a link with a random token. The token lets them
+ * (guests included) review the order's products as verified purchases without logging in.
+ * Only the SHA-256 hash of the token is stored.
+ */
+
+/**
+ * How long an invitation stays valid (days)
+ * Environment variable: REVIEW_INVITATION_TTL_DAYS (default: 30)
+ */
+export function getReviewInvitationTtlDays() {
+  return Number(process.env.REVIEW_INVITATION_TTL_DAYS || 30);
+}
+
+/**
+ * Frontend page that accepts the invitation token
+ * Environment variable: REVIEW_INVITATION_URL (default: http://localhost:3000/review)
+ */
+function getReviewInvitationUrl() {
+  return process.env.REVIEW_INVITATION_URL || 'http://localhost:3000/review';
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue (or re-issue) the review invitation of a delivered order
+ * @param {object} db
+ * @param {number} orderId
+ * @returns {Promise<{order_id, email, full_name, token, url, expires_at}|null>} - null if the order has no email
+ */
+export async function createReviewInvitation(db, orderId) {
+  const [orderRows] = await db.query(
+    `SELECT 
+      o.id,
+      COALESCE(u.email, gd.email) as email,
+      COALESCE(u.full_name, gd.full_name) as full_name
+    FROM orders o
+    LEFT JOIN users u ON o.user_id = u.id
+    LEFT JOIN guest_details gd ON o.guest_id = gd.id
+    WHERE o.id = ? LIMIT 1`,
+    [orderId]
+  );
+
+  if (orderRows.length === 0 || !orderRows[0].email) return null;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const email = orderRows[0].email.trim().toLowerCase();
+
+  // One invitation per order - re-issuing replaces the previous token
+  await db.query(
+    `INSERT INTO review_invitations (order_id, email, token_hash, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))
+     ON DUPLICATE KEY UPDATE email = VALUES(email), token_hash = VALUES(token_hash),
+       expires_at = VALUES(expires_at), sent_at = NULL`,
+    [orderId, email, hashToken(token), getReviewInvitationTtlDays()]
+  );
+
+  const [rows] = await db.query('SELECT expires_at FROM review_invitations WHERE order_id = ? LIMIT 1', [orderId]);
+
+  return {
+    order_id: orderId,
+    email,
+    full_name: orderRows[0].full_name,
+    token,
+    url: `${getReviewInvitationUrl()}?token=${encodeURIComponent(token)}`,
+    expires_at: rows[0].expires_at,
+  };
+}
+
+/**
+ * Deliver an invitation to the customer and mark it as sent
+ */
+export async function sendReviewInvitation(db, invitation) {
+  await sendMail({
+    to: invitation.email,
+    subject: `How was your order #${invitation.order_id}?`,
+    text: `Hi ${invitation.full_name || 'there'},\n\n`
+      + `Thanks for shopping with IT Repair Hub. Tell us what you think of your purchase:\n${invitation.url}\n\n`
+      + `This link expires on ${new Date(invitation.expires_at).toDateString()}.`,
+  });
+
+  await db.query('UPDATE review_invitations SET sent_at = NOW() WHERE order_id = ?', [invitation.order_id]);
+}
+
+/**
+ * Look up a valid (unexpired) invitation by its token
+ * @returns {Promise<{order_id: number, email: string, full_name: string|null}|null>}
+ */
+export async function findReviewInvitation(db, token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const [rows] = await db.query(
+    `SELECT ri.order_id, ri.email, COALESCE(u.full_name, gd.full_name) as full_name
+     FROM review_invitations ri
+     INNER JOIN orders o ON ri.order_id = o.id
+     LEFT JOIN users u ON o.user_id = u.id
+     LEFT JOIN guest_details gd ON o.guest_id = gd.id
+     WHERE ri.token_hash = ? AND ri.expires_at > NOW() AND o.order_status = 'delivered'
+     LIMIT 1`,
+    [hashToken(token)]
+  );
+
+  return rows[0] || null;
+}
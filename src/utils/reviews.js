@@ -0,0 +1,96 @@
+/**
+ * Review utilities
+ * Only approved reviews count towards a product's/service's average_rating and review_count.
+ */
+
+/**
+ * Recompute average_rating and review_count of the review's target from its approved reviews
+ * Call whenever a review is created, approved or removed from the public listing.
+ * @param {object} db
+ * @param {{product_id?: number|null, service_id?: number|null}} target
+ * @returns {Promise<{average_rating: number, review_count: number}>}
+ */
+export async function refreshRatingStats(db, { product_id = null, service_id = null }) {
+  const column = product_id ? 'product_id' : 'service_id';
+  const table = product_id ? 'products' : 'services';
+  const targetId = product_id || service_id;
+
+  const [ratingStats] = await db.query(
+    `SELECT 
+      AVG(rating) as average_rating,
+      COUNT(*) as review_count
+    FROM reviews 
+    WHERE ${column} = ? AND is_approved = 1`,
+    [targetId]
+  );
+
+  const averageRating = parseFloat(ratingStats[0].average_rating || 0).toFixed(2);
+  const reviewCount = parseInt(ratingStats[0].review_count || 0);
+
+  await db.query(
+    `UPDATE ${table} SET average_rating = ?, review_count = ? WHERE id = ?`,
+    [averageRating, reviewCount, targetId]
+  );
+
+  return { average_rating: parseFloat(averageRating), review_count: reviewCount };
+}
+
+/**
+ * Maximum number of photos per review
+ * Environment variable: REVIEW_MAX_IMAGES (default: 4)
+ */
+export function getReviewMaxImages() {
+  return Number(process.env.REVIEW_MAX_IMAGES || 4);
+}
+
+/**
+ * Rating breakdown of a product/service from its approved reviews
+ * aggregate_rating holds schema.org AggregateRating fields for rich snippets
+ * (null without reviews - search engines reject empty ratings).
+ * @param {object} db
+ * @param {{product_id?: number|null, service_id?: number|null}} target
+ * @returns {Promise<{average_rating, review_count, histogram, verified_count, verified_ratio, aggregate_rating}>}
+ */
+export async function getRatingSummary(db, { product_id = null, service_id = null }) {
+  const column = product_id ? 'product_id' : 'service_id';
+
+  const [rows] = await db.query(
+    `SELECT rating, COUNT(*) as total, SUM(is_verified_purchase) as verified
+     FROM reviews
+     WHERE ${column} = ? AND is_approved = 1
+     GROUP BY rating`,
+    [product_id || service_id]
+  );
+
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let reviewCount = 0;
+  let verifiedCount = 0;
+  let ratingSum = 0;
+
+  rows.forEach(row => {
+    const total = parseInt(row.total);
+    histogram[row.rating] = total;
+    reviewCount += total;
+    verifiedCount += parseInt(row.verified || 0);
+    ratingSum += row.rating * total;
+  });
+
+  const averageRating = reviewCount > 0 ? parseFloat((ratingSum / reviewCount).toFixed(2)) : 0;
+
+  return {
+    average_rating: averageRating,
+    review_count: reviewCount,
+    histogram,
+    verified_count: verifiedCount,
+    verified_ratio: reviewCount > 0 ? parseFloat((verifiedCount / reviewCount).toFixed(2)) : 0,
+    aggregate_rating: reviewCount > 0
+      ? {
+        '@type': 'AggregateRating',
+        ratingValue: averageRating,
+        reviewCount,
+        bestRating: 5,
+        worstRating: 1,
+      }
+      : null,
+  };
+}
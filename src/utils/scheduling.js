@@ -0,0 +1,236 @@
+/**
+ * Booking scheduling utilities
+ * A booking occupies one unit of capacity (and its technician, if assigned) from booking_time for
+ * its service's slot length. A slot is bookable when the day is open (business_hours, no blackout),
+ * the slot fits inside working hours, and fewer active bookings overlap it than the capacity.
+ *
+ * All functions take the db/connection to run on, so callers can use them inside their transaction.
+ */
+
+/**
+ * Default booking slot length (minutes) for services without their own slot_minutes
+ * Environment variable: BOOKING_SLOT_MINUTES (default: 60)
+ */
+export function getDefaultSlotMinutes() {
+  return Number(process.env.BOOKING_SLOT_MINUTES || 60);
+}
+
+/**
+ * Slot length of a service row (minutes)
+ */
+export function getServiceSlotMinutes(service) {
+  return Number(service?.slot_minutes) || getDefaultSlotMinutes();
+}
+
+/**
+ * How close to the slot customers may still reschedule or cancel (hours)
+ * Environment variable: BOOKING_CHANGE_CUTOFF_HOURS (default: 24)
+ */
+export function getChangeCutoffHours() {
+  return Number(process.env.BOOKING_CHANGE_CUTOFF_HOURS || 24);
+}
+
+/**
+ * How many bookings may overlap at the same time
+ * Environment variable: BOOKING_SLOT_CAPACITY (default: number of technicians, at least 1)
+ */
+export async function getSlotCapacity(db) {
+  if (process.env.BOOKING_SLOT_CAPACITY) {
+    return Number(process.env.BOOKING_SLOT_CAPACITY);
+  }
+
+  const [rows] = await db.query("SELECT COUNT(*) as total FROM users WHERE role = 'technician'");
+  return Math.max(1, rows[0].total);
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * YYYY-MM-DD that names a real calendar day (rejects 2025-02-30, 2025-13-01)
+ */
+export function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * HH:MM or HH:MM:SS wall-clock time, no offset (rejects 24:00, 10:00+05:00)
+ */
+export function isValidTime(value) {
+  return typeof value === 'string' && TIME_PATTERN.test(value);
+}
+
+// 'HH:MM[:SS]' -> minutes since midnight
+function timeToMinutes(time) {
+  // A NaN here would make every overlap/hours comparison false and skip the checks
+  if (!isValidTime(String(time))) {
+    throw new Error(`Invalid time "${time}"`);
+  }
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// minutes since midnight -> 'HH:MM'
+function minutesToTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Get working hours for a date
+ * @param {object} db
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<{closed: boolean, reason: string|null, open: number|null, close: number|null}>}
+ *   open/close are minutes since midnight
+ */
+export async function getDaySchedule(db, date) {
+  const [blackoutRows] = await db.query(
+    'SELECT reason FROM booking_blackout_dates WHERE blackout_date = ? LIMIT 1',
+    [date]
+  );
+
+  if (blackoutRows.length > 0) {
+    return { closed: true, reason: blackoutRows[0].reason || 'Closed', open: null, close: null };
+  }
+
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const [hoursRows] = await db.query(
+    'SELECT open_time, close_time, is_closed FROM business_hours WHERE day_of_week = ? LIMIT 1',
+    [dayOfWeek]
+  );
+
+  if (hoursRows.length === 0 || hoursRows[0].is_closed) {
+    return { closed: true, reason: 'Closed', open: null, close: null };
+  }
+
+  return {
+    closed: false,
+    reason: null,
+    open: timeToMinutes(hoursRows[0].open_time),
+    close: timeToMinutes(hoursRows[0].close_time),
+  };
+}
+
+/**
+ * Serialize bookings for one weekday until the caller's transaction ends
+ * Locks the business_hours row, so concurrent bookings can't both take the last unit of capacity.
+ * Only meaningful on a dedicated connection inside a transaction, and must be the transaction's
+ * first read so later reads see every booking committed before the lock was granted.
+ */
+export async function lockScheduleDay(db, date) {
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  await db.query('SELECT id FROM business_hours WHERE day_of_week = ? FOR UPDATE', [dayOfWeek]);
+}
+
+/**
+ * Active bookings of a date as [start, end) intervals in minutes
+ */
+async function getDayBookings(db, date, excludeBookingId = null) {
+  const [rows] = await db.query(
+    `SELECT b.id, b.technician_id, b.booking_time, COALESCE(s.slot_minutes, ?) as slot_minutes
+     FROM bookings b
+     INNER JOIN services s ON b.service_id = s.id
+     WHERE b.booking_date = ? AND b.status IN ('pending', 'confirmed') AND b.id <> ?`,
+    [getDefaultSlotMinutes(), date, excludeBookingId || 0]
+  );
+
+  return rows.map(row => {
+    const start = timeToMinutes(row.booking_time);
+    return {
+      id: row.id,
+      technician_id: row.technician_id,
+      booking_time: row.booking_time,
+      start,
+      end: start + Number(row.slot_minutes),
+    };
+  });
+}
+
+function countOverlapping(bookings, start, end) {
+  return bookings.filter(booking => booking.start < end && booking.end > start).length;
+}
+
+/**
+ * List the bookable slots of a service on a date
+ * Slots start at opening time and repeat every slot length; a slot must end by closing time.
+ * Slots already in the past (for today) are reported as unavailable.
+ * @returns {Promise<{date, closed, reason, slot_minutes, capacity, slots: Array<{time, remaining, available}>}>}
+ */
+export async function getDayAvailability(db, service, date) {
+  const slotMinutes = getServiceSlotMinutes(service);
+  const schedule = await getDaySchedule(db, date);
+
+  if (schedule.closed) {
+    return { date, closed: true, reason: schedule.reason, slot_minutes: slotMinutes, capacity: 0, slots: [] };
+  }
+
+  const capacity = await getSlotCapacity(db);
+  const bookings = await getDayBookings(db, date);
+  const now = new Date();
+
+  const slots = [];
+  for (let start = schedule.open; start + slotMinutes <= schedule.close; start += slotMinutes) {
+    const time = minutesToTime(start);
+    const remaining = Math.max(0, capacity - countOverlapping(bookings, start, start + slotMinutes));
+    const isPast = new Date(`${date}T${time}`) <= now;
+    slots.push({ time, remaining, available: remaining > 0 && !isPast });
+  }
+
+  return { date, closed: false, reason: null, slot_minutes: slotMinutes, capacity, slots };
+}
+
+/**
+ * Check whether a service can be booked at date/time
+ * @param {object} db
+ * @param {object} service - services row (uses slot_minutes)
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM[:SS]
+ * @param {number|null} excludeBookingId - Booking being moved (doesn't count against itself)
+ * @returns {Promise<{reason: 'closed'|'outside_hours'|'full', message: string}|null>} - null if bookable
+ */
+export async function checkSlotAvailability(db, service, date, time, excludeBookingId = null) {
+  const slotMinutes = getServiceSlotMinutes(service);
+  const schedule = await getDaySchedule(db, date);
+
+  if (schedule.closed) {
+    return { reason: 'closed', message: `No bookings on ${date}: ${schedule.reason}` };
+  }
+
+  const start = timeToMinutes(time);
+  if (start < schedule.open || start + slotMinutes > schedule.close) {
+    return {
+      reason: 'outside_hours',
+      message: `Bookings on ${date} must start between ${minutesToTime(schedule.open)} and ${minutesToTime(schedule.close - slotMinutes)}`,
+    };
+  }
+
+  const capacity = await getSlotCapacity(db);
+  const bookings = await getDayBookings(db, date, excludeBookingId);
+  if (countOverlapping(bookings, start, start + slotMinutes) >= capacity) {
+    return { reason: 'full', message: 'This time slot is fully booked, please choose another time' };
+  }
+
+  return null;
+}
+
+/**
+ * Find another active booking of the technician that overlaps the given slot
+ * @param {object} db
+ * @param {number} technicianId
+ * @param {string} bookingDate - YYYY-MM-DD
+ * @param {string} bookingTime - HH:MM[:SS]
+ * @param {number} slotMinutes - Length of the slot being (re)assigned
+ * @param {number|null} excludeBookingId - Booking being (re)assigned
+ * @returns {Promise<{id: number, booking_time: string}|null>}
+ */
+export async function findTechnicianClash(db, technicianId, bookingDate, bookingTime, slotMinutes, excludeBookingId = null) {
+  const start = timeToMinutes(bookingTime);
+  const bookings = await getDayBookings(db, bookingDate, excludeBookingId);
+
+  const clash = bookings.find(booking =>
+    booking.technician_id === Number(technicianId) && booking.start < start + slotMinutes && booking.end > start
+  );
+
+  return clash ? { id: clash.id, booking_time: clash.booking_time } : null;
+}
@@ -0,0 +1,132 @@
+import jwt from 'jsonwebtoken';
+
+/**
+ * Guest tracking utilities
+ * Guests have no account, so orders/bookings are looked up by a public reference + email,
+ * or by a signed tracking token handed out when the order/booking/ticket is created
+ */
+
+const TRACKING_TOKEN_EXPIRES_IN = '180d';
+
+const REFERENCE_PREFIXES = {
+  order: 'ORD',
+  booking: 'BKG',
+  ticket: 'TKT',
+};
+
+const TRACKING_TOKEN_AUDIENCE = 'guest-tracking';
+
+/**
+ * Secret for tracking tokens
+ * Environment variable: TRACKING_TOKEN_SECRET (required) - must differ from JWT_SECRET, a tracking
+ * token carries an order/booking/ticket id and must never pass as a login token
+ */
+function getTrackingSecret() {
+  const secret = process.env.TRACKING_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('Tracking token secret not configured');
+  }
+  if (secret === process.env.JWT_SECRET) {
+    throw new Error('TRACKING_TOKEN_SECRET must differ from JWT_SECRET');
+  }
+  return secret;
+}
+
+/**
+ * Check the tracking secret at startup (non-blocking, warns if guest tracking tokens can't be signed)
+ * @returns {boolean}
+ */
+export function initTracking() {
+  try {
+    getTrackingSecret();
+    return true;
+  } catch (err) {
+    console.warn(`[Tracking] ${err.message}, guest orders, bookings and tickets will fail`);
+    return false;
+  }
+}
+
+/**
+ * Throw if tracking tokens can't be signed
+ * Call before creating a guest record whose token is handed out afterwards.
+ */
+export function assertTrackingConfigured() {
+  getTrackingSecret();
+}
+
+/**
+ * Format a public reference for an order, booking or ticket (e.g. ORD-000123)
+ * @param {'order'|'booking'|'ticket'} type
+ * @param {number} id
+ * @returns {string}
+ */
+export function formatReference(type, id) {
+  return `${REFERENCE_PREFIXES[type]}-${String(id).padStart(6, '0')}`;
+}
+
+/**
+ * Parse a public reference back to its numeric ID
+ * Accepts "ORD-000123", "ord-123" or a bare "123"
+ * @param {'order'|'booking'|'ticket'} type
+ * @param {string|number} reference
+ * @returns {number|null}
+ */
+export function parseReference(type, reference) {
+  if (reference === undefined || reference === null) return null;
+
+  const match = String(reference)
+    .trim()
+    .match(new RegExp(`^(?:${REFERENCE_PREFIXES[type]}-)?(\\d+)$`, 'i'));
+
+  if (!match) return null;
+
+  const id = parseInt(match[1], 10);
+  return id > 0 ? id : null;
+}
+
+/**
+ * Sign a tracking token for a guest order/booking/ticket
+ * @param {'order'|'booking'|'ticket'} type
+ * @param {number} id
+ * @param {number|null} guestId - null for tickets (they have no guest_details row)
+ * @returns {string}
+ */
+export function signTrackingToken(type, id, guestId) {
+  return jwt.sign(
+    { typ: 'tracking', type, id, guest_id: guestId },
+    getTrackingSecret(),
+    { expiresIn: TRACKING_TOKEN_EXPIRES_IN, audience: TRACKING_TOKEN_AUDIENCE }
+  );
+}
+
+/**
+ * Verify a tracking token
+ * @param {'order'|'booking'|'ticket'} type - Expected resource type
+ * @param {string} token
+ * @returns {{id: number, guest_id: number}|null} - null if invalid, expired or for another type
+ */
+export function verifyTrackingToken(type, token) {
+  try {
+    const payload = jwt.verify(token, getTrackingSecret(), { audience: TRACKING_TOKEN_AUDIENCE });
+    if (payload.typ !== 'tracking' || payload.type !== type) {
+      return null;
+    }
+    return { id: payload.id, guest_id: payload.guest_id };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Build the tracking block returned to guests at creation time
+ * @param {'order'|'booking'|'ticket'} type
+ * @param {number} id
+ * @param {number|null} guestId
+ * @returns {{reference: string, token: string}}
+ */
+export function buildGuestTracking(type, id, guestId) {
+  return {
+    reference: formatReference(type, id),
+    token: signTrackingToken(type, id, guestId),
+  };
+}
@@ -0,0 +1,267 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { hashToken } from './authTokens.js';
+
+/**
+ * Two-factor authentication (TOTP, RFC 6238: SHA-1, 6 digits, 30 second steps)
+ * The shared secret is stored encrypted (AES-256-GCM) on users.two_factor_secret; recovery codes are
+ * stored hashed and work once each. A code's time step is remembered so it can't be replayed.
+ */
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Roles that must use 2FA
+ * Environment variable: TWO_FACTOR_REQUIRED_ROLES (default: none) - comma-separated, e.g. "admin,business"
+ * (B2B accounts from registerB2B have the business role)
+ */
+export function getTwoFactorRequiredRoles() {
+  return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+export function isTwoFactorRequired(role) {
+  return getTwoFactorRequiredRoles().includes(role);
+}
+
+/**
+ * Issuer shown in authenticator apps
+ * Environment variable: TWO_FACTOR_ISSUER (default: IT Repair Hub)
+ */
+function getTwoFactorIssuer() {
+  return process.env.TWO_FACTOR_ISSUER || 'IT Repair Hub';
+}
+
+/**
+ * How long the second login step may take (minutes)
+ * Environment variable: TWO_FACTOR_CHALLENGE_TTL_MINUTES (default: 5)
+ */
+function getChallengeTtlMinutes() {
+  return Number(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES || 5);
+}
+
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT secret not configured');
+  }
+  return secret;
+}
+
+// Environment variable: TWO_FACTOR_ENCRYPTION_KEY (falls back to JWT_SECRET)
+function getEncryptionKey() {
+  const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('Two-factor encryption key not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random TOTP secret (base32, 160 bits)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {string} secret - base32
+ * @param {string} accountName - e.g. the user's email
+ */
+export function buildOtpauthUri(secret, accountName) {
+  const issuer = getTwoFactorIssuer();
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  // Authenticator apps expect %20 rather than + for spaces
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+/**
+ * TOTP code for a time step
+ */
+export function generateTotp(secret, step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS)) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a TOTP code, allowing one step of clock drift either way
+ * @returns {number|null} - The matching time step, or null
+ */
+export function matchTotp(secret, code) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+export function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// Recovery codes are compared without dashes/case
+function normalizeRecoveryCode(code) {
+  return String(code || '').replace(/[\s-]/g, '').toLowerCase();
+}
+
+/**
+ * Replace a user's recovery codes
+ * @returns {Promise<string[]>} - Plain codes, shown to the user once
+ */
+export async function regenerateRecoveryCodes(db, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+  const placeholders = codes.map(() => '(?, ?)').join(', ');
+  const values = codes.flatMap(code => [userId, hashToken(normalizeRecoveryCode(code))]);
+  await db.query(`INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ${placeholders}`, values);
+
+  return codes;
+}
+
+/**
+ * Check a second factor for a user - a TOTP code or a recovery code
+ * Both are single-use: the TOTP step is recorded and recovery codes are marked used.
+ * @param {object} db
+ * @param {number} userId
+ * @param {{code?: string, recovery_code?: string}} factor
+ * @param {string|null} encryptedSecret - Secret to check against (default: the user's enabled secret)
+ * @returns {Promise<boolean>}
+ */
+export async function verifySecondFactor(db, userId, { code, recovery_code }, encryptedSecret = null) {
+  if (recovery_code) {
+    const [result] = await db.query(
+      `UPDATE two_factor_recovery_codes SET used_at = NOW()
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [userId, hashToken(normalizeRecoveryCode(recovery_code))]
+    );
+    return result.affectedRows > 0;
+  }
+
+  if (!code) return false;
+
+  let secret = encryptedSecret;
+  if (!secret) {
+    const [rows] = await db.query('SELECT two_factor_secret FROM users WHERE id = ? LIMIT 1', [userId]);
+    secret = rows[0]?.two_factor_secret;
+  }
+  if (!secret) return false;
+
+  const step = matchTotp(decryptSecret(secret), code);
+  if (step === null) return false;
+
+  // Reject a code whose step was already used (replay)
+  const [result] = await db.query(
+    `UPDATE users SET two_factor_last_step = ?
+     WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+    [step, userId, step]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Short-lived token proving the password (or Google) step of a login succeeded
+ * Carries a random id (jti) so failed codes can be counted per challenge.
+ */
+export function createTwoFactorChallenge(userId) {
+  return jwt.sign({ id: userId, purpose: 'two_factor' }, getJwtSecret(), {
+    expiresIn: getChallengeTtlMinutes() * 60,
+    jwtid: crypto.randomBytes(16).toString('hex'),
+  });
+}
+
+/**
+ * @returns {{userId: number, challengeId: string}|null} - null if invalid/expired
+ */
+export function verifyTwoFactorChallenge(token) {
+  try {
+    const payload = jwt.verify(token, getJwtSecret());
+    if (payload.purpose !== 'two_factor' || !payload.jti) return null;
+    return { userId: payload.id, challengeId: payload.jti };
+  } catch (err) {
+    return null;
+  }
+}
@@ -40,10 +40,25 @@ export async function processUploadedFile(fileUrl, folder = 'general') {
   };
 }
 
+/**
+ * Whether a URL points at a file on UploadThing's CDN (https://utfs.io/... or https://<app>.ufs.sh/...)
+ * Used to reject arbitrary third-party URLs (tracking pixels, offensive hosts) in user submissions.
+ */
+export function isUploadThingUrl(url) {
+  if (typeof url !== 'string') return false;
+
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' && (hostname === 'utfs.io' || hostname.endsWith('.ufs.sh'));
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Extract file key from UploadThing URL
  */
-function extractKeyFromUrl(url) {
+export function extractKeyFromUrl(url) {
   try {
     const urlObj = new URL(url);
     const pathParts = urlObj.pathname.split('/');
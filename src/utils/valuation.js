@@ -0,0 +1,128 @@
+/**
+ * Rule-based valuation for used devices
+ * estimate = base price (most specific brand/model rule)
+ *          x depreciation by age (compound yearly rate, floored at min_value_pct of base)
+ *          - condition deductions (percentage of the depreciated value, or fixed amounts)
+ * The estimate is returned as a range around it for the customer.
+ */
+
+/**
+ * Width of the estimated range either side of the estimate (%)
+ * Environment variable: VALUATION_RANGE_PCT (default: 10)
+ */
+export function getValuationRangePct() {
+  return Number(process.env.VALUATION_RANGE_PCT || 10);
+}
+
+const roundPrice = (value) => parseFloat(Math.max(0, value).toFixed(2));
+
+/**
+ * Condition flags reported by the customer
+ * Accepts an array of flags, an object of { flag: true }, or an object with a `flags` array.
+ * @returns {string[]} - Lowercase flag keys
+ */
+export function extractConditionFlags(conditionNotes) {
+  if (!conditionNotes) return [];
+
+  let flags = [];
+  if (Array.isArray(conditionNotes)) {
+    flags = conditionNotes;
+  } else if (typeof conditionNotes === 'object') {
+    flags = Array.isArray(conditionNotes.flags)
+      ? conditionNotes.flags
+      : Object.keys(conditionNotes).filter(key => conditionNotes[key] === true);
+  }
+
+  return [...new Set(flags.filter(flag => typeof flag === 'string').map(flag => flag.trim().toLowerCase()))];
+}
+
+/**
+ * Year the device was bought/released, from specifications
+ */
+function getDeviceYear(specifications) {
+  const year = parseInt(specifications?.purchase_year ?? specifications?.year);
+  return Number.isInteger(year) ? year : null;
+}
+
+/**
+ * Find the most specific active base price for a device
+ * Brand+model beats brand-only; a longer model match and a matching device_type win ties.
+ */
+async function findBasePrice(db, { device_type, brand, model }) {
+  const [rows] = await db.query(
+    `SELECT id, device_type, brand, model, base_price, release_year, annual_depreciation_pct, min_value_pct
+     FROM valuation_base_prices
+     WHERE is_active = 1
+       AND LOWER(brand) = LOWER(?)
+       AND (model IS NULL OR LOWER(?) LIKE CONCAT('%', LOWER(model), '%'))
+       AND (device_type IS NULL OR LOWER(device_type) = LOWER(?))
+     ORDER BY (model IS NOT NULL) DESC, CHAR_LENGTH(model) DESC, (device_type IS NOT NULL) DESC
+     LIMIT 1`,
+    [brand, model || '', device_type || '']
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Estimate the resale price of a device
+ * @param {object} db
+ * @param {object} device
+ * @param {string} device.device_type
+ * @param {string|null} device.brand
+ * @param {string|null} device.model
+ * @param {object} device.specifications - purchase_year/year is used for age
+ * @param {Array|object|null} device.condition_notes - See extractConditionFlags
+ * @returns {Promise<{estimate, low, high, breakdown}|null>} - null when no base price rule matches
+ */
+export async function estimateDevicePrice(db, { device_type, brand, model, specifications, condition_notes }) {
+  if (!brand) return null;
+
+  const rule = await findBasePrice(db, { device_type, brand, model });
+  if (!rule) return null;
+
+  const basePrice = parseFloat(rule.base_price);
+  const deviceYear = getDeviceYear(specifications) ?? rule.release_year;
+  const ageYears = deviceYear ? Math.max(0, new Date().getFullYear() - deviceYear) : 0;
+
+  const retained = Math.max(
+    parseFloat(rule.min_value_pct) / 100,
+    Math.pow(1 - parseFloat(rule.annual_depreciation_pct) / 100, ageYears)
+  );
+  const depreciatedPrice = basePrice * retained;
+
+  const flags = extractConditionFlags(condition_notes);
+  const deductions = [];
+
+  if (flags.length > 0) {
+    const placeholders = flags.map(() => '?').join(',');
+    const [deductionRows] = await db.query(
+      `SELECT flag_key, label, deduction_type, amount
+       FROM valuation_condition_deductions
+       WHERE is_active = 1 AND flag_key IN (${placeholders})`,
+      flags
+    );
+
+    deductionRows.forEach(row => {
+      const amount = row.deduction_type === 'percentage'
+        ? depreciatedPrice * parseFloat(row.amount) / 100
+        : parseFloat(row.amount);
+      deductions.push({ flag: row.flag_key, label: row.label, amount: roundPrice(amount) });
+    });
+  }
+
+  const estimate = roundPrice(depreciatedPrice - deductions.reduce((sum, d) => sum + d.amount, 0));
+  const spread = getValuationRangePct() / 100;
+
+  return {
+    estimate,
+    low: roundPrice(estimate * (1 - spread)),
+    high: roundPrice(estimate * (1 + spread)),
+    breakdown: {
+      base_price_rule_id: rule.id,
+      base_price: basePrice,
+      age_years: ageYears,
+      depreciated_price: roundPrice(depreciatedPrice),
+      deductions,
+    },
+  };
+}